@@ -1,6 +1,6 @@
 /**
  * Add Legacy ID Columns Script
- * Adds temporary legacy_id columns to wine tables for migration tracking
+ * Adds temporary legacy_id columns to the migrated tables for migration tracking
  */
 
 const { DataSource } = require('typeorm');
@@ -14,12 +14,18 @@ class LegacyIdColumnAdder {
   }
 
   async addLegacyIdColumns() {
-    console.log('🔧 Adding legacy ID columns to wine tables...');
+    console.log('🔧 Adding legacy ID columns to migrated tables...');
     
     const tables = [
       'wine_countries', 'wine_regions', 'wine_villages', 'wine_producers',
       'wine_brands', 'wine_varietals', 'wine_styles', 'wine_types',
-      'wine_bottle_vintages', 'wine_bottle_formats', 'wines', 'cases'
+      'wine_bottle_vintages', 'wine_bottle_formats', 'wines', 'cases',
+      // Keys used by the upsert mode of the user and case imports
+      'addresses', 'operations_groups', 'operations_requests',
+      // Template keys are prefixed with their catalog ("shipping-4", "supply-12")
+      'operation_extra_templates',
+      // Set on supply extras only ("supply-detail-<ActivityDetailID>")
+      'operation_extras'
     ];
 
     for (const table of tables) {
@@ -0,0 +1,282 @@
+#!/usr/bin/env node
+
+/**
+ * User Duplicate Analysis Script
+ *
+ * Runs before the user import and groups the legacy accounts and Staff Manager
+ * users it would import by normalized email, name and phone number (see
+ * scripts/utils/duplicate-resolution.js). Records sharing an email or a name
+ * and a phone are proposed for a merge; records sharing only a name or a phone
+ * are reported as possible duplicates.
+ *
+ * The proposals are added to the decisions file with "status": "proposed". The
+ * user import ignores them until a reviewer accepts them by removing the status.
+ * Entries already in the file are never changed, so reviewed decisions stay
+ * as they are when the analysis is run again on a fresh extraction.
+ *
+ * Usage:
+ *   node scripts/analyze-user-duplicates.js [options]
+ *
+ * Options:
+ *   --data-dir=<path>               Extracted data directory (default: ./extracted-data)
+ *   --output=<path>                 Directory the report is written to (default: ./extracted-data)
+ *   --duplicate-decisions=<path>    Decisions file (default: ./extracted-data/user-duplicate-decisions.json)
+ *   --dry-run                       Write the report only, leave the decisions file unchanged
+ *   --help, -h                     Show this help message
+ *
+ * Examples:
+ *   node scripts/analyze-user-duplicates.js
+ *   node scripts/analyze-user-duplicates.js --dry-run
+ *   pnpm run user:analyze-duplicates                            # Run via npm script
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DataSaver } = require('./utils/legacy-data-extractor');
+const { loadExtractedFile } = require('./utils/reconciliation-utils');
+const {
+  DuplicateDecisions,
+  DEFAULT_DECISIONS_FILE,
+  PROPOSED_STATUS,
+  normalizeEmail,
+  buildUserRecords,
+  findDuplicateGroups,
+  proposeDecisions
+} = require('./utils/duplicate-resolution');
+
+const DECISIONS_DESCRIPTION =
+  "Decisions on legacy accounts ('account:<AccountID>') and Staff Manager users ('user:<UserID>') that would become the same user. " +
+  "'merge' imports no user and attaches the record's data to the user of 'into' (same type); 'keep' imports the record with 'email' " +
+  "instead of its legacy email; 'skip' does not import it. Records without an entry are imported as-is. Proposals are added by " +
+  "analyze-user-duplicates.js with status 'proposed' and ignored by the user import until the status is removed; existing entries " +
+  'are never changed. The user import fails on emails the decisions leave shared.';
+
+// Parse command line arguments
+function parseArguments() {
+  const args = process.argv.slice(2);
+  const options = {
+    dataDir: path.join(process.cwd(), 'extracted-data'),
+    output: path.join(process.cwd(), 'extracted-data'),
+    decisionsFile: DEFAULT_DECISIONS_FILE,
+    dryRun: false,
+    help: false
+  };
+
+  for (const arg of args) {
+    if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg.startsWith('--data-dir=')) {
+      options.dataDir = arg.split('=')[1];
+    } else if (arg.startsWith('--output=')) {
+      options.output = arg.split('=')[1];
+    } else if (arg.startsWith('--duplicate-decisions=')) {
+      options.decisionsFile = arg.split('=')[1];
+    } else {
+      console.warn(`⚠️ Unknown argument: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+// Show help message
+function showHelp() {
+  console.log(`
+User Duplicate Analysis Script
+
+Groups the legacy accounts and Staff Manager users the user import would
+create by normalized email, name and phone number, and proposes how to
+resolve them in the decisions file the user import follows.
+
+Usage:
+  node scripts/analyze-user-duplicates.js [options]
+
+Options:
+  --data-dir=<path>               Extracted data directory (default: ./extracted-data)
+  --output=<path>                 Directory the report is written to (default: ./extracted-data)
+  --duplicate-decisions=<path>    Decisions file (default: ./extracted-data/user-duplicate-decisions.json)
+  --dry-run                       Write the report only, leave the decisions file unchanged
+  --help, -h                     Show this help message
+
+Examples:
+  node scripts/analyze-user-duplicates.js
+  node scripts/analyze-user-duplicates.js --dry-run
+  pnpm run user:analyze-duplicates                            # Run via npm script
+
+Output:
+  user-duplicates.csv              One line per record of a duplicate group, with the proposed and the current decision
+  user-duplicate-decisions.json    Proposals ("status": "proposed") added for the records without a decision
+
+Notes:
+  - The script only reads the extracted data, it does not touch the database
+  - Decisions already in the file are kept, edit them to change how a record is imported
+  - The user import ignores proposals until their "status": "proposed" is removed
+  - Accounts without an email get a synthetic temp-<AccountID>@veritaswinestorage.com address,
+    they are matched on name and phone only
+`);
+}
+
+/**
+ * User duplicate analysis class
+ * Groups the records of the user import and proposes decisions for them
+ */
+class UserDuplicateAnalysis {
+  /**
+   * Analyzes the extracted user data
+   * @param {Object} options - { dataDir, output, decisionsFile, dryRun }
+   * @returns {Object} { groups, proposals } - proposals only holds the records without a decision
+   */
+  analyze(options = {}) {
+    const load = name => loadExtractedFile(options.dataDir, name);
+    const legacyData = { accounts: load('accounts'), users: load('users'), accountPhones: load('accountPhones') || [] };
+
+    if (!legacyData.accounts || !legacyData.users) {
+      throw new Error(`accounts.json and users.json are required in ${options.dataDir}`);
+    }
+
+    const records = buildUserRecords(legacyData);
+    const groups = findDuplicateGroups(records);
+    const existing = this.loadDecisionsFile(options.decisionsFile);
+    // Validates the decisions already in the file
+    const decisions = new DuplicateDecisions(existing, options.decisionsFile);
+
+    const proposals = new Map();
+    for (const group of groups) {
+      for (const [key, proposal] of proposeDecisions(group)) {
+        // A merge is only proposed into a record that stays imported
+        const target = proposal.into && existing[proposal.into];
+        if (!existing[key] && (!target || target.action === 'keep')) {
+          proposals.set(key, { ...proposal, status: PROPOSED_STATUS });
+        }
+      }
+    }
+
+    const rows = this.buildReportRows(groups, decisions);
+    new DataSaver(options.output, 'csv').saveData(rows, 'user-duplicates');
+
+    if (!options.dryRun && proposals.size > 0) {
+      this.saveDecisionsFile(options.decisionsFile, { ...existing, ...Object.fromEntries(proposals) });
+    }
+
+    const recordKeys = new Set(records.map(record => record.key));
+    const staleKeys = Object.keys(existing).filter(key => !recordKeys.has(key));
+    const unreviewed = decisions.proposals.size + (options.dryRun ? 0 : proposals.size);
+
+    this.printSummary(records, groups, proposals, unreviewed, staleKeys, options);
+
+    return { groups, proposals };
+  }
+
+  loadDecisionsFile(filePath) {
+    const resolvedPath = path.resolve(filePath);
+    if (!fs.existsSync(resolvedPath)) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(resolvedPath, 'utf8')).decisions || {};
+    } catch (error) {
+      throw new Error(`Failed to parse duplicate decisions file ${resolvedPath}: ${error.message}`);
+    }
+  }
+
+  saveDecisionsFile(filePath, decisions) {
+    const sorted = Object.fromEntries(Object.entries(decisions).sort(([a], [b]) => a.localeCompare(b, 'en', { numeric: true })));
+    fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+    fs.writeFileSync(
+      path.resolve(filePath),
+      `${JSON.stringify({ description: DECISIONS_DESCRIPTION, decisions: sorted }, null, 2)}\n`
+    );
+    console.log(`✅ Saved ${filePath} (${Object.keys(sorted).length} decisions)`);
+  }
+
+  buildReportRows(groups, decisions) {
+    return groups.flatMap((group, index) => {
+      const proposals = proposeDecisions(group);
+
+      return group.members.map(record => {
+        const proposal = proposals.get(record.key) || { action: 'keep' };
+        const decision = decisions.get(record.key) || decisions.proposals.get(record.key);
+
+        return {
+          group: index + 1,
+          group_type: group.strong ? 'duplicate' : 'possible',
+          matches: group.matches.join('; '),
+          record: record.key,
+          legacy_id: record.legacyId,
+          type: record.type === 'account' ? 'customer' : 'manager',
+          first_name: record.firstName,
+          last_name: record.lastName,
+          email: record.email,
+          synthetic_email: record.email && !normalizeEmail(record.email) ? 'yes' : 'no',
+          phones: record.phones.join('; '),
+          created_at: record.createdAt,
+          proposed_action: proposal.action,
+          proposed_into: proposal.into || '',
+          proposed_email: proposal.email || '',
+          reason: proposal.reason || '',
+          decision: decision ? decision.action : '',
+          decision_status: decision ? decision.status || 'accepted' : '',
+          decision_into: decision && decision.into ? decision.into : '',
+          decision_email: decision && decision.email ? decision.email : ''
+        };
+      });
+    });
+  }
+
+  printSummary(records, groups, proposals, unreviewed, staleKeys, options) {
+    const duplicates = groups.filter(group => group.strong);
+    const syntheticEmails = records.filter(record => record.email && !normalizeEmail(record.email)).length;
+
+    console.log('\n📊 User Duplicate Analysis:');
+    console.log('===========================');
+    console.log(`  Records (customers and managers): ${records.length}`);
+    console.log(`  Accounts with a synthetic email: ${syntheticEmails}`);
+    console.log(`  Duplicate groups (email, or name and phone): ${duplicates.length}`);
+    console.log(`  Possible duplicate groups (name or phone only): ${groups.length - duplicates.length}`);
+    console.log(`  New proposals: ${proposals.size}${options.dryRun && proposals.size > 0 ? ' (not saved, --dry-run)' : ''}`);
+    console.log(`  Proposals awaiting review: ${unreviewed}`);
+
+    if (staleKeys.length > 0) {
+      console.warn(`⚠️ ${staleKeys.length} decisions refer to records the import no longer creates: ${staleKeys.join(', ')}`);
+    }
+    if (unreviewed > 0) {
+      console.log(
+        `\n📝 Review the proposals in ${options.decisionsFile} and remove "status": "${PROPOSED_STATUS}" from the accepted ones before importing users`
+      );
+    }
+  }
+}
+
+function bootstrap() {
+  console.log('🚀 Starting User Duplicate Analysis...');
+
+  // Parse command line arguments
+  const options = parseArguments();
+
+  if (options.help) {
+    showHelp();
+    return;
+  }
+
+  if (!fs.existsSync(options.dataDir)) {
+    console.error(`❌ Extracted data directory not found: ${options.dataDir}`);
+    process.exit(1);
+  }
+
+  try {
+    new UserDuplicateAnalysis().analyze(options);
+  } catch (error) {
+    console.error('❌ User duplicate analysis failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  bootstrap();
+}
+
+// Export the class for use in other scripts
+module.exports = { UserDuplicateAnalysis };
@@ -134,15 +134,26 @@ class DatabaseCleaner {
     console.log('📊 Checking what data would be deleted...\n');
 
     const tables = [
+      // Invoice data (references users and operation groups)
+      'invoice_items',
+      'invoices',
+      
       // Case/inventory data (deleted first due to dependencies)
       'wine_inventory_entries',
       'operation_extras',
+      'operation_extra_templates',
       'cases_operations',
       'operations_requests',
       'operations_groups',
       'cases',
+      'locker_rentals',
+      'lockers',
       
       // User data
+      'customer_pricing',
+      'customer_contacts',
+      'user_audit_logs',
+      'legacy_user_aliases',
       'addresses',
       'users',
       
@@ -201,15 +212,24 @@ class DatabaseCleaner {
     // Clear in proper foreign key dependency order - dependent tables first
     
     console.log('🔄 Step 1: Clearing case/inventory data (depends on wines and users)...');
+    await this.deleteFromTable('invoice_items', 'Invoice items');
+    await this.deleteFromTable('invoices', 'Invoices');
     await this.deleteFromTable('wine_inventory_entries', 'Wine inventory entries');
     await this.deleteFromTable('operation_extras', 'Operation extras');
+    await this.deleteFromTable('operation_extra_templates', 'Operation extra templates');
     await this.deleteFromTable('cases_operations', 'Case operations');
     await this.deleteFromTable('operations_requests', 'Operation requests');
     await this.deleteFromTable('operations_groups', 'Operation groups');
     await this.deleteFromTable('cases', 'Cases');
+    await this.deleteFromTable('locker_rentals', 'Locker rentals');
+    await this.deleteFromTable('lockers', 'Lockers');
 
     console.log('\n👥 Step 2: Clearing user data...');
-    // Clear addresses first (depends on users)
+    // Clear customer pricing, contacts, audit logs, aliases and addresses first (depend on users)
+    await this.deleteFromTable('customer_pricing', 'Customer pricing');
+    await this.deleteFromTable('customer_contacts', 'Customer contacts');
+    await this.deleteFromTable('user_audit_logs', 'User audit logs');
+    await this.deleteFromTable('legacy_user_aliases', 'Legacy user aliases');
     await this.deleteFromTableWithUserCondition('addresses', 'Addresses');
     // Clear users with legacy_user_id (imported users only)
     await this.deleteFromTable('users', 'Legacy users');
@@ -29,14 +29,18 @@ const EXTRACT_ACTIVE_ACCOUNTS_ONLY = true;
  *   node scripts/extract-case-data.js --config=./database-extract.config.json
  *   node scripts/extract-case-data.js --output=./extracted-data --format=json
  *   node scripts/extract-case-data.js --format=csv --output=./case-data-csv
+ *   node scripts/extract-case-data.js --incremental   # Only rows changed since the last run
  * 
  * Output Files Generated:
  * - cases.json - Main case information
  * - caseDetails.json - Individual wine items within cases
  * - caseLocations.json - Case storage locations
  * - lockers.json - Storage locker details
+ * - activityStatuses.json - Activity status names (see activity-status-mapping.json)
  * - wineItems.json - Wine product information
  * - Plus all supporting wine metadata tables
+ * - With --incremental: deltas/<run>/cases-*.json holding only changed rows,
+ *   merged into the files above, plus .extraction-state.json watermarks
  * 
  * Data Integrity Checks:
  * - Validates case details have associated cases
@@ -45,9 +49,11 @@ const EXTRACT_ACTIVE_ACCOUNTS_ONLY = true;
  * - Reports orphaned records for migration planning
  */
 
-const fs = require('fs');
-const path = require('path');
 const { program } = require('commander');
+const { DatabaseConfig } = require('./utils/database-config');
+const path = require('path');
+const { LegacyDataExtractor, DataSaver, printTroubleshootingGuide } = require('./utils/legacy-data-extractor');
+const { ExtractionState, DEFAULT_STATE_FILE } = require('./utils/extraction-state');
 
 /**
  * Generate SQL queries for case data extraction
@@ -191,6 +197,17 @@ function getExtractionQueries(activeAccountsOnly = false) {
     FROM DEP_CaseTypes ct
     ORDER BY ct.CaseTypeID
   `,
+
+  // Status names of Activities.Status, mapped through activity-status-mapping.json on import
+  activityStatuses: `
+    SELECT 
+      ast.ActivityStatusID,
+      ast.Status,
+      ast.StatusName,
+      ast.SortOrder
+    FROM ActivityStatuses ast
+    ORDER BY ast.SortOrder, ast.Status
+  `,
   
   // Additional case-related data for comprehensive extraction
   lockerDetails: `
@@ -221,135 +238,31 @@ function getExtractionQueries(activeAccountsOnly = false) {
   };
 }
 
-/**
- * Database connection configuration
- */
-class DatabaseConfig {
-  constructor(configPath) {
-    this.configPath = configPath;
-    this.config = this.loadConfig();
-  }
-
-  loadConfig() {
-    try {
-      if (fs.existsSync(this.configPath)) {
-        const configData = fs.readFileSync(this.configPath, 'utf8');
-        return JSON.parse(configData);
-      }
-    } catch (error) {
-      console.warn(`Warning: Could not load config from ${this.configPath}:`, error.message);
-    }
-
-    // Default configuration - you can override these with environment variables
-    return {
-      server: process.env.DB_SERVER || 'localhost',
-      database: process.env.DB_NAME || 'Chelsea',
-      user: process.env.DB_USER || 'sa',
-      password: process.env.DB_PASSWORD || '',
-      port: process.env.DB_PORT || 1433,
-      options: {
-        encrypt: process.env.DB_ENCRYPT === 'true',
-        trustServerCertificate: process.env.DB_TRUST_CERT === 'true',
-        enableArithAbort: true
-      }
-    };
-  }
-
-  getConnectionString() {
-    return {
-      server: this.config.server,
-      database: this.config.database,
-      user: this.config.user,
-      password: this.config.password,
-      port: this.config.port,
-      options: this.config.options
-    };
-  }
-}
+// Incremental extraction settings: merge key and change-date columns per query.
+// caseTypes, activityStatuses and lockerHistory have no change dates and are always extracted in full.
+const WATERMARKS = {
+  cases: { key: 'legacy_case_id', columns: ['updated_at', 'created_at'] },
+  caseDetails: { key: 'legacy_case_detail_id', columns: ['updated_at', 'created_at'] },
+  caseLocations: { key: 'legacy_case_location_id', columns: ['updated_at', 'created_at'] },
+  activities: { key: 'ActivityID', columns: ['DateUpdated', 'DateCreated'] },
+  activityDetails: { key: 'ActivityDetailID', columns: ['DateUpdated', 'DateCreated'] },
+  lockers: { key: 'legacy_locker_id', columns: ['updated_at', 'created_at'] },
+  lockerDetails: { key: 'legacy_locker_detail_id', columns: ['updated_at', 'created_at'] }
+};
 
 /**
- * Data extractor class
+ * Case data extractor class
+ * Adds case/inventory integrity checks on top of the shared extraction core
  */
-class LegacyCaseDataExtractor {
-  constructor(config) {
-    this.config = config;
-    this.mssql = null;
-    this.connection = null;
-  }
-
-  async connect() {
-    try {
-      // Dynamically import mssql to avoid requiring it if not needed
-      this.mssql = require('mssql');
-      
-      const connectionConfig = this.config.getConnectionString();
-      
-      console.log('Connecting to SQL Server...');
-      console.log(`Server: ${connectionConfig.server}:${connectionConfig.port}`);
-      console.log(`Database: ${connectionConfig.database}`);
-      console.log(`User: ${connectionConfig.user}`);
-      
-      this.connection = await this.mssql.connect(connectionConfig);
-      console.log('✅ Connected to SQL Server successfully');
-      
-    } catch (error) {
-      console.error('❌ Failed to connect to SQL Server:', error.message);
-      throw error;
-    }
-  }
-
-  async disconnect() {
-    if (this.connection) {
-      await this.connection.close();
-      console.log('✅ Disconnected from SQL Server');
-    }
-  }
-
-  async executeQuery(queryName, query) {
-    try {
-      console.log(`Executing query: ${queryName}`);
-      const result = await this.connection.request().query(query);
-      console.log(`✅ ${queryName}: ${result.recordset.length} records extracted`);
-      return result.recordset;
-    } catch (error) {
-      console.error(`❌ Error executing ${queryName}:`, error.message);
-      
-      // Provide specific troubleshooting guidance based on error type
-      if (error.message.includes('permission')) {
-        console.error(`💡 Permission Error: Ensure database user has SELECT permissions on ${queryName} table`);
-      } else if (error.message.includes('Invalid object name')) {
-        console.error(`💡 Table Not Found: Verify table '${queryName}' exists in the database`);
-      } else if (error.message.includes('Login failed')) {
-        console.error(`💡 Authentication Error: Check username/password in database configuration`);
-      } else if (error.message.includes('timeout')) {
-        console.error(`💡 Timeout Error: Check network connectivity and database performance`);
-      } else if (error.message.includes('connection')) {
-        console.error(`💡 Connection Error: Verify SQL Server is running and accessible`);
-      }
-      
-      throw error;
-    }
+class LegacyCaseDataExtractor extends LegacyDataExtractor {
+  constructor(dbConfig, options = {}, activeAccountsOnly = EXTRACT_ACTIVE_ACCOUNTS_ONLY) {
+    super(dbConfig, getExtractionQueries(activeAccountsOnly), { name: 'case', watermarks: WATERMARKS, ...options });
+    this.activeAccountsOnly = activeAccountsOnly;
   }
 
   async extractAllData() {
-    const extractedData = {};
-    const queries = getExtractionQueries(EXTRACT_ACTIVE_ACCOUNTS_ONLY);
-    
-    console.log(`📊 Extracting case data from ${EXTRACT_ACTIVE_ACCOUNTS_ONLY ? 'ACTIVE' : 'ALL'} accounts...`);
-    
-    for (const [queryName, query] of Object.entries(queries)) {
-      try {
-        extractedData[queryName] = await this.executeQuery(queryName, query);
-      } catch (error) {
-        console.error(`Failed to extract ${queryName}, continuing with other queries...`);
-        extractedData[queryName] = [];
-      }
-    }
-    
-    // Perform data integrity checks
-    await this.validateDataIntegrity(extractedData);
-    
-    return extractedData;
+    console.log(`📊 Extracting case data from ${this.activeAccountsOnly ? 'ACTIVE' : 'ALL'} accounts...`);
+    return super.extractAllData();
   }
 
   async validateDataIntegrity(extractedData) {
@@ -400,110 +313,16 @@ class LegacyCaseDataExtractor {
       }
     }
     
-    console.log('✅ Data integrity checks completed');
-  }
-}
-
-/**
- * Data saver class
- */
-class DataSaver {
-  constructor(outputDir, format = 'json') {
-    this.outputDir = outputDir;
-    this.format = format.toLowerCase();
-    this.ensureOutputDir();
-  }
-
-  ensureOutputDir() {
-    if (!fs.existsSync(this.outputDir)) {
-      fs.mkdirSync(this.outputDir, { recursive: true });
-      console.log(`Created output directory: ${this.outputDir}`);
-    }
-  }
-
-  saveData(data, filename) {
-    const filePath = path.join(this.outputDir, `${filename}.${this.format}`);
-    
-    try {
-      let content;
-      
-      switch (this.format) {
-        case 'json':
-          content = JSON.stringify(data, null, 2);
-          break;
-          
-        case 'csv':
-          content = this.convertToCSV(data);
-          break;
-          
-        case 'sql':
-          content = this.convertToSQL(data, filename);
-          break;
-          
-        default:
-          throw new Error(`Unsupported format: ${this.format}`);
+    // Check for activity statuses without an ActivityStatuses row
+    if (extractedData.activities && extractedData.activityStatuses) {
+      const statuses = new Set(extractedData.activityStatuses.map(s => String(s.Status)));
+      const unknownStatuses = extractedData.activities.filter(a => !statuses.has(String(a.Status)));
+      if (unknownStatuses.length > 0) {
+        console.warn(`⚠️ Warning: ${unknownStatuses.length} activities have a status missing from ActivityStatuses (mapped by code only)`);
       }
-      
-      fs.writeFileSync(filePath, content);
-      console.log(`✅ Saved ${filename}.${this.format} (${data.length} records)`);
-      
-    } catch (error) {
-      console.error(`❌ Failed to save ${filename}.${this.format}:`, error.message);
-      throw error;
-    }
-  }
-
-  convertToCSV(data) {
-    if (!data || data.length === 0) return '';
-    
-    const headers = Object.keys(data[0]);
-    const csvRows = [headers.join(',')];
-    
-    for (const row of data) {
-      const values = headers.map(header => {
-        const value = row[header];
-        // Escape commas and quotes in CSV
-        if (typeof value === 'string' && (value.includes(',') || value.includes('"'))) {
-          return `"${value.replace(/"/g, '""')}"`;
-        }
-        return value;
-      });
-      csvRows.push(values.join(','));
-    }
-    
-    return csvRows.join('\n');
-  }
-
-  convertToSQL(data, tableName) {
-    if (!data || data.length === 0) return `-- No data for ${tableName}\n`;
-    
-    const columns = Object.keys(data[0]);
-    let sql = `-- ${tableName} data\n`;
-    sql += `INSERT INTO temp_${tableName} (${columns.join(', ')}) VALUES\n`;
-    
-    const values = data.map(row => {
-      const rowValues = columns.map(col => {
-        const value = row[col];
-        if (value === null || value === undefined) return 'NULL';
-        if (typeof value === 'string') return `'${value.replace(/'/g, "''")}'`;
-        if (typeof value === 'boolean') return value ? 'true' : 'false';
-        return value;
-      });
-      return `(${rowValues.join(', ')})`;
-    });
-    
-    sql += values.join(',\n') + ';\n';
-    return sql;
-  }
-
-  saveAllData(extractedData) {
-    console.log(`\nSaving extracted data in ${this.format.toUpperCase()} format...`);
-    
-    for (const [queryName, data] of Object.entries(extractedData)) {
-      this.saveData(data, `cases-${queryName}`);
     }
     
-    console.log(`\n✅ All data saved to: ${this.outputDir}`);
+    console.log('✅ Data integrity checks completed');
   }
 }
 
@@ -517,6 +336,8 @@ async function main() {
     .option('-c, --config <path>', 'Database configuration file path', './database-extract.config.json')
     .option('-o, --output <dir>', 'Output directory for extracted data', './extracted-data')
     .option('-f, --format <format>', 'Output format (json, csv, sql)', 'json')
+    .option('-i, --incremental', 'Only extract rows changed since the last run (requires json format)')
+    .option('-s, --state-file <path>', 'Incremental extraction state file (default: <output>/.extraction-state.json)')
     .parse(process.argv);
   
   const options = program.opts();
@@ -531,29 +352,19 @@ async function main() {
     
     // Load database configuration
     const dbConfig = new DatabaseConfig(options.config);
+    dbConfig.validate();
     
     // Create data extractor
-    const extractor = new LegacyCaseDataExtractor(dbConfig);
-    
-    // Connect to database
-    await extractor.connect();
-    
-    // Extract all data
-    const extractedData = await extractor.extractAllData();
-    
-    // Disconnect from database
-    await extractor.disconnect();
+    const extractor = new LegacyCaseDataExtractor(dbConfig, {
+      incremental: options.incremental,
+      state: options.incremental
+        ? new ExtractionState(options.stateFile || path.join(options.output, DEFAULT_STATE_FILE))
+        : null
+    });
     
-    // Save extracted data
-    const dataSaver = new DataSaver(options.output, options.format);
-    dataSaver.saveAllData(extractedData);
-    
-    // Summary
-    console.log('\n📋 Extraction Summary:');
-    console.log('========================');
-    for (const [queryName, data] of Object.entries(extractedData)) {
-      console.log(`${queryName}: ${data.length} records`);
-    }
+    // Extract all data and save it (files are prefixed with "cases-")
+    const dataSaver = new DataSaver(options.output, options.format, { filePrefix: 'cases-' });
+    await extractor.run(dataSaver);
     
     console.log(`\n🎉 Case data extraction completed successfully!`);
     console.log(`Filter Applied: ${EXTRACT_ACTIVE_ACCOUNTS_ONLY ? 'Active accounts only' : 'All accounts (active and inactive)'}`);
@@ -584,33 +395,7 @@ async function main() {
   } catch (error) {
     console.error('\n❌ Case data extraction failed:', error.message);
     
-    // Provide comprehensive error guidance
-    console.log('\n🔧 Troubleshooting Guide:');
-    console.log('========================');
-    
-    if (error.message.includes('ECONNREFUSED')) {
-      console.log('1. Check if SQL Server is running');
-      console.log('2. Verify the server address and port in database-extract.config.json');
-      console.log('3. Check firewall settings and network connectivity');
-    } else if (error.message.includes('Login failed')) {
-      console.log('1. Verify username and password in database-extract.config.json');
-      console.log('2. Check if the user account is active and has proper permissions');
-      console.log('3. Ensure the database name is correct');
-    } else if (error.message.includes('permission')) {
-      console.log('1. Ensure the database user has SELECT permissions on all tables');
-      console.log('2. Check if the user has access to the specified database');
-      console.log('3. Verify the user is not locked or expired');
-    } else if (error.message.includes('Invalid object name')) {
-      console.log('1. Verify table names exist in the database');
-      console.log('2. Check if you\'re connected to the correct database');
-      console.log('3. Ensure table names match the case sensitivity of your SQL Server');
-    } else {
-      console.log('1. Check the database connection configuration');
-      console.log('2. Verify SQL Server is accessible from your network');
-      console.log('3. Review the error message above for specific details');
-    }
-    
-    console.log('\n📞 For additional help, check the database connection and try again.');
+    printTroubleshootingGuide(error);
     process.exit(1);
   }
 }
@@ -621,9 +406,8 @@ if (require.main === module) {
 }
 
 module.exports = {
-  DatabaseConfig,
   LegacyCaseDataExtractor,
-  DataSaver,
   getExtractionQueries,
+  WATERMARKS,
   EXTRACT_ACTIVE_ACCOUNTS_ONLY
 };
@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+
+/**
+ * Legacy Extras Data Extraction Script
+ *
+ * See LLM_SCRIPT_INSTRUCTIONS.md for project-wide guidelines
+ *
+ * This script connects to the legacy SQL Server database and extracts the
+ * catalogs operation extras are billed from: shipping methods and supplies.
+ * Inactive entries are extracted too, migrated extras may still refer to them.
+ *
+ * Usage:
+ *   pnpm run extras:extract                    # Extract with default settings
+ *   node scripts/extract-extras-data.js --help # Show command line options
+ *
+ * Examples:
+ *   node scripts/extract-extras-data.js --config=./database-extract.config.json
+ *   node scripts/extract-extras-data.js --output=./extracted-data --format=json
+ *   node scripts/extract-extras-data.js --incremental   # Only rows changed since the last run
+ *
+ * Output Files Generated:
+ * - extras-shippingMethods.json - Shipping methods (PricePerCase, ShippingMinPrice)
+ * - extras-supplies.json - Supplies sold through activities (SupplyPrice)
+ * - With --incremental: deltas/<run>/extras-*.json holding only changed rows,
+ *   merged into the files above, plus .extraction-state.json watermarks
+ *
+ * Data Integrity Checks:
+ * - Reports entries without a name or a price
+ */
+
+const { program } = require('commander');
+const { DatabaseConfig } = require('./utils/database-config');
+const path = require('path');
+const { LegacyDataExtractor, DataSaver, printTroubleshootingGuide } = require('./utils/legacy-data-extractor');
+const { ExtractionState, DEFAULT_STATE_FILE } = require('./utils/extraction-state');
+
+/**
+ * SQL queries for extras catalog extraction
+ */
+const EXTRACTION_QUERIES = {
+  shippingMethods: `
+    SELECT
+      sm.ShippingMethodID as legacy_shipping_method_id,
+      sm.ShippingMethodName,
+      sm.PricePerCase,
+      sm.ShippingMinPrice,
+      sm.DisplayOrder,
+      CASE WHEN sm.IsActive = 1 THEN 'true' ELSE 'false' END as is_active,
+      CASE WHEN sm.isPortal = 1 THEN 'true' ELSE 'false' END as is_portal,
+      sm.DateCreated as created_at,
+      sm.DateUpdated as updated_at
+    FROM ShippingMethods sm
+    ORDER BY sm.ShippingMethodID
+  `,
+
+  supplies: `
+    SELECT
+      s.SupplyID as legacy_supply_id,
+      s.SupplyName,
+      s.SupplyPrice,
+      s.DisplayOrder,
+      CASE WHEN s.IsActive = 1 THEN 'true' ELSE 'false' END as is_active,
+      s.DateCreated as created_at,
+      s.DateUpdated as updated_at
+    FROM Supplies s
+    ORDER BY s.SupplyID
+  `
+};
+
+// Incremental extraction settings: merge key and change-date columns per query
+const WATERMARKS = {
+  shippingMethods: { key: 'legacy_shipping_method_id', columns: ['updated_at', 'created_at'] },
+  supplies: { key: 'legacy_supply_id', columns: ['updated_at', 'created_at'] }
+};
+
+/**
+ * Extras catalog extractor class
+ * Adds catalog integrity checks on top of the shared extraction core
+ */
+class LegacyExtrasDataExtractor extends LegacyDataExtractor {
+  constructor(dbConfig, options = {}) {
+    super(dbConfig, EXTRACTION_QUERIES, { name: 'extras', watermarks: WATERMARKS, ...options });
+  }
+
+  async validateDataIntegrity(extractedData) {
+    console.log('\n🔍 Performing data integrity checks...');
+
+    const checks = [
+      ['shippingMethods', 'shipping methods', 'ShippingMethodName', 'PricePerCase'],
+      ['supplies', 'supplies', 'SupplyName', 'SupplyPrice']
+    ];
+
+    for (const [queryName, label, nameColumn, priceColumn] of checks) {
+      const rows = extractedData[queryName];
+      if (!rows) {
+        continue;
+      }
+
+      const withoutName = rows.filter(row => !row[nameColumn]);
+      if (withoutName.length > 0) {
+        console.warn(`⚠️ Warning: ${withoutName.length} ${label} have no name`);
+      }
+
+      const withoutPrice = rows.filter(row => row[priceColumn] === null);
+      if (withoutPrice.length > 0) {
+        console.warn(`⚠️ Warning: ${withoutPrice.length} ${label} have no price (imported at 0)`);
+      }
+    }
+
+    console.log('✅ Data integrity checks completed');
+  }
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  program
+    .name('extract-extras-data')
+    .description('Extract shipping methods and supplies from legacy SQL Server system and save locally')
+    .option('-c, --config <path>', 'Database configuration file path', './database-extract.config.json')
+    .option('-o, --output <dir>', 'Output directory for extracted data', './extracted-data')
+    .option('-f, --format <format>', 'Output format (json, csv, sql)', 'json')
+    .option('-i, --incremental', 'Only extract rows changed since the last run (requires json format)')
+    .option('-s, --state-file <path>', 'Incremental extraction state file (default: <output>/.extraction-state.json)')
+    .parse(process.argv);
+
+  const options = program.opts();
+
+  try {
+    console.log('🧰 Legacy Extras Data Extractor');
+    console.log('================================\n');
+    console.log('This script will extract shipping methods and supplies from your legacy SQL Server database');
+    console.log('and save them locally in your preferred format for migration.\n');
+    console.log('💡 Quick start: pnpm run extras:extract\n');
+
+    // Load database configuration
+    const dbConfig = new DatabaseConfig(options.config);
+    dbConfig.validate();
+
+    // Create data extractor
+    const extractor = new LegacyExtrasDataExtractor(dbConfig, {
+      incremental: options.incremental,
+      state: options.incremental
+        ? new ExtractionState(options.stateFile || path.join(options.output, DEFAULT_STATE_FILE))
+        : null
+    });
+
+    // Extract all data and save it (files are prefixed with "extras-")
+    const dataSaver = new DataSaver(options.output, options.format, { filePrefix: 'extras-' });
+    await extractor.run(dataSaver);
+
+    console.log(`\n🎉 Extras data extraction completed successfully!`);
+
+    // Provide validation queries
+    console.log(`\n📊 Validation Queries:`);
+    console.log(`========================`);
+    console.log(`-- SELECT COUNT(*) as total_shipping_methods FROM ShippingMethods;`);
+    console.log(`-- SELECT COUNT(*) as total_supplies FROM Supplies;`);
+
+    console.log(`\nNext steps:`);
+    console.log(`1. Review the extracted data in: ${options.output}`);
+    console.log(`2. Run the extras import script: pnpm run extras:import`);
+
+  } catch (error) {
+    console.error('\n❌ Extras data extraction failed:', error.message);
+
+    printTroubleshootingGuide(error);
+    process.exit(1);
+  }
+}
+
+// Run the script
+if (require.main === module) {
+  main().catch(console.error);
+}
+
+module.exports = {
+  LegacyExtrasDataExtractor,
+  EXTRACTION_QUERIES,
+  WATERMARKS
+};
@@ -0,0 +1,213 @@
+#!/usr/bin/env node
+
+/**
+ * Legacy Invoice Data Extraction Script
+ *
+ * See LLM_SCRIPT_INSTRUCTIONS.md for project-wide guidelines
+ *
+ * This script connects to the legacy SQL Server database, extracts invoices
+ * with their detail lines and saves them locally for migration purposes.
+ * All invoices are extracted, including invoices of inactive accounts and
+ * deleted detail lines (DateDeleted is kept for the import).
+ *
+ * Usage:
+ *   pnpm run invoice:extract                    # Extract with default settings
+ *   node scripts/extract-invoice-data.js --help # Show command line options
+ *
+ * Examples:
+ *   node scripts/extract-invoice-data.js --config=./database-extract.config.json
+ *   node scripts/extract-invoice-data.js --output=./extracted-data --format=json
+ *   node scripts/extract-invoice-data.js --incremental   # Only rows changed since the last run
+ *
+ * Output Files Generated:
+ * - invoices-invoices.json - Invoice headers (account, status, bill-to address, dates)
+ * - invoices-invoiceDetails.json - Invoice lines (MovementType, ItemType, Quantity, Price, ActivityID, DateDeleted)
+ * - With --incremental: deltas/<run>/invoices-*.json holding only changed rows,
+ *   merged into the files above, plus .extraction-state.json watermarks
+ *
+ * Data Integrity Checks:
+ * - Reports invoice lines without an invoice
+ * - Reports invoices without an account
+ * - Reports line totals that differ from Quantity * Price
+ */
+
+const { program } = require('commander');
+const { DatabaseConfig } = require('./utils/database-config');
+const path = require('path');
+const { LegacyDataExtractor, DataSaver, printTroubleshootingGuide } = require('./utils/legacy-data-extractor');
+const { ExtractionState, DEFAULT_STATE_FILE } = require('./utils/extraction-state');
+
+/**
+ * SQL queries for invoice data extraction
+ * The _bck copies of both tables are not extracted, they duplicate the live rows.
+ */
+const EXTRACTION_QUERIES = {
+  invoices: `
+    SELECT
+      i.InvoiceID as legacy_invoice_id,
+      i.AccountID as legacy_account_id,
+      i.InvoiceStatus,
+      i.BillToName,
+      i.BillToAddressLine1,
+      i.BillToAddressLine2,
+      i.BillToCity,
+      i.BillToState,
+      i.BillToZipCode,
+      i.InvoiceDate,
+      i.DueDate,
+      i.DateCreated as created_at,
+      i.DateUpdated as updated_at,
+      i.UserID as legacy_user_id
+    FROM Invoices i
+    ORDER BY i.InvoiceID
+  `,
+
+  invoiceDetails: `
+    SELECT
+      id.InvoiceDetailID as legacy_invoice_detail_id,
+      id.InvoiceID as legacy_invoice_id,
+      id.MovementType,
+      id.ItemType,
+      id.ItemDescription,
+      id.ItemDate,
+      id.Quantity,
+      id.Price,
+      id.TotalPrice,
+      id.ActivityID,
+      id.DateCreated as created_at,
+      id.DateUpdated as updated_at,
+      id.DateDeleted as deleted_at,
+      id.UserID as legacy_user_id
+    FROM InvoiceDetails id
+    ORDER BY id.InvoiceDetailID
+  `
+};
+
+// Incremental extraction settings: merge key and change-date columns per query.
+// Deleted lines are picked up by their deletion date, DateUpdated is not always set on delete.
+const WATERMARKS = {
+  invoices: { key: 'legacy_invoice_id', columns: ['updated_at', 'created_at'] },
+  invoiceDetails: { key: 'legacy_invoice_detail_id', columns: ['deleted_at', 'updated_at', 'created_at'] }
+};
+
+/**
+ * Invoice data extractor class
+ * Adds invoice integrity checks on top of the shared extraction core
+ */
+class LegacyInvoiceDataExtractor extends LegacyDataExtractor {
+  constructor(dbConfig, options = {}) {
+    super(dbConfig, EXTRACTION_QUERIES, { name: 'invoice', watermarks: WATERMARKS, ...options });
+  }
+
+  async validateDataIntegrity(extractedData) {
+    console.log('\n🔍 Performing data integrity checks...');
+
+    if (extractedData.invoices && extractedData.invoices.length === 0) {
+      console.warn('⚠️ Warning: No invoices found - this may indicate a configuration issue');
+    }
+
+    // Check for invoice lines without an invoice
+    if (extractedData.invoices && extractedData.invoiceDetails) {
+      const invoiceIds = new Set(extractedData.invoices.map(invoice => invoice.legacy_invoice_id));
+      const orphanedDetails = extractedData.invoiceDetails.filter(detail => !invoiceIds.has(detail.legacy_invoice_id));
+      if (orphanedDetails.length > 0) {
+        console.warn(`⚠️ Warning: ${orphanedDetails.length} invoice details found without associated invoices`);
+      }
+    }
+
+    // Check for invoices without an account
+    if (extractedData.invoices) {
+      const withoutAccount = extractedData.invoices.filter(invoice => !invoice.legacy_account_id);
+      if (withoutAccount.length > 0) {
+        console.warn(`⚠️ Warning: ${withoutAccount.length} invoices have no account`);
+      }
+    }
+
+    // Check line totals
+    if (extractedData.invoiceDetails) {
+      const mismatched = extractedData.invoiceDetails.filter(detail =>
+        detail.TotalPrice !== null &&
+        detail.Quantity !== null &&
+        detail.Price !== null &&
+        Math.abs(detail.Quantity * detail.Price - detail.TotalPrice) >= 0.01
+      );
+      if (mismatched.length > 0) {
+        console.warn(`⚠️ Warning: ${mismatched.length} invoice details have a TotalPrice other than Quantity * Price`);
+      }
+    }
+
+    console.log('✅ Data integrity checks completed');
+  }
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  program
+    .name('extract-invoice-data')
+    .description('Extract invoice data from legacy SQL Server system and save locally')
+    .option('-c, --config <path>', 'Database configuration file path', './database-extract.config.json')
+    .option('-o, --output <dir>', 'Output directory for extracted data', './extracted-data')
+    .option('-f, --format <format>', 'Output format (json, csv, sql)', 'json')
+    .option('-i, --incremental', 'Only extract rows changed since the last run (requires json format)')
+    .option('-s, --state-file <path>', 'Incremental extraction state file (default: <output>/.extraction-state.json)')
+    .parse(process.argv);
+
+  const options = program.opts();
+
+  try {
+    console.log('🧾 Legacy Invoice Data Extractor');
+    console.log('=================================\n');
+    console.log('This script will extract invoices and invoice details from your legacy SQL Server database');
+    console.log('and save them locally in your preferred format for migration.\n');
+    console.log('💡 Quick start: pnpm run invoice:extract\n');
+
+    // Load database configuration
+    const dbConfig = new DatabaseConfig(options.config);
+    dbConfig.validate();
+
+    // Create data extractor
+    const extractor = new LegacyInvoiceDataExtractor(dbConfig, {
+      incremental: options.incremental,
+      state: options.incremental
+        ? new ExtractionState(options.stateFile || path.join(options.output, DEFAULT_STATE_FILE))
+        : null
+    });
+
+    // Extract all data and save it (files are prefixed with "invoices-")
+    const dataSaver = new DataSaver(options.output, options.format, { filePrefix: 'invoices-' });
+    await extractor.run(dataSaver);
+
+    console.log(`\n🎉 Invoice data extraction completed successfully!`);
+
+    // Provide validation queries
+    console.log(`\n📊 Validation Queries:`);
+    console.log(`========================`);
+    console.log(`-- SELECT COUNT(*) as total_invoices FROM Invoices;`);
+    console.log(`-- SELECT COUNT(*) as total_invoice_details FROM InvoiceDetails;`);
+    console.log(`-- SELECT COUNT(*) as deleted_invoice_details FROM InvoiceDetails WHERE DateDeleted IS NOT NULL;`);
+
+    console.log(`\nNext steps:`);
+    console.log(`1. Review the extracted data in: ${options.output}`);
+    console.log(`2. Import users and cases first (invoices link to customers and operation groups)`);
+    console.log(`3. Run the invoice import script: pnpm run invoice:import`);
+
+  } catch (error) {
+    console.error('\n❌ Invoice data extraction failed:', error.message);
+
+    printTroubleshootingGuide(error);
+    process.exit(1);
+  }
+}
+
+// Run the script
+if (require.main === module) {
+  main().catch(console.error);
+}
+
+module.exports = {
+  LegacyInvoiceDataExtractor,
+  EXTRACTION_QUERIES,
+  WATERMARKS
+};
@@ -12,11 +12,14 @@
  *   node scripts/extract-user-data.js --help
  *   node scripts/extract-user-data.js --config=./database-extract.config.json
  *   node scripts/extract-user-data.js --output=./extracted-data --format=json
+ *   node scripts/extract-user-data.js --incremental   # Only rows changed since the last run
  */
 
-const fs = require('fs');
-const path = require('path');
 const { program } = require('commander');
+const { DatabaseConfig } = require('./utils/database-config');
+const path = require('path');
+const { LegacyDataExtractor, DataSaver, printTroubleshootingGuide } = require('./utils/legacy-data-extractor');
+const { ExtractionState, DEFAULT_STATE_FILE } = require('./utils/extraction-state');
 
 // SQL queries for user data extraction
 // IMPORTANT: These queries extract ALL data - active, inactive, deleted, and historical records
@@ -133,135 +136,35 @@ const EXTRACTION_QUERIES = {
       unh.dte_end as end_date
     FROM UserNameHistory unh
     ORDER BY unh.UserNameHistoryID
+  `,
+
+  // Logins of the customer portal, keyed on the username used at the time
+  loginHistory: `
+    SELECT 
+      lh.Username,
+      lh.DateLogged
+    FROM owinuserloginhistory lh
+    ORDER BY lh.DateLogged, lh.Username
   `
 };
 
-/**
- * Database connection configuration
- */
-class DatabaseConfig {
-  constructor(configPath) {
-    this.configPath = configPath;
-    this.config = this.loadConfig();
-  }
-
-  loadConfig() {
-    try {
-      if (fs.existsSync(this.configPath)) {
-        const configData = fs.readFileSync(this.configPath, 'utf8');
-        return JSON.parse(configData);
-      }
-    } catch (error) {
-      console.warn(`Warning: Could not load config from ${this.configPath}:`, error.message);
-    }
-
-    // Default configuration - you can override these with environment variables
-    return {
-      server: process.env.DB_SERVER || 'localhost',
-      database: process.env.DB_NAME || 'Chelsea',
-      user: process.env.DB_USER || 'sa',
-      password: process.env.DB_PASSWORD || '',
-      port: process.env.DB_PORT || 1433,
-      options: {
-        encrypt: process.env.DB_ENCRYPT === 'true',
-        trustServerCertificate: process.env.DB_TRUST_CERT === 'true',
-        enableArithAbort: true
-      }
-    };
-  }
-
-  getConnectionString() {
-    return {
-      server: this.config.server,
-      database: this.config.database,
-      user: this.config.user,
-      password: this.config.password,
-      port: this.config.port,
-      options: this.config.options
-    };
-  }
-}
+// Incremental extraction settings: merge key and change-date columns per query.
+// accountPhones, addresses, contactPhones and userNameHistory have no change
+// dates and loginHistory has no key, they are always extracted in full.
+const WATERMARKS = {
+  users: { key: 'legacy_user_id', columns: ['updated_at', 'created_at'] },
+  accounts: { key: 'legacy_account_id', columns: ['updated_at', 'created_at'] },
+  contacts: { key: 'legacy_contact_id', columns: ['updated_at', 'created_at'] },
+  userLogs: { key: 'legacy_log_id', columns: ['DateLogged'] }
+};
 
 /**
- * Data extractor class
+ * User data extractor class
+ * Adds user/account integrity checks on top of the shared extraction core
  */
-class LegacyUserDataExtractor {
-  constructor(config) {
-    this.config = config;
-    this.mssql = null;
-    this.connection = null;
-  }
-
-  async connect() {
-    try {
-      // Dynamically import mssql to avoid requiring it if not needed
-      this.mssql = require('mssql');
-      
-      const connectionConfig = this.config.getConnectionString();
-      
-      console.log('Connecting to SQL Server...');
-      console.log(`Server: ${connectionConfig.server}:${connectionConfig.port}`);
-      console.log(`Database: ${connectionConfig.database}`);
-      console.log(`User: ${connectionConfig.user}`);
-      
-      this.connection = await this.mssql.connect(connectionConfig);
-      console.log('✅ Connected to SQL Server successfully');
-      
-    } catch (error) {
-      console.error('❌ Failed to connect to SQL Server:', error.message);
-      throw error;
-    }
-  }
-
-  async disconnect() {
-    if (this.connection) {
-      await this.connection.close();
-      console.log('✅ Disconnected from SQL Server');
-    }
-  }
-
-  async executeQuery(queryName, query) {
-    try {
-      console.log(`Executing query: ${queryName}`);
-      const result = await this.connection.request().query(query);
-      console.log(`✅ ${queryName}: ${result.recordset.length} records extracted`);
-      return result.recordset;
-    } catch (error) {
-      console.error(`❌ Error executing ${queryName}:`, error.message);
-      
-      // Provide specific troubleshooting guidance based on error type
-      if (error.message.includes('permission')) {
-        console.error(`💡 Permission Error: Ensure database user has SELECT permissions on ${queryName} table`);
-      } else if (error.message.includes('Invalid object name')) {
-        console.error(`💡 Table Not Found: Verify table '${queryName}' exists in the database`);
-      } else if (error.message.includes('Login failed')) {
-        console.error(`💡 Authentication Error: Check username/password in database configuration`);
-      } else if (error.message.includes('timeout')) {
-        console.error(`💡 Timeout Error: Check network connectivity and database performance`);
-      } else if (error.message.includes('connection')) {
-        console.error(`💡 Connection Error: Verify SQL Server is running and accessible`);
-      }
-      
-      throw error;
-    }
-  }
-
-  async extractAllData() {
-    const extractedData = {};
-    
-    for (const [queryName, query] of Object.entries(EXTRACTION_QUERIES)) {
-      try {
-        extractedData[queryName] = await this.executeQuery(queryName, query);
-      } catch (error) {
-        console.error(`Failed to extract ${queryName}, continuing with other queries...`);
-        extractedData[queryName] = [];
-      }
-    }
-    
-    // Perform data integrity checks
-    await this.validateDataIntegrity(extractedData);
-    
-    return extractedData;
+class LegacyUserDataExtractor extends LegacyDataExtractor {
+  constructor(dbConfig, options = {}) {
+    super(dbConfig, EXTRACTION_QUERIES, { name: 'user', watermarks: WATERMARKS, ...options });
   }
 
   async validateDataIntegrity(extractedData) {
@@ -293,111 +196,23 @@ class LegacyUserDataExtractor {
         console.warn(`⚠️ Warning: ${orphanedAccounts.length} accounts found without associated users`);
       }
     }
-    
-    console.log('✅ Data integrity checks completed');
-  }
-}
-
-/**
- * Data saver class
- */
-class DataSaver {
-  constructor(outputDir, format = 'json') {
-    this.outputDir = outputDir;
-    this.format = format.toLowerCase();
-    this.ensureOutputDir();
-  }
-
-  ensureOutputDir() {
-    if (!fs.existsSync(this.outputDir)) {
-      fs.mkdirSync(this.outputDir, { recursive: true });
-      console.log(`Created output directory: ${this.outputDir}`);
-    }
-  }
 
-  saveData(data, filename) {
-    const filePath = path.join(this.outputDir, `${filename}.${this.format}`);
-    
-    try {
-      let content;
-      
-      switch (this.format) {
-        case 'json':
-          content = JSON.stringify(data, null, 2);
-          break;
-          
-        case 'csv':
-          content = this.convertToCSV(data);
-          break;
-          
-        case 'sql':
-          content = this.convertToSQL(data, filename);
-          break;
-          
-        default:
-          throw new Error(`Unsupported format: ${this.format}`);
+    // Portal logins are matched to users on their current or a former username
+    if (extractedData.loginHistory && extractedData.users) {
+      const usernames = new Set(
+        [...extractedData.users.map(u => u.Username), ...(extractedData.userNameHistory || []).map(h => h.UserName)]
+          .filter(Boolean)
+          .map(username => username.trim().toLowerCase())
+      );
+      const unknownLogins = extractedData.loginHistory.filter(
+        login => !login.Username || !usernames.has(login.Username.trim().toLowerCase())
+      );
+      if (unknownLogins.length > 0) {
+        console.warn(`⚠️ Warning: ${unknownLogins.length} login history rows found without a matching username`);
       }
-      
-      fs.writeFileSync(filePath, content);
-      console.log(`✅ Saved ${filename}.${this.format} (${data.length} records)`);
-      
-    } catch (error) {
-      console.error(`❌ Failed to save ${filename}.${this.format}:`, error.message);
-      throw error;
-    }
-  }
-
-  convertToCSV(data) {
-    if (!data || data.length === 0) return '';
-    
-    const headers = Object.keys(data[0]);
-    const csvRows = [headers.join(',')];
-    
-    for (const row of data) {
-      const values = headers.map(header => {
-        const value = row[header];
-        // Escape commas and quotes in CSV
-        if (typeof value === 'string' && (value.includes(',') || value.includes('"'))) {
-          return `"${value.replace(/"/g, '""')}"`;
-        }
-        return value;
-      });
-      csvRows.push(values.join(','));
-    }
-    
-    return csvRows.join('\n');
-  }
-
-  convertToSQL(data, tableName) {
-    if (!data || data.length === 0) return `-- No data for ${tableName}\n`;
-    
-    const columns = Object.keys(data[0]);
-    let sql = `-- ${tableName} data\n`;
-    sql += `INSERT INTO temp_${tableName} (${columns.join(', ')}) VALUES\n`;
-    
-    const values = data.map(row => {
-      const rowValues = columns.map(col => {
-        const value = row[col];
-        if (value === null || value === undefined) return 'NULL';
-        if (typeof value === 'string') return `'${value.replace(/'/g, "''")}'`;
-        if (typeof value === 'boolean') return value ? 'true' : 'false';
-        return value;
-      });
-      return `(${rowValues.join(', ')})`;
-    });
-    
-    sql += values.join(',\n') + ';\n';
-    return sql;
-  }
-
-  saveAllData(extractedData) {
-    console.log(`\nSaving extracted data in ${this.format.toUpperCase()} format...`);
-    
-    for (const [queryName, data] of Object.entries(extractedData)) {
-      this.saveData(data, queryName);
     }
     
-    console.log(`\n✅ All data saved to: ${this.outputDir}`);
+    console.log('✅ Data integrity checks completed');
   }
 }
 
@@ -411,6 +226,8 @@ async function main() {
     .option('-c, --config <path>', 'Database configuration file path', './database-extract.config.json')
     .option('-o, --output <dir>', 'Output directory for extracted data', './extracted-data')
     .option('-f, --format <format>', 'Output format (json, csv, sql)', 'json')
+    .option('-i, --incremental', 'Only extract rows changed since the last run (requires json format)')
+    .option('-s, --state-file <path>', 'Incremental extraction state file (default: <output>/.extraction-state.json)')
     .parse(process.argv);
   
   const options = program.opts();
@@ -423,30 +240,20 @@ async function main() {
     
     // Load database configuration
     const dbConfig = new DatabaseConfig(options.config);
+    dbConfig.validate();
     
     // Create data extractor
-    const extractor = new LegacyUserDataExtractor(dbConfig);
-    
-    // Connect to database
-    await extractor.connect();
+    const extractor = new LegacyUserDataExtractor(dbConfig, {
+      incremental: options.incremental,
+      state: options.incremental
+        ? new ExtractionState(options.stateFile || path.join(options.output, DEFAULT_STATE_FILE))
+        : null
+    });
     
-    // Extract all data
+    // Extract all data and save it
     console.log('\n📊 Extracting user data from legacy system...\n');
-    const extractedData = await extractor.extractAllData();
-    
-    // Disconnect from database
-    await extractor.disconnect();
-    
-    // Save extracted data
     const dataSaver = new DataSaver(options.output, options.format);
-    dataSaver.saveAllData(extractedData);
-    
-    // Summary
-    console.log('\n📋 Extraction Summary:');
-    console.log('========================');
-    for (const [queryName, data] of Object.entries(extractedData)) {
-      console.log(`${queryName}: ${data.length} records`);
-    }
+    await extractor.run(dataSaver);
     
     console.log(`\n🎉 User data extraction completed successfully!`);
     
@@ -475,33 +282,7 @@ async function main() {
   } catch (error) {
     console.error('\n❌ User data extraction failed:', error.message);
     
-    // Provide comprehensive error guidance
-    console.log('\n🔧 Troubleshooting Guide:');
-    console.log('========================');
-    
-    if (error.message.includes('ECONNREFUSED')) {
-      console.log('1. Check if SQL Server is running');
-      console.log('2. Verify the server address and port in database-extract.config.json');
-      console.log('3. Check firewall settings and network connectivity');
-    } else if (error.message.includes('Login failed')) {
-      console.log('1. Verify username and password in database-extract.config.json');
-      console.log('2. Check if the user account is active and has proper permissions');
-      console.log('3. Ensure the database name is correct');
-    } else if (error.message.includes('permission')) {
-      console.log('1. Ensure the database user has SELECT permissions on all tables');
-      console.log('2. Check if the user has access to the specified database');
-      console.log('3. Verify the user is not locked or expired');
-    } else if (error.message.includes('Invalid object name')) {
-      console.log('1. Verify table names exist in the database');
-      console.log('2. Check if you\'re connected to the correct database');
-      console.log('3. Ensure table names match the case sensitivity of your SQL Server');
-    } else {
-      console.log('1. Check the database connection configuration');
-      console.log('2. Verify SQL Server is accessible from your network');
-      console.log('3. Review the error message above for specific details');
-    }
-    
-    console.log('\n📞 For additional help, check the database connection and try again.');
+    printTroubleshootingGuide(error);
     process.exit(1);
   }
 }
@@ -512,8 +293,7 @@ if (require.main === module) {
 }
 
 module.exports = {
-  DatabaseConfig,
   LegacyUserDataExtractor,
-  DataSaver,
-  EXTRACTION_QUERIES
+  EXTRACTION_QUERIES,
+  WATERMARKS
 };
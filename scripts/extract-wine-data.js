@@ -12,11 +12,14 @@
  *   node migration/extract-legacy-data.js --help
  *   node migration/extract-legacy-data.js --config=./migration/database.json
  *   node migration/extract-legacy-data.js --output=./data --format=json
+ *   node scripts/extract-wine-data.js --incremental   # Only rows changed since the last run
  */
 
-const fs = require('fs');
-const path = require('path');
 const { program } = require('commander');
+const { DatabaseConfig } = require('./utils/database-config');
+const path = require('path');
+const { LegacyDataExtractor, DataSaver, printTroubleshootingGuide } = require('./utils/legacy-data-extractor');
+const { ExtractionState, DEFAULT_STATE_FILE } = require('./utils/extraction-state');
 
 // SQL queries for data extraction
 const EXTRACTION_QUERIES = {
@@ -198,222 +201,14 @@ const EXTRACTION_QUERIES = {
   `
 };
 
-/**
- * Database connection configuration
- */
-class DatabaseConfig {
-  constructor(configPath) {
-    this.configPath = configPath;
-    this.config = this.loadConfig();
-  }
-
-  loadConfig() {
-    try {
-      if (fs.existsSync(this.configPath)) {
-        const configData = fs.readFileSync(this.configPath, 'utf8');
-        return JSON.parse(configData);
-      }
-    } catch (error) {
-      console.warn(`Warning: Could not load config from ${this.configPath}:`, error.message);
-    }
-
-    // Default configuration - you can override these with environment variables
-    return {
-      server: process.env.DB_SERVER || 'localhost',
-      database: process.env.DB_NAME || 'Chelsea',
-      user: process.env.DB_USER || 'sa',
-      password: process.env.DB_PASSWORD || '',
-      port: process.env.DB_PORT || 1433,
-      options: {
-        encrypt: process.env.DB_ENCRYPT === 'true',
-        trustServerCertificate: process.env.DB_TRUST_CERT === 'true',
-        enableArithAbort: true
-      }
-    };
-  }
-
-  getConnectionString() {
-    return {
-      server: this.config.server,
-      database: this.config.database,
-      user: this.config.user,
-      password: this.config.password,
-      port: this.config.port,
-      options: this.config.options
-    };
-  }
-}
-
-/**
- * Data extractor class
- */
-class LegacyDataExtractor {
-  constructor(config) {
-    this.config = config;
-    this.mssql = null;
-    this.connection = null;
-  }
-
-  async connect() {
-    try {
-      // Dynamically import mssql to avoid requiring it if not needed
-      this.mssql = require('mssql');
-      
-      const connectionConfig = this.config.getConnectionString();
-      
-      console.log('Connecting to SQL Server...');
-      console.log(`Server: ${connectionConfig.server}:${connectionConfig.port}`);
-      console.log(`Database: ${connectionConfig.database}`);
-      console.log(`User: ${connectionConfig.user}`);
-      
-      this.connection = await this.mssql.connect(connectionConfig);
-      console.log('✅ Connected to SQL Server successfully');
-      
-    } catch (error) {
-      console.error('❌ Failed to connect to SQL Server:', error.message);
-      throw error;
-    }
-  }
-
-  async disconnect() {
-    if (this.connection) {
-      await this.connection.close();
-      console.log('✅ Disconnected from SQL Server');
-    }
-  }
-
-  async executeQuery(queryName, query) {
-    try {
-      console.log(`Executing query: ${queryName}`);
-      const result = await this.connection.request().query(query);
-      console.log(`✅ ${queryName}: ${result.recordset.length} records extracted`);
-      return result.recordset;
-    } catch (error) {
-      console.error(`❌ Error executing ${queryName}:`, error.message);
-      throw error;
-    }
-  }
-
-  async extractAllData() {
-    const extractedData = {};
-    
-    for (const [queryName, query] of Object.entries(EXTRACTION_QUERIES)) {
-      try {
-        extractedData[queryName] = await this.executeQuery(queryName, query);
-      } catch (error) {
-        console.error(`Failed to extract ${queryName}, continuing with other queries...`);
-        extractedData[queryName] = [];
-      }
-    }
-    
-    return extractedData;
-  }
-}
-
-/**
- * Data saver class
- */
-class DataSaver {
-  constructor(outputDir, format = 'json') {
-    this.outputDir = outputDir;
-    this.format = format.toLowerCase();
-    this.ensureOutputDir();
-  }
-
-  ensureOutputDir() {
-    if (!fs.existsSync(this.outputDir)) {
-      fs.mkdirSync(this.outputDir, { recursive: true });
-      console.log(`Created output directory: ${this.outputDir}`);
-    }
-  }
-
-  saveData(data, filename) {
-    const filePath = path.join(this.outputDir, `${filename}.${this.format}`);
-    
-    try {
-      let content;
-      
-      switch (this.format) {
-        case 'json':
-          content = JSON.stringify(data, null, 2);
-          break;
-          
-        case 'csv':
-          content = this.convertToCSV(data);
-          break;
-          
-        case 'sql':
-          content = this.convertToSQL(data, filename);
-          break;
-          
-        default:
-          throw new Error(`Unsupported format: ${this.format}`);
-      }
-      
-      fs.writeFileSync(filePath, content);
-      console.log(`✅ Saved ${filename}.${this.format} (${data.length} records)`);
-      
-    } catch (error) {
-      console.error(`❌ Failed to save ${filename}.${this.format}:`, error.message);
-      throw error;
-    }
-  }
-
-  convertToCSV(data) {
-    if (!data || data.length === 0) return '';
-    
-    const headers = Object.keys(data[0]);
-    const csvRows = [headers.join(',')];
-    
-    for (const row of data) {
-      const values = headers.map(header => {
-        const value = row[header];
-        // Escape commas and quotes in CSV
-        if (typeof value === 'string' && (value.includes(',') || value.includes('"'))) {
-          return `"${value.replace(/"/g, '""')}"`;
-        }
-        return value;
-      });
-      csvRows.push(values.join(','));
-    }
-    
-    return csvRows.join('\n');
-  }
-
-  convertToSQL(data, tableName) {
-    if (!data || data.length === 0) return `-- No data for ${tableName}\n`;
-    
-    const columns = Object.keys(data[0]);
-    let sql = `-- ${tableName} data\n`;
-    sql += `INSERT INTO temp_${tableName} (${columns.join(', ')}) VALUES\n`;
-    
-    const values = data.map(row => {
-      const rowValues = columns.map(col => {
-        const value = row[col];
-        if (value === null || value === undefined) return 'NULL';
-        if (typeof value === 'string') return `'${value.replace(/'/g, "''")}'`;
-        if (typeof value === 'boolean') return value ? 'true' : 'false';
-        return value;
-      });
-      return `(${rowValues.join(', ')})`;
-    });
-    
-    sql += values.join(',\n') + ';\n';
-    return sql;
-  }
-
-  saveAllData(extractedData) {
-    console.log(`\nSaving extracted data in ${this.format.toUpperCase()} format...`);
-    
-    for (const [queryName, data] of Object.entries(extractedData)) {
-      this.saveData(data, queryName);
-    }
-    
-    console.log(`\n✅ All data saved to: ${this.outputDir}`);
-  }
-
-
-}
+// Incremental extraction settings: every wine table is keyed by legacy_id
+// and carries DateUpdated/DateCreated
+const WATERMARKS = Object.fromEntries(
+  Object.keys(EXTRACTION_QUERIES).map(queryName => [
+    queryName,
+    { key: 'legacy_id', columns: ['updated_at', 'created_at'] }
+  ])
+);
 
 /**
  * Main function
@@ -425,6 +220,8 @@ async function main() {
     .option('-c, --config <path>', 'Database configuration file path', './database-extract.config.json')
     .option('-o, --output <dir>', 'Output directory for extracted data', './extracted-data')
     .option('-f, --format <format>', 'Output format (json, csv, sql)', 'json')
+    .option('-i, --incremental', 'Only extract rows changed since the last run (requires json format)')
+    .option('-s, --state-file <path>', 'Incremental extraction state file (default: <output>/.extraction-state.json)')
 
     .parse(process.argv);
   
@@ -438,32 +235,22 @@ async function main() {
     
     // Load database configuration
     const dbConfig = new DatabaseConfig(options.config);
+    dbConfig.validate();
     
     // Create data extractor
-    const extractor = new LegacyDataExtractor(dbConfig);
-    
-    // Connect to database
-    await extractor.connect();
+    const extractor = new LegacyDataExtractor(dbConfig, EXTRACTION_QUERIES, {
+      name: 'wine',
+      watermarks: WATERMARKS,
+      incremental: options.incremental,
+      state: options.incremental
+        ? new ExtractionState(options.stateFile || path.join(options.output, DEFAULT_STATE_FILE))
+        : null
+    });
     
-    // Extract all data
+    // Extract all data and save it
     console.log('\n📊 Extracting data from legacy system...\n');
-    const extractedData = await extractor.extractAllData();
-    
-    // Disconnect from database
-    await extractor.disconnect();
-    
-    // Save extracted data
     const dataSaver = new DataSaver(options.output, options.format);
-    dataSaver.saveAllData(extractedData);
-    
-
-    
-    // Summary
-    console.log('\n📋 Extraction Summary:');
-    console.log('========================');
-    for (const [queryName, data] of Object.entries(extractedData)) {
-      console.log(`${queryName}: ${data.length} records`);
-    }
+    await extractor.run(dataSaver);
     
     console.log(`\n🎉 Data extraction completed successfully!`);
     console.log(`\nNext steps:`);
@@ -473,6 +260,7 @@ async function main() {
     
   } catch (error) {
     console.error('\n❌ Data extraction failed:', error.message);
+    printTroubleshootingGuide(error);
     process.exit(1);
   }
 }
@@ -483,8 +271,6 @@ if (require.main === module) {
 }
 
 module.exports = {
-  DatabaseConfig,
-  LegacyDataExtractor,
-  DataSaver,
-  EXTRACTION_QUERIES
+  EXTRACTION_QUERIES,
+  WATERMARKS
 };
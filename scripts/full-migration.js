@@ -11,11 +11,27 @@
  *    - Extract wine data
  *    - Extract user data  
  *    - Extract case data
+ *    - Extract invoice data
+ *    - Extract extras data (shipping methods, supplies)
  * 3. Delete Data (optional, default: true)
  * 4. Import Data
  *    - Import wine data
- *    - Import user data
+ *    - Import user data (following the reviewed duplicate decisions - run
+ *      analyze-user-duplicates.js and review its proposals beforehand)
+ *    - Import extra templates
  *    - Import case data
+ *    - Import invoice data
+ * 
+ * Every run is recorded in the migration_runs ledger; the import scripts
+ * record their own runs as children of it (see scripts/utils/run-ledger.js).
+ * 
+ * The imports run one sub-step at a time (see PIPELINE_STEPS) and a checkpoint
+ * is saved after every completed step, so a failed migration can continue
+ * with --resume, and --from-step/--to-step run a slice of the pipeline.
+ * 
+ * Every step declares the steps it depends on. Steps whose dependencies are
+ * done run concurrently (up to --concurrency at a time), e.g. the wine lookup
+ * tables and the user extraction next to the wine extraction.
  * 
  * Usage:
  *   node scripts/full-migration.js [options]
@@ -24,6 +40,14 @@
  *   --extract-data              Extract data from legacy system (default: false)
  *   --no-delete-data           Skip deleting existing data (default: delete data)
  *   --clear-existing           Clear existing data before import (default: true)
+ *   --upsert                   Upsert into existing data instead of deleting it (implies --no-delete-data)
+ *   --atomic                   Run each import script in a single all-or-nothing transaction
+ *   --batch-size=<n>           Rows per bulk insert batch in the import scripts (default: 1000)
+ *   --bulk-mode=<mode>         Bulk write mode of the import scripts: insert or copy (default: insert)
+ *   --resume                   Continue the last migration from its checkpoint
+ *   --from-step=<step>         Start the pipeline at this step
+ *   --to-step=<step>           Stop the pipeline after this step
+ *   --concurrency=<n>          Maximum number of steps running at the same time (default: 4)
  *   --config=<path>            Database configuration file path
  *   --help, -h                Show help message
  * 
@@ -32,6 +56,9 @@
  *   node scripts/full-migration.js --extract-data                    # Extract + full migration
  *   node scripts/full-migration.js --no-delete-data                  # Skip deletion
  *   node scripts/full-migration.js --extract-data --no-delete-data   # Extract + migrate without delete
+ *   node scripts/full-migration.js --extract-data --upsert           # Extract + re-import in place
+ *   node scripts/full-migration.js --resume                          # Continue a failed migration
+ *   node scripts/full-migration.js --from-step=import-lockers        # Re-run the case import only
  *   pnpm run full-migration                                          # Run via npm script
  */
 
@@ -40,6 +67,7 @@ const { config } = require('dotenv');
 const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
+const readline = require('readline');
 
 // Load environment variables
 config();
@@ -47,6 +75,50 @@ config();
 // Import utility classes
 const { DatabaseConfig, parseConfigPath } = require('./utils/database-config');
 const { createDefaultTenant } = require('./utils/tenant-utils');
+const { MigrationRunLedger, PARENT_RUN_ENV } = require('./utils/run-ledger');
+const { MigrationCheckpoint } = require('./utils/migration-checkpoint');
+
+// Step keys of import-wine-data.js that fill the wine lookup tables
+const WINE_LOOKUP_STEPS = [
+  'wine-countries',
+  'wine-regions',
+  'wine-villages',
+  'wine-producers',
+  'wine-brands',
+  'wine-varietals',
+  'wine-styles',
+  'wine-bottle-vintages',
+  'wine-bottle-formats',
+  'wine-vineyards',
+  'wine-types'
+];
+
+const DEFAULT_CONCURRENCY = 4;
+
+// Pipeline step names, in declaration order (a valid sequential order)
+const PIPELINE_STEPS = [
+  'add-legacy-columns',
+  'extract-wine',
+  'extract-user',
+  'extract-case',
+  'extract-invoice',
+  'extract-extras',
+  'delete-data',
+  'default-tenant',
+  'import-wine-clear',
+  ...WINE_LOOKUP_STEPS.map(key => `import-${key}`),
+  'import-wines',
+  'import-users',
+  'import-managers',
+  'import-addresses',
+  'import-login-history',
+  'import-extra-templates',
+  'import-lockers',
+  'import-cases',
+  'import-operation-groups',
+  'import-inventory',
+  'import-invoices'
+];
 
 /**
  * Parse command line arguments
@@ -57,6 +129,14 @@ function parseArguments() {
     extractData: false,
     deleteData: true,
     clearExisting: true,
+    upsert: false,
+    atomic: false,
+    batchSize: null,
+    bulkMode: null,
+    resume: false,
+    fromStep: null,
+    toStep: null,
+    concurrency: DEFAULT_CONCURRENCY,
     config: null,
     help: false
   };
@@ -72,6 +152,15 @@ function parseArguments() {
       case '--clear-existing':
         options.clearExisting = true;
         break;
+      case '--upsert':
+        options.upsert = true;
+        break;
+      case '--atomic':
+        options.atomic = true;
+        break;
+      case '--resume':
+        options.resume = true;
+        break;
       case '--help':
       case '-h':
         options.help = true;
@@ -79,6 +168,16 @@ function parseArguments() {
       default:
         if (arg.startsWith('--config=')) {
           options.config = arg.split('=')[1];
+        } else if (arg.startsWith('--batch-size=')) {
+          options.batchSize = arg.split('=')[1];
+        } else if (arg.startsWith('--bulk-mode=')) {
+          options.bulkMode = arg.split('=')[1];
+        } else if (arg.startsWith('--from-step=')) {
+          options.fromStep = arg.split('=')[1];
+        } else if (arg.startsWith('--to-step=')) {
+          options.toStep = arg.split('=')[1];
+        } else if (arg.startsWith('--concurrency=')) {
+          options.concurrency = parseInt(arg.split('=')[1], 10);
         } else {
           console.warn(`⚠️ Unknown argument: ${arg}`);
         }
@@ -86,6 +185,12 @@ function parseArguments() {
     }
   }
 
+  // Upserting updates the existing rows, so nothing may be wiped beforehand
+  if (options.upsert) {
+    options.deleteData = false;
+    options.clearExisting = false;
+  }
+
   return options;
 }
 
@@ -104,11 +209,15 @@ It runs sequentially through all the required steps:
    - Extract wine data
    - Extract user data  
    - Extract case data
+   - Extract invoice data
+   - Extract extras data (shipping methods, supplies)
 3. Delete Data (optional, default: true)
 4. Import Data
    - Import wine data
    - Import user data
+   - Import extra templates
    - Import case data
+   - Import invoice data
 
 Usage:
   node scripts/full-migration.js [options]
@@ -117,6 +226,14 @@ Options:
   --extract-data              Extract data from legacy system (default: false)
   --no-delete-data           Skip deleting existing data (default: delete data)
   --clear-existing           Clear existing data before import (default: true)
+  --upsert                   Upsert into existing data instead of deleting it (implies --no-delete-data)
+  --atomic                   Run each import script in a single all-or-nothing transaction
+  --batch-size=<n>           Rows per bulk insert batch in the import scripts (default: 1000)
+  --bulk-mode=<mode>         Bulk write mode of the import scripts: insert or copy (default: insert)
+  --resume                   Continue the last migration from its checkpoint
+  --from-step=<step>         Start the pipeline at this step
+  --to-step=<step>           Stop the pipeline after this step
+  --concurrency=<n>          Maximum number of steps running at the same time (default: 4)
   --config=<path>            Database configuration file path
   --help, -h                Show help message
 
@@ -125,8 +242,14 @@ Examples:
   node scripts/full-migration.js --extract-data                    # Extract + full migration
   node scripts/full-migration.js --no-delete-data                  # Skip deletion
   node scripts/full-migration.js --extract-data --no-delete-data   # Extract + migrate without delete
+  node scripts/full-migration.js --extract-data --upsert           # Extract + re-import in place
+  node scripts/full-migration.js --resume                          # Continue a failed migration
+  node scripts/full-migration.js --from-step=import-lockers        # Re-run the case import only
   pnpm run full-migration                                          # Run via npm script
 
+Steps:
+  ${PIPELINE_STEPS.join(', ')}
+
 Prerequisites:
   - PostgreSQL database running and accessible
   - Legacy SQL Server database accessible (if extracting)
@@ -143,23 +266,29 @@ Environment Variables:
 Safety Notes:
   - The script will delete existing data by default unless --no-delete-data is used
   - Use --extract-data to pull fresh data from the legacy system
-  - All operations run sequentially to maintain data integrity
+  - Steps only start once the steps they depend on have completed (--concurrency=1 runs them one by one)
   - The script will stop on any error to prevent partial migrations
 `);
 }
 
 /**
  * Execute a child process and return a promise
+ * With a label the output is prefixed line by line, so concurrent steps stay readable.
  */
-function executeScript(scriptPath, args = []) {
+function executeScript(scriptPath, args = [], label = null) {
   return new Promise((resolve, reject) => {
     console.log(`\n🚀 Executing: node ${scriptPath} ${args.join(' ')}`);
     
     const child = spawn('node', [scriptPath, ...args], {
-      stdio: 'inherit',
+      stdio: label ? ['inherit', 'pipe', 'pipe'] : 'inherit',
       cwd: process.cwd()
     });
 
+    if (label) {
+      readline.createInterface({ input: child.stdout }).on('line', line => console.log(`[${label}] ${line}`));
+      readline.createInterface({ input: child.stderr }).on('line', line => console.error(`[${label}] ${line}`));
+    }
+
     child.on('close', (code) => {
       if (code === 0) {
         console.log(`✅ Script completed successfully: ${scriptPath}`);
@@ -191,40 +320,285 @@ class FullMigrationOrchestrator {
     console.log('🎯 Starting Full Migration Process');
     console.log('===================================\n');
     
+    this.prepareCheckpoint();
+
     // Display configuration
     this.displayConfiguration();
     
     try {
-      // Step 1: Always add legacy columns
-      await this.step1AddLegacyColumns();
-      
-      // Step 2: Extract data (if requested)
-      if (this.options.extractData) {
-        await this.step2ExtractData();
-      } else {
-        console.log('⏭️ Skipping data extraction (use --extract-data to enable)');
-      }
-      
-      // Step 3: Delete existing data (if requested)
-      if (this.options.deleteData) {
-        await this.step3DeleteData();
-      } else {
-        console.log('⏭️ Skipping data deletion (use --no-delete-data to disable)');
+      await this.startRunLedger();
+
+      if (!this.options.resume) {
+        this.checkpoint.reset(this.options, this.ledger.runId);
       }
-      
-      // Step 4: Import data
-      await this.step4ImportData();
-      
+
+      await this.runPipeline();
+
+      await this.ledger.recordSourceChecksum(path.join(process.cwd(), 'extracted-data'));
+      await this.ledger.finish('completed');
+
       // Final summary
       await this.showFinalSummary();
       
     } catch (error) {
       console.error('\n❌ Migration failed:', error.message);
       console.error('\n🛑 Stopping migration process due to error');
+      console.error('💡 Fix the problem and continue with: node scripts/full-migration.js --resume');
+      if (this.ledger) {
+        await this.ledger.finish('failed', error);
+      }
       throw error;
+    } finally {
+      if (this.dataSource && this.dataSource.isInitialized) {
+        await this.dataSource.destroy();
+      }
     }
   }
 
+  /**
+   * Loads the checkpoint when resuming and restores the options the
+   * migration was started with (--from-step, --to-step and --config given now take precedence)
+   */
+  prepareCheckpoint() {
+    this.checkpoint = new MigrationCheckpoint();
+
+    if (!this.options.resume) {
+      return;
+    }
+
+    const state = this.checkpoint.load();
+    const { fromStep, toStep, config } = this.options;
+    this.options = {
+      ...state.options,
+      resume: true,
+      fromStep: fromStep || state.options.fromStep,
+      toStep: toStep || state.options.toStep,
+      config: config || state.options.config
+    };
+
+    const completed = Object.keys(state.completedSteps);
+    console.log(`🔁 Resuming migration started at ${state.startedAt} (${completed.length} step(s) already completed)`);
+  }
+
+  /**
+   * Records this run in the migration_runs ledger
+   * The child scripts inherit the run id and record their runs under it.
+   */
+  async startRunLedger() {
+    const dbConfig = new DatabaseConfig(this.options.config || parseConfigPath());
+    dbConfig.validate();
+
+    this.dataSource = new DataSource(dbConfig.getConnectionConfig());
+    await this.dataSource.initialize();
+
+    this.ledger = new MigrationRunLedger(this.dataSource);
+    const runId = await this.ledger.start({ script: 'full-migration', options: this.options });
+    process.env[PARENT_RUN_ENV] = runId;
+  }
+
+  /**
+   * Declares the migration pipeline
+   * Steps are listed in a valid sequential order; dependsOn names the steps
+   * that must complete first (skipped and disabled steps count as completed).
+   * @returns {Array<Object>} Steps: { name, description, dependsOn, enabled, skipReason, run }
+   */
+  getPipeline() {
+    const extract = { enabled: this.options.extractData, skipReason: 'use --extract-data to enable' };
+    const beforeImports = ['add-legacy-columns', 'delete-data', 'default-tenant'];
+    const wineLookups = WINE_LOOKUP_STEPS.map(key => `import-${key}`);
+
+    return [
+      {
+        name: 'add-legacy-columns',
+        description: '🔧 Adding legacy ID columns',
+        dependsOn: [],
+        run: label => executeScript('./scripts/add-legacy-id-columns.js', [], label)
+      },
+      { name: 'extract-wine', description: '🍷 Extracting wine data', dependsOn: [], ...extract, run: label => executeScript('./scripts/extract-wine-data.js', [], label) },
+      { name: 'extract-user', description: '👥 Extracting user data', dependsOn: [], ...extract, run: label => executeScript('./scripts/extract-user-data.js', [], label) },
+      { name: 'extract-case', description: '📦 Extracting case data', dependsOn: [], ...extract, run: label => executeScript('./scripts/extract-case-data.js', [], label) },
+      { name: 'extract-invoice', description: '🧾 Extracting invoice data', dependsOn: [], ...extract, run: label => executeScript('./scripts/extract-invoice-data.js', [], label) },
+      { name: 'extract-extras', description: '🧰 Extracting extras data', dependsOn: [], ...extract, run: label => executeScript('./scripts/extract-extras-data.js', [], label) },
+      {
+        // Existing data is only deleted once the fresh extraction succeeded
+        name: 'delete-data',
+        description: '🗑️ Deleting existing data',
+        dependsOn: ['add-legacy-columns', 'extract-wine', 'extract-user', 'extract-case', 'extract-invoice', 'extract-extras'],
+        enabled: this.options.deleteData,
+        skipReason: 'disabled by --no-delete-data',
+        run: label => this.deleteData(label)
+      },
+      {
+        // Created once up front so concurrent import scripts do not race to create it
+        name: 'default-tenant',
+        description: '🏢 Creating default tenant',
+        dependsOn: ['delete-data'],
+        run: () => createDefaultTenant(this.dataSource)
+      },
+      {
+        ...this.importStep('import-wine-clear', '🧹 Clearing wine data', 'import-wine-data.js', ['clear'], [...beforeImports, 'extract-wine']),
+        enabled: !this.options.upsert,
+        skipReason: 'upsert mode updates rows in place'
+      },
+      // The wine lookup tables do not reference each other
+      ...WINE_LOOKUP_STEPS.map(key =>
+        this.importStep(`import-${key}`, `📚 Importing ${key.replace(/-/g, ' ')}`, 'import-wine-data.js', [key], ['import-wine-clear'])
+      ),
+      this.importStep('import-wines', '🍷 Importing wines', 'import-wine-data.js', ['wines', 'soft-delete'], wineLookups),
+      // The user import clears cases as well, so it waits for the wine clear to release them
+      this.importStep('import-users', '👥 Importing users', 'import-user-data.js', ['clear', 'users', 'pricing', 'contacts'], [...beforeImports, 'import-wine-clear']),
+      this.importStep('import-managers', '👔 Importing managers', 'import-user-data.js', ['managers', 'password-resets'], ['import-users']),
+      this.importStep('import-addresses', '🏠 Importing addresses', 'import-user-data.js', ['addresses', 'soft-delete'], ['import-managers']),
+      this.importStep('import-login-history', '🔐 Importing login history', 'import-user-data.js', ['login-history'], ['import-managers']),
+      this.importStep('import-extra-templates', '🧰 Importing extra templates', 'import-extras-data.js', ['clear', 'templates', 'soft-delete'], [...beforeImports, 'extract-extras']),
+      this.importStep('import-lockers', '🔐 Importing lockers', 'import-case-data.js', ['clear', 'lockers'], ['extract-case', 'import-wines', 'import-addresses']),
+      this.importStep('import-cases', '📦 Importing cases', 'import-case-data.js', ['cases'], ['import-lockers']),
+      // Operation extras are linked to their template when they are created
+      this.importStep('import-operation-groups', '🔄 Importing operation groups', 'import-case-data.js', ['operation-groups'], ['import-cases', 'import-extra-templates']),
+      this.importStep('import-inventory', '🍷 Importing wine inventory entries', 'import-case-data.js', ['inventory', 'process-inventory', 'soft-delete'], ['import-operation-groups']),
+      // The user and case clears delete invoices, so invoices are imported after both
+      this.importStep('import-invoices', '🧾 Importing invoices', 'import-invoice-data.js', ['clear', 'invoices', 'invoice-items', 'soft-delete'], ['extract-invoice', 'import-operation-groups'])
+    ];
+  }
+
+  /**
+   * Declares a pipeline step that runs selected sub-steps of an import script
+   * @param {string} name - Pipeline step name
+   * @param {string} description - Step description
+   * @param {string} script - Import script file name
+   * @param {Array<string>} importSteps - Step keys passed with --steps
+   * @param {Array<string>} dependsOn - Pipeline steps that must complete first
+   * @returns {Object} Pipeline step
+   */
+  importStep(name, description, script, importSteps, dependsOn) {
+    return {
+      name,
+      description,
+      dependsOn,
+      run: label => executeScript(`./scripts/${script}`, [...this.getImportArgs(), `--steps=${importSteps.join(',')}`], label)
+    };
+  }
+
+  /**
+   * Runs the pipeline as a dependency graph
+   * A step starts as soon as its dependencies are done, with at most
+   * --concurrency steps running at once. Completed (checkpointed) steps and
+   * steps outside the --from-step/--to-step slice are skipped. After a failure
+   * no new step starts; the running ones finish and are checkpointed.
+   * @throws {Error} On an invalid pipeline or step name, or the first step failure
+   */
+  async runPipeline() {
+    const pipeline = this.getPipeline();
+    const names = pipeline.map(step => step.name);
+    const concurrency = this.options.concurrency || DEFAULT_CONCURRENCY;
+
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new Error(`Invalid --concurrency value: ${this.options.concurrency}`);
+    }
+
+    for (const stepName of [this.options.fromStep, this.options.toStep].filter(Boolean)) {
+      if (!names.includes(stepName)) {
+        throw new Error(`Unknown step "${stepName}" (expected one of: ${names.join(', ')})`);
+      }
+    }
+
+    for (const step of pipeline) {
+      const unknown = step.dependsOn.filter(dependency => !names.includes(dependency));
+      if (unknown.length > 0) {
+        throw new Error(`Step "${step.name}" depends on unknown step(s): ${unknown.join(', ')}`);
+      }
+    }
+
+    const fromIndex = this.options.fromStep ? names.indexOf(this.options.fromStep) : 0;
+    const toIndex = this.options.toStep ? names.indexOf(this.options.toStep) : names.length - 1;
+
+    if (fromIndex > toIndex) {
+      throw new Error(`--from-step=${this.options.fromStep} comes after --to-step=${this.options.toStep}`);
+    }
+
+    const done = new Set();
+    const pending = new Map();
+
+    for (const [index, step] of pipeline.entries()) {
+      if (index < fromIndex || index > toIndex) {
+        console.log(`⏭️ Skipping ${step.name} (outside --from-step/--to-step)`);
+        done.add(step.name);
+      } else if (step.enabled === false) {
+        console.log(`⏭️ Skipping ${step.name} (${step.skipReason})`);
+        done.add(step.name);
+      } else if (this.checkpoint.isCompleted(step.name)) {
+        console.log(`⏭️ Skipping ${step.name} (already completed)`);
+        done.add(step.name);
+      } else {
+        pending.set(step.name, step);
+      }
+    }
+
+    console.log(`\n🔀 Running ${pending.size} step(s) with concurrency ${concurrency}`);
+
+    const running = new Map();
+    let failure = null;
+
+    while (pending.size > 0 || running.size > 0) {
+      if (!failure) {
+        for (const step of pending.values()) {
+          if (running.size >= concurrency) {
+            break;
+          }
+          if (!step.dependsOn.every(dependency => done.has(dependency))) {
+            continue;
+          }
+
+          pending.delete(step.name);
+          const execution = this.runPipelineStep(step, concurrency > 1)
+            .then(
+              () => done.add(step.name),
+              error => {
+                failure = failure || error;
+              }
+            )
+            .finally(() => running.delete(step.name));
+          running.set(step.name, execution);
+        }
+      }
+
+      if (running.size === 0) {
+        break;
+      }
+
+      await Promise.race(running.values());
+    }
+
+    if (failure) {
+      throw failure;
+    }
+
+    if (pending.size > 0) {
+      throw new Error(`Steps with unresolvable dependencies: ${[...pending.keys()].join(', ')}`);
+    }
+  }
+
+  /**
+   * Runs one pipeline step and checkpoints it
+   * @param {Object} step - Pipeline step
+   * @param {boolean} prefixOutput - Prefix the child script output with the step name
+   */
+  async runPipelineStep(step, prefixOutput) {
+    console.log(`\n${step.description} [${step.name}]`);
+    console.log('==================================');
+
+    const startTime = Date.now();
+    try {
+      await step.run(prefixOutput ? step.name : null);
+    } catch (error) {
+      console.error(`❌ ${step.name} failed: ${error.message}`);
+      throw error;
+    }
+    this.checkpoint.markCompleted(step.name, Date.now() - startTime);
+
+    console.log(`✅ ${step.name} completed - checkpoint saved\n`);
+  }
+
   displayConfiguration() {
     console.log('📋 Migration Configuration:');
     console.log('============================');
@@ -232,81 +606,44 @@ class FullMigrationOrchestrator {
     console.log(`📤 Extract Data: ${this.options.extractData ? '✅ Yes' : '❌ No'}`);
     console.log(`🗑️ Delete Existing Data: ${this.options.deleteData ? '✅ Yes' : '❌ No'}`);
     console.log(`🧹 Clear Existing on Import: ${this.options.clearExisting ? '✅ Yes' : '❌ No'}`);
+    console.log(`🔁 Upsert on Import: ${this.options.upsert ? '✅ Yes' : '❌ No'}`);
+    console.log(`🔒 Atomic Imports: ${this.options.atomic ? '✅ Yes' : '❌ No'}`);
+    console.log(`📦 Bulk Writes: ${this.options.bulkMode || 'insert'} (batch size ${this.options.batchSize || 1000})`);
+    console.log(`🔀 Concurrency: ${this.options.concurrency || DEFAULT_CONCURRENCY}`);
     console.log(`⚙️ Config Path: ${this.options.config || 'auto-detected'}`);
     console.log('');
   }
 
-  async step1AddLegacyColumns() {
-    console.log('🔧 Step 1: Adding Legacy ID Columns');
-    console.log('====================================');
-    
-    await executeScript('./scripts/add-legacy-id-columns.js');
-    
-    console.log('✅ Step 1 completed: Legacy columns added\n');
-  }
-
-  async step2ExtractData() {
-    console.log('📤 Step 2: Extracting Data from Legacy System');
-    console.log('==============================================');
-    
-    // Extract wine data
-    console.log('\n🍷 Extracting wine data...');
-    await executeScript('./scripts/extract-wine-data.js');
-    
-    // Extract user data
-    console.log('\n👥 Extracting user data...');
-    await executeScript('./scripts/extract-user-data.js');
-    
-    // Extract case data
-    console.log('\n📦 Extracting case data...');
-    await executeScript('./scripts/extract-case-data.js');
-    
-    console.log('✅ Step 2 completed: All data extracted\n');
-  }
-
-  async step3DeleteData() {
-    console.log('🗑️ Step 3: Deleting Existing Data');
-    console.log('==================================');
-    
+  async deleteData(label = null) {
     const args = ['--confirm'];
     if (this.options.config) {
       args.push(`--config=${this.options.config}`);
     }
     
-    await executeScript('./scripts/clean-database.js', args);
-    
-    console.log('✅ Step 3 completed: Existing data deleted\n');
+    await executeScript('./scripts/clean-database.js', args, label);
   }
 
-  async step4ImportData() {
-    console.log('📥 Step 4: Importing Data');
-    console.log('==========================');
-    
-    // Import wine data
-    console.log('\n🍷 Importing wine data...');
-    const wineArgs = this.options.clearExisting ? ['--clear-existing'] : [];
-    if (this.options.config) {
-      wineArgs.push(`--config=${this.options.config}`);
+  getImportArgs() {
+    const args = [];
+    if (this.options.clearExisting) {
+      args.push('--clear-existing');
     }
-    await executeScript('./scripts/import-wine-data.js', wineArgs);
-    
-    // Import user data
-    console.log('\n👥 Importing user data...');
-    const userArgs = this.options.clearExisting ? ['--clear-existing'] : [];
-    if (this.options.config) {
-      userArgs.push(`--config=${this.options.config}`);
+    if (this.options.upsert) {
+      args.push('--upsert');
+    }
+    if (this.options.atomic) {
+      args.push('--atomic');
+    }
+    if (this.options.batchSize) {
+      args.push(`--batch-size=${this.options.batchSize}`);
+    }
+    if (this.options.bulkMode) {
+      args.push(`--bulk-mode=${this.options.bulkMode}`);
     }
-    await executeScript('./scripts/import-user-data.js', userArgs);
-    
-    // Import case data
-    console.log('\n📦 Importing case data...');
-    const caseArgs = this.options.clearExisting ? ['--clear-existing'] : [];
     if (this.options.config) {
-      caseArgs.push(`--config=${this.options.config}`);
+      args.push(`--config=${this.options.config}`);
     }
-    await executeScript('./scripts/import-case-data.js', caseArgs);
-    
-    console.log('✅ Step 4 completed: All data imported\n');
+    return args;
   }
 
   async showFinalSummary() {
@@ -328,11 +665,13 @@ class FullMigrationOrchestrator {
     console.log('  ✅ Wine data imported');
     console.log('  ✅ User data imported');
     console.log('  ✅ Case data imported');
+    console.log('  ✅ Extra templates imported');
+    console.log('  ✅ Invoice data imported');
     console.log('');
     console.log('🚀 Your Veritas database is ready!');
     console.log('');
     console.log('Next Steps:');
-    console.log('  1. Verify the imported data in your application');
+    console.log('  1. Verify the imported data in your application (pnpm run verify reconciles source and target counts)');
     console.log('  2. Test user login functionality');
     console.log('  3. Check case and wine inventory data');
     console.log('  4. Remove legacy_id columns when migration is confirmed complete');
@@ -0,0 +1,433 @@
+/**
+ * Legacy Extras Data Import Script
+ *
+ * See LLM_SCRIPT_INSTRUCTIONS.md for project-wide guidelines
+ *
+ * IMPORTANT: This script maps the legacy ShippingMethods and Supplies catalogs
+ * to the new OperationExtraTemplateEntity structure:
+ *
+ * Required fields from OperationExtraTemplateEntity:
+ * - id, invoice_title, price_per_item (all required)
+ * - tenant_id, description, deleted_at (nullable)
+ *
+ * - Shipping methods: invoice_title = ShippingMethodName, price_per_item = PricePerCase,
+ *   the minimum price and portal flag go to the description
+ * - Supplies: invoice_title = SupplyName, price_per_item = SupplyPrice
+ * - Inactive entries are imported soft-deleted, migrated extras may still refer to them
+ * - legacy_id is prefixed with the catalog ("shipping-<id>", "supply-<id>"),
+ *   see scripts/utils/extra-templates.js
+ *
+ * The link step sets template_id on the extras the case import created: shipping
+ * extras from the ShippingMethodID of their activity (cases-activities.json),
+ * supply extras from the SupplyID of their activity detail (cases-activityDetails.json).
+ *
+ * Usage:
+ *   pnpm run extras:import                              # Clear and import
+ *   pnpm run extras:import:upsert                       # Update in place
+ *   node scripts/import-extras-data.js --clear-existing
+ *   node scripts/import-extras-data.js --upsert
+ *   node scripts/import-extras-data.js --delta=./extracted-data/deltas/<run>
+ *   node scripts/import-extras-data.js --steps=link     # Only re-link the operation extras
+ *
+ * Options:
+ *   --clear-existing   Delete the tenant's migrated templates first
+ *   --upsert           Update existing templates in place (keyed on legacy_id)
+ *   --delta=<dir>      Only apply the rows of an incremental extraction run (implies --upsert)
+ *   --atomic           Run the whole import in a single transaction
+ *   --steps=<keys>     Only run these steps: clear, templates, link, soft-delete
+ *   --batch-size=<n>   Rows per bulk insert statement
+ *   --bulk-mode=<mode> insert (default) or copy
+ *   --config=<path>    Database configuration file path
+ */
+
+const { DataSource } = require('typeorm');
+const { v4: uuidv4 } = require('uuid');
+const { config } = require('dotenv');
+const fs = require('fs');
+const path = require('path');
+const { createDefaultTenant } = require('./utils/tenant-utils');
+const { DatabaseConfig, parseConfigPath } = require('./utils/database-config');
+const { LegacyUpserter } = require('./utils/upsert-utils');
+const { DeltaSource, parseDeltaPath } = require('./utils/delta-utils');
+const { ImportTransaction, parseStepSelection } = require('./utils/transaction-utils');
+const { BulkWriter, parseBulkOptions } = require('./utils/bulk-writer');
+const { MigrationRunLedger } = require('./utils/run-ledger');
+const {
+  SHIPPING_EXTRA_TITLE,
+  getShippingTemplateKey,
+  getSupplyTemplateKey,
+  getSupplyExtraKey,
+  loadTemplateMap
+} = require('./utils/extra-templates');
+
+// Load environment variables
+config();
+
+class LegacyExtrasDataSeeder {
+  constructor(dataSource) {
+    this.dataSource = dataSource;
+    // Queries go through the import transaction while seeding
+    this.db = dataSource;
+  }
+
+  /**
+   * Seeds the operation extra templates and links the migrated extras to them
+   * @param {Object} options - { clearExisting, upsert, deltaDir, atomic, bulk, steps } - upsert updates
+   *   templates on (tenant_id, legacy_id) in place; deltaDir only applies the rows of an incremental
+   *   extraction run; atomic runs the whole import in a single transaction; bulk ({ batchSize, mode })
+   *   configures the batched inserts; steps (Array of step keys) runs only those steps
+   */
+  async seed(options = {}) {
+    console.log('🌱 Starting Legacy Extras Data Seeding...');
+
+    const ledger = new MigrationRunLedger(this.dataSource);
+    const transaction = new ImportTransaction(this.dataSource, { atomic: options.atomic, ledger, steps: options.steps });
+    this.ledger = ledger;
+    this.bulkOptions = options.bulk || {};
+
+    try {
+      await ledger.start({
+        script: 'import-extras-data',
+        options,
+        sourceDir: options.deltaDir || path.join(process.cwd(), 'extracted-data')
+      });
+
+      // Load extracted data
+      await this.loadExtractedData();
+
+      if (options.deltaDir) {
+        this.delta = new DeltaSource(options.deltaDir);
+      }
+
+      await transaction.start();
+      this.db = transaction;
+
+      // Create default tenant
+      this.defaultTenantId = await transaction.runStep('Default tenant', () => createDefaultTenant(this.db));
+      await ledger.setTenant(this.defaultTenantId);
+
+      // Clear existing data if requested
+      if (options.clearExisting) {
+        await transaction.runStep('Clear existing data', () => this.clearExistingData(), 'clear');
+      }
+
+      if (options.upsert || options.deltaDir) {
+        console.log(`🔁 Upsert mode${this.delta ? ' (delta)' : ''} - existing templates are updated in place`);
+        this.upserter = new LegacyUpserter(this.db, this.defaultTenantId, { ledger });
+      }
+
+      // Seed data in dependency order
+      await transaction.runStep('Operation extra templates', () => this.seedTemplates(), 'templates');
+      await transaction.runStep('Link operation extras', () => this.linkOperationExtras(), 'link');
+
+      if (this.upserter) {
+        await transaction.runStep('Soft-delete missing rows', () => this.softDeleteMissingRows(), 'soft-delete');
+        this.upserter.printSummary();
+      }
+
+      await transaction.commit();
+      transaction.printReport();
+      ledger.printSummary();
+      await ledger.finish('completed');
+
+      console.log('✅ Legacy extras data seeding completed successfully!');
+
+    } catch (error) {
+      console.error('❌ Seeding failed:', error);
+      await transaction.rollback();
+      transaction.printReport();
+      await ledger.finish('failed', error);
+      throw error;
+    } finally {
+      await transaction.release();
+      this.db = this.dataSource;
+    }
+  }
+
+  /**
+   * Deletes the migrated templates of the tenant
+   * Templates created in the new system have no legacy_id and are kept.
+   */
+  async clearExistingData() {
+    console.log('🧹 Clearing existing extras data for tenant...');
+
+    await this.db.query(
+      `UPDATE operation_extras SET template_id = NULL
+       WHERE tenant_id = $1 AND template_id IN (
+         SELECT id FROM operation_extra_templates WHERE tenant_id = $1 AND legacy_id IS NOT NULL
+       )`,
+      [this.defaultTenantId]
+    );
+    await this.db.query(
+      'DELETE FROM operation_extra_templates WHERE tenant_id = $1 AND legacy_id IS NOT NULL',
+      [this.defaultTenantId]
+    );
+
+    console.log('✅ Existing tenant extras data cleared');
+  }
+
+  /**
+   * Soft-deletes templates whose catalog entry is no longer in the legacy source
+   */
+  async softDeleteMissingRows() {
+    await this.upserter.softDeleteMissing('operation_extra_templates', {
+      keys: this.getTemplatePayloads(this.legacyData.shippingMethods, this.legacyData.supplies).map(
+        payload => payload.legacy_id
+      ),
+      sources: ['extras-shippingMethods', 'extras-supplies']
+    });
+  }
+
+  async loadExtractedData() {
+    console.log('📂 Loading extracted extras data...');
+
+    const dataDir = path.join(process.cwd(), 'extracted-data');
+
+    if (!fs.existsSync(dataDir)) {
+      throw new Error(`Extracted data directory not found: ${dataDir}`);
+    }
+
+    this.legacyData = {
+      shippingMethods: this.loadJsonFile(path.join(dataDir, 'extras-shippingMethods.json')),
+      supplies: this.loadJsonFile(path.join(dataDir, 'extras-supplies.json')),
+      activities: this.loadJsonFile(path.join(dataDir, 'cases-activities.json')),
+      activityDetails: this.loadJsonFile(path.join(dataDir, 'cases-activityDetails.json'))
+    };
+
+    console.log(`📊 Loaded data: ${Object.entries(this.legacyData).map(([key, data]) => `${key}: ${data.length}`).join(', ')}`);
+  }
+
+  loadJsonFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+      console.warn(`⚠️ File not found: ${filePath}`);
+      return [];
+    }
+
+    const content = fs.readFileSync(filePath, 'utf8');
+    return JSON.parse(content);
+  }
+
+  /**
+   * Returns the legacy rows to seed, narrowed to the changed rows in delta mode (see DeltaSource.getSourceRows)
+   */
+  getSourceRows(name, key, extraKeys) {
+    return this.delta ? this.delta.getSourceRows(this.legacyData, 'extras-', name, key, extraKeys) : this.legacyData[name];
+  }
+
+  /**
+   * Builds the template rows of both catalogs
+   * @param {Array<Object>} shippingMethods - Rows of extras-shippingMethods.json
+   * @param {Array<Object>} supplies - Rows of extras-supplies.json
+   * @returns {Array<Object>} Template payloads
+   */
+  getTemplatePayloads(shippingMethods, supplies) {
+    const build = (row, legacyId, title, price, description) => ({
+      id: uuidv4(),
+      tenant_id: this.defaultTenantId,
+      invoice_title: title,
+      description,
+      price_per_item: Number(price || 0),
+      legacy_id: legacyId,
+      created_at: new Date(row.created_at || Date.now()),
+      updated_at: new Date(row.updated_at || row.created_at || Date.now()),
+      deleted_at: row.is_active === 'false' ? new Date(row.updated_at || Date.now()) : null
+    });
+
+    return [
+      ...shippingMethods.map(method => build(
+        method,
+        getShippingTemplateKey(method.legacy_shipping_method_id),
+        method.ShippingMethodName || `Shipping method ${method.legacy_shipping_method_id}`,
+        method.PricePerCase,
+        [
+          'Shipping, priced per case',
+          method.ShippingMinPrice ? `minimum price ${Number(method.ShippingMinPrice).toFixed(2)}` : null,
+          method.is_portal === 'true' ? 'available in the customer portal' : null
+        ].filter(Boolean).join(', ')
+      )),
+      ...supplies.map(supply => build(
+        supply,
+        getSupplyTemplateKey(supply.legacy_supply_id),
+        supply.SupplyName || `Supply ${supply.legacy_supply_id}`,
+        supply.SupplyPrice,
+        'Supply'
+      ))
+    ];
+  }
+
+  async seedTemplates() {
+    console.log('🧰 Seeding operation extra templates...');
+
+    const existingTemplates = this.upserter ? new Map() : await loadTemplateMap(this.db, this.defaultTenantId);
+    const writer = new BulkWriter(this.db, 'operation_extra_templates', { ...this.bulkOptions, ledger: this.ledger });
+
+    let inserted = 0;
+    let skipped = 0;
+
+    const payloads = this.getTemplatePayloads(
+      this.getSourceRows('shippingMethods', 'legacy_shipping_method_id'),
+      this.getSourceRows('supplies', 'legacy_supply_id')
+    );
+
+    for (const payload of payloads) {
+      if (existingTemplates.has(payload.legacy_id)) {
+        skipped++;
+        continue;
+      }
+
+      if (this.upserter) {
+        await this.upserter.upsert('operation_extra_templates', payload);
+      } else {
+        await writer.add(payload);
+      }
+      inserted++;
+    }
+
+    await writer.close();
+
+    console.log(`✅ Operation extra templates: ${inserted} ${this.upserter ? 'upserted' : 'inserted'}, ${skipped} skipped`);
+  }
+
+  /**
+   * Links the migrated shipping and supply extras to the template of their shipping method or supply
+   * Previous template ids are kept in the run ledger so a rollback restores them.
+   */
+  async linkOperationExtras() {
+    console.log('🔗 Linking operation extras to templates...');
+
+    const templates = await loadTemplateMap(this.db, this.defaultTenantId);
+    const groups = await this.db.query(
+      'SELECT id, legacy_id FROM operations_groups WHERE tenant_id = $1 AND legacy_id IS NOT NULL',
+      [this.defaultTenantId]
+    );
+    const groupIds = new Map(groups.map(group => [group.legacy_id, group.id]));
+
+    const shippingLinks = [];
+    let unknownMethods = 0;
+    for (const activity of this.legacyData.activities) {
+      const groupId = groupIds.get(String(activity.ActivityID));
+      if (!groupId || !activity.ShippingMethodID) {
+        continue;
+      }
+
+      const template = templates.get(getShippingTemplateKey(activity.ShippingMethodID));
+      if (!template) {
+        unknownMethods++;
+        continue;
+      }
+      shippingLinks.push([groupId, template.id]);
+    }
+
+    const supplyLinks = [];
+    let unknownSupplies = 0;
+    for (const detail of this.legacyData.activityDetails) {
+      if (detail.ActivityType !== 'Supply' || !detail.SupplyID) {
+        continue;
+      }
+
+      const template = templates.get(getSupplyTemplateKey(detail.SupplyID));
+      if (!template) {
+        unknownSupplies++;
+        continue;
+      }
+      supplyLinks.push([getSupplyExtraKey(detail.ActivityDetailID), template.id]);
+    }
+
+    const shippingUpdated = await this.setTemplateIds(
+      shippingLinks,
+      'links.key = e.operation_group_id::text AND e.invoice_title = $4',
+      [SHIPPING_EXTRA_TITLE]
+    );
+    const supplyUpdated = await this.setTemplateIds(supplyLinks, 'links.key = e.legacy_id');
+
+    console.log(`✅ Shipping extras linked: ${shippingUpdated} updated, ${unknownMethods} activities with an unknown shipping method`);
+    console.log(`✅ Supply extras linked: ${supplyUpdated} updated, ${unknownSupplies} details with an unknown supply`);
+  }
+
+  /**
+   * Sets template_id on the operation extras matching the given links
+   * @param {Array<Array<string>>} links - [key, template id] pairs
+   * @param {string} condition - Join condition between links (key) and the extra (e)
+   * @param {Array} params - Additional query parameters, starting at $4
+   * @returns {Promise<number>} Number of extras updated
+   */
+  async setTemplateIds(links, condition, params = []) {
+    const [changed] = await this.db.query(
+      `WITH links AS (
+         SELECT unnest($2::text[]) AS key, unnest($3::uuid[]) AS template_id
+       ), changes AS (
+         SELECT e.id, e.template_id AS previous_template_id, links.template_id
+         FROM operation_extras e
+         JOIN links ON ${condition}
+         WHERE e.tenant_id = $1
+           AND e.template_id IS DISTINCT FROM links.template_id
+       )
+       UPDATE operation_extras SET template_id = changes.template_id
+       FROM changes
+       WHERE operation_extras.id = changes.id
+       RETURNING operation_extras.id, changes.previous_template_id`,
+      [this.defaultTenantId, links.map(([key]) => key), links.map(([, templateId]) => templateId), ...params]
+    );
+
+    for (const row of changed || []) {
+      await this.ledger.track('operation_extras', row.id, 'updated', { template_id: row.previous_template_id });
+    }
+
+    return (changed || []).length;
+  }
+}
+
+async function bootstrap() {
+  console.log('🚀 Starting Legacy Extras Data Seeder...');
+
+  // Parse command line arguments
+  const clearExisting = process.argv.includes('--clear-existing');
+  const upsert = process.argv.includes('--upsert');
+  const deltaDir = parseDeltaPath();
+  const atomic = process.argv.includes('--atomic');
+  const bulk = parseBulkOptions();
+  const steps = parseStepSelection();
+  const configPath = parseConfigPath();
+
+  if (clearExisting) {
+    console.log('🧹 Clear existing data mode enabled');
+  }
+
+  let dataSource = null;
+
+  try {
+    // Load database configuration
+    const dbConfig = new DatabaseConfig(configPath);
+    dbConfig.validate();
+
+    // Create database connection
+    dataSource = new DataSource(dbConfig.getConnectionConfig());
+
+    // Initialize connection
+    await dataSource.initialize();
+    console.log('✅ Database connection established');
+
+    // Run the seeder with options
+    const seeder = new LegacyExtrasDataSeeder(dataSource);
+    await seeder.seed({ clearExisting, upsert, deltaDir, atomic, bulk, steps });
+
+    console.log('🎉 Extras data seeding completed successfully!');
+
+  } catch (error) {
+    console.error('❌ Extras data seeding failed:', error);
+    process.exit(1);
+  } finally {
+    // Close connection
+    if (dataSource && dataSource.isInitialized) {
+      await dataSource.destroy();
+      console.log('🔌 Database connection closed');
+    }
+  }
+}
+
+if (require.main === module) {
+  bootstrap();
+}
+
+// Export the class for use in other scripts
+module.exports = { LegacyExtrasDataSeeder };
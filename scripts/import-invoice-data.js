@@ -0,0 +1,492 @@
+/**
+ * Legacy Invoice Data Import Script
+ *
+ * See LLM_SCRIPT_INSTRUCTIONS.md for project-wide guidelines
+ *
+ * IMPORTANT: This script maps legacy Invoices and InvoiceDetails to the new
+ * invoices and invoice_items tables:
+ *
+ * - invoices: customer_id (user keyed on the legacy account), operation_group_id
+ *   (when all lines belong to one activity), number, status (legacy code),
+ *   bill-to address, invoice_date, due_date, total (sum of the non-deleted lines)
+ * - invoice_items: invoice_id, operation_group_id (legacy ActivityID), movement_type,
+ *   item_type, description, item_date, quantity, price, total_price, deleted_at (DateDeleted)
+ *
+ * Both tables are created by scripts/utils/target-schema.js when the target
+ * does not provide them. When it does, only the columns the target table has
+ * are written and the import fails before writing if a required column
+ * cannot be filled.
+ *
+ * Invoices of accounts whose customer was not imported are skipped - import
+ * users (and cases for the operation group links) first.
+ *
+ * Usage:
+ *   pnpm run invoice:import                              # Clear and import
+ *   pnpm run invoice:import:upsert                       # Update in place
+ *   node scripts/import-invoice-data.js --clear-existing
+ *   node scripts/import-invoice-data.js --upsert
+ *   node scripts/import-invoice-data.js --delta=./extracted-data/deltas/<run>
+ *   node scripts/import-invoice-data.js --steps=invoice-items  # Only re-run the lines
+ *
+ * Options:
+ *   --clear-existing   Delete the tenant's invoices first
+ *   --upsert           Update existing invoices in place (keyed on legacy_id)
+ *   --delta=<dir>      Only apply the rows of an incremental extraction run (implies --upsert)
+ *   --atomic           Run the whole import in a single transaction
+ *   --steps=<keys>     Only run these steps: clear, invoices, invoice-items, soft-delete
+ *   --batch-size=<n>   Rows per bulk insert statement
+ *   --bulk-mode=<mode> insert (default) or copy
+ *   --config=<path>    Database configuration file path
+ */
+
+const { DataSource } = require('typeorm');
+const { v4: uuidv4 } = require('uuid');
+const { config } = require('dotenv');
+const fs = require('fs');
+const path = require('path');
+const { createDefaultTenant } = require('./utils/tenant-utils');
+const { DatabaseConfig, parseConfigPath } = require('./utils/database-config');
+const { LegacyUpserter } = require('./utils/upsert-utils');
+const { DeltaSource, parseDeltaPath } = require('./utils/delta-utils');
+const { ImportTransaction, parseStepSelection } = require('./utils/transaction-utils');
+const { BulkWriter, parseBulkOptions } = require('./utils/bulk-writer');
+const { MigrationRunLedger } = require('./utils/run-ledger');
+const { ensureInvoiceSchema, getTableColumns } = require('./utils/target-schema');
+const { loadLegacyUserIds } = require('./utils/user-keys');
+
+// Load environment variables
+config();
+
+class LegacyInvoiceDataSeeder {
+  constructor(dataSource) {
+    this.dataSource = dataSource;
+    // Queries go through the import transaction while seeding
+    this.db = dataSource;
+    this.targetColumns = new Map();
+  }
+
+  /**
+   * Seeds invoices and invoice items
+   * @param {Object} options - { clearExisting, upsert, deltaDir, atomic, bulk, steps } - upsert updates
+   *   invoices on (tenant_id, legacy_id) in place; deltaDir only applies the rows of an incremental
+   *   extraction run; atomic runs the whole import in a single transaction; bulk ({ batchSize, mode })
+   *   configures the batched inserts; steps (Array of step keys) runs only those steps
+   */
+  async seed(options = {}) {
+    console.log('🌱 Starting Legacy Invoice Data Seeding...');
+
+    const ledger = new MigrationRunLedger(this.dataSource);
+    const transaction = new ImportTransaction(this.dataSource, { atomic: options.atomic, ledger, steps: options.steps });
+    this.ledger = ledger;
+    this.bulkOptions = options.bulk || {};
+
+    try {
+      await ledger.start({
+        script: 'import-invoice-data',
+        options,
+        sourceDir: options.deltaDir || path.join(process.cwd(), 'extracted-data')
+      });
+
+      // Load extracted data
+      await this.loadExtractedData();
+
+      if (options.deltaDir) {
+        this.delta = new DeltaSource(options.deltaDir);
+      }
+
+      await transaction.start();
+      this.db = transaction;
+
+      // Create default tenant
+      this.defaultTenantId = await transaction.runStep('Default tenant', () => createDefaultTenant(this.db));
+      await ledger.setTenant(this.defaultTenantId);
+      await transaction.runStep('Invoice schema', () => ensureInvoiceSchema(this.db));
+
+      // Clear existing data if requested
+      if (options.clearExisting) {
+        await transaction.runStep('Clear existing data', () => this.clearExistingData(), 'clear');
+      }
+
+      if (options.upsert || options.deltaDir) {
+        console.log(`🔁 Upsert mode${this.delta ? ' (delta)' : ''} - existing invoices are updated in place`);
+        this.upserter = new LegacyUpserter(this.db, this.defaultTenantId, { ledger });
+      }
+
+      // Seed data in dependency order
+      await transaction.runStep('Invoices', () => this.seedInvoices(), 'invoices');
+      await transaction.runStep('Invoice items', () => this.seedInvoiceItems(), 'invoice-items');
+
+      if (this.upserter) {
+        await transaction.runStep('Soft-delete missing rows', () => this.softDeleteMissingRows(), 'soft-delete');
+        this.upserter.printSummary();
+      }
+
+      await transaction.commit();
+      transaction.printReport();
+      ledger.printSummary();
+      await ledger.finish('completed');
+
+      console.log('✅ Legacy invoice data seeding completed successfully!');
+
+    } catch (error) {
+      console.error('❌ Seeding failed:', error);
+      await transaction.rollback();
+      transaction.printReport();
+      await ledger.finish('failed', error);
+      throw error;
+    } finally {
+      await transaction.release();
+      this.db = this.dataSource;
+    }
+  }
+
+  async clearExistingData() {
+    console.log('🧹 Clearing existing invoice data for tenant...');
+
+    await this.db.query('DELETE FROM invoice_items WHERE tenant_id = $1', [this.defaultTenantId]);
+    await this.db.query('DELETE FROM invoices WHERE tenant_id = $1', [this.defaultTenantId]);
+
+    console.log('✅ Existing tenant invoice data cleared');
+  }
+
+  /**
+   * Soft-deletes invoices and invoice items that are no longer in the legacy source
+   */
+  async softDeleteMissingRows() {
+    const itemKeys = this.legacyData.invoiceDetails.map(detail => detail.legacy_invoice_detail_id.toString());
+    await this.upserter.softDeleteMissing('invoice_items', { keys: itemKeys, sources: ['invoices-invoiceDetails'] });
+
+    const invoiceColumns = await this.getTargetColumns('invoices');
+    if (!invoiceColumns.has('deleted_at') || !invoiceColumns.has('updated_at')) {
+      console.log('ℹ️  invoices has no deleted_at/updated_at columns, invoices are never soft-deleted');
+      return;
+    }
+
+    const invoiceKeys = this.legacyData.invoices.map(invoice => invoice.legacy_invoice_id.toString());
+    await this.upserter.softDeleteMissing('invoices', { keys: invoiceKeys, sources: ['invoices-invoices'] });
+  }
+
+  async loadExtractedData() {
+    console.log('📂 Loading extracted invoice data...');
+
+    const dataDir = path.join(process.cwd(), 'extracted-data');
+
+    if (!fs.existsSync(dataDir)) {
+      throw new Error(`Extracted data directory not found: ${dataDir}`);
+    }
+
+    this.legacyData = {
+      invoices: this.loadJsonFile(path.join(dataDir, 'invoices-invoices.json')),
+      invoiceDetails: this.loadJsonFile(path.join(dataDir, 'invoices-invoiceDetails.json'))
+    };
+
+    console.log(`📊 Loaded data: ${Object.entries(this.legacyData).map(([key, data]) => `${key}: ${data.length}`).join(', ')}`);
+  }
+
+  loadJsonFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+      console.warn(`⚠️ File not found: ${filePath}`);
+      return [];
+    }
+
+    const content = fs.readFileSync(filePath, 'utf8');
+    return JSON.parse(content);
+  }
+
+  /**
+   * Returns the legacy rows to seed, narrowed to the changed rows in delta mode (see DeltaSource.getSourceRows)
+   */
+  getSourceRows(name, key, extraKeys) {
+    return this.delta ? this.delta.getSourceRows(this.legacyData, 'invoices-', name, key, extraKeys) : this.legacyData[name];
+  }
+
+  /**
+   * Loads (once) the columns of a target table
+   * @param {string} table - Target table
+   * @returns {Promise<Map<string, Object>>} Columns by name
+   */
+  async getTargetColumns(table) {
+    if (!this.targetColumns.has(table)) {
+      this.targetColumns.set(table, await getTableColumns(this.db, table));
+    }
+    return this.targetColumns.get(table);
+  }
+
+  /**
+   * Narrows a payload to the columns of the target table
+   * Throws when the table requires a column the payload does not fill.
+   * Columns the table lacks are reported once per table and dropped.
+   * @param {string} table - Target table
+   * @param {Object} payload - Full row
+   * @returns {Promise<Object>} Row with the target's columns only
+   */
+  async toTargetRow(table, payload) {
+    const columns = await this.getTargetColumns(table);
+
+    if (!this.checkedTables) this.checkedTables = new Set();
+    if (!this.checkedTables.has(table)) {
+      this.checkedTables.add(table);
+
+      const unfilled = [...columns.entries()]
+        .filter(([column, info]) => !info.nullable && !info.hasDefault && !(column in payload))
+        .map(([column]) => column);
+      if (unfilled.length > 0) {
+        throw new Error(`${table} requires columns the legacy data does not provide: ${unfilled.join(', ')}`);
+      }
+
+      const dropped = Object.keys(payload).filter(column => !columns.has(column));
+      if (dropped.length > 0) {
+        console.warn(`⚠️ ${table} has no ${dropped.join(', ')} column(s), these values are not imported`);
+      }
+    }
+
+    return Object.fromEntries(Object.entries(payload).filter(([column]) => columns.has(column)));
+  }
+
+  async seedInvoices() {
+    console.log('🧾 Seeding invoices...');
+
+    // Merged duplicate accounts resolve to the customer they were merged into
+    const customerIdMap = await loadLegacyUserIds(this.db, this.defaultTenantId);
+    const groupIdMap = await this.getLegacyIdMap('operations_groups');
+    const existingInvoices = this.upserter ? new Map() : await this.getLegacyIdMap('invoices');
+    const writer = new BulkWriter(this.db, 'invoices', { ...this.bulkOptions, ledger: this.ledger });
+    const linesByInvoice = this.groupDetailsByInvoice();
+
+    // Totals and operation groups come from the lines, invoices with changed lines are rewritten too
+    const changedLineInvoices = this.delta
+      ? new Set(this.delta.getRows('invoices-invoiceDetails').map(detail => String(detail.legacy_invoice_id)))
+      : new Set();
+
+    let inserted = 0;
+    let skipped = 0;
+    let noCustomer = 0;
+    let invalidDueDates = 0;
+
+    for (const invoice of this.getSourceRows('invoices', 'legacy_invoice_id', changedLineInvoices)) {
+      const legacyId = invoice.legacy_invoice_id.toString();
+
+      if (existingInvoices.has(legacyId)) {
+        skipped++;
+        continue;
+      }
+
+      // Customers are keyed on their legacy account
+      const customerId = invoice.legacy_account_id ? customerIdMap.get(invoice.legacy_account_id.toString()) : null;
+      if (!customerId) {
+        noCustomer++;
+        continue;
+      }
+
+      const lines = linesByInvoice.get(legacyId) || [];
+      const activeLines = lines.filter(line => !line.deleted_at);
+      const activityIds = new Set(activeLines.filter(line => line.ActivityID).map(line => String(line.ActivityID)));
+
+      // DueDate is a varchar in the legacy schema
+      const dueDate = this.parseDate(invoice.DueDate);
+      if (invoice.DueDate && !dueDate) {
+        invalidDueDates++;
+      }
+
+      const payload = await this.toTargetRow('invoices', {
+        id: uuidv4(),
+        tenant_id: this.defaultTenantId,
+        customer_id: customerId,
+        operation_group_id: activityIds.size === 1 ? groupIdMap.get([...activityIds][0]) || null : null,
+        number: legacyId,
+        status: invoice.InvoiceStatus !== null && invoice.InvoiceStatus !== undefined ? String(invoice.InvoiceStatus) : null, // legacy status code, kept as is
+        bill_to_name: invoice.BillToName || null,
+        bill_to_address_line_1: invoice.BillToAddressLine1 || null,
+        bill_to_address_line_2: invoice.BillToAddressLine2 || null,
+        bill_to_city: invoice.BillToCity || null,
+        bill_to_state: invoice.BillToState || null,
+        bill_to_postal_code: invoice.BillToZipCode || null,
+        invoice_date: this.parseDate(invoice.InvoiceDate),
+        due_date: dueDate,
+        total: activeLines.reduce((sum, line) => sum + this.getLineTotal(line), 0),
+        legacy_id: legacyId,
+        created_at: new Date(invoice.created_at || Date.now()),
+        updated_at: new Date(invoice.updated_at || invoice.created_at || Date.now()),
+        deleted_at: null
+      });
+
+      if (this.upserter) {
+        await this.upserter.upsert('invoices', payload);
+      } else {
+        await writer.add(payload);
+      }
+      inserted++;
+    }
+
+    await writer.close();
+
+    console.log(`✅ Invoices: ${inserted} ${this.upserter ? 'upserted' : 'inserted'}, ${skipped} skipped`);
+    console.log(`📊 Summary: ${noCustomer} without an imported customer, ${invalidDueDates} with an unreadable due date`);
+  }
+
+  async seedInvoiceItems() {
+    console.log('📄 Seeding invoice items...');
+
+    // Invoices may have been imported by an earlier --steps run
+    const invoiceIdMap = await this.getLegacyIdMap('invoices');
+    const groupIdMap = await this.getLegacyIdMap('operations_groups');
+    const existingItems = this.upserter ? new Map() : await this.getLegacyIdMap('invoice_items');
+    const writer = new BulkWriter(this.db, 'invoice_items', { ...this.bulkOptions, ledger: this.ledger });
+
+    let inserted = 0;
+    let skipped = 0;
+    let noInvoice = 0;
+    let noGroup = 0;
+
+    for (const detail of this.getSourceRows('invoiceDetails', 'legacy_invoice_detail_id')) {
+      const legacyId = detail.legacy_invoice_detail_id.toString();
+
+      if (existingItems.has(legacyId)) {
+        skipped++;
+        continue;
+      }
+
+      const invoiceId = detail.legacy_invoice_id ? invoiceIdMap.get(detail.legacy_invoice_id.toString()) : null;
+      if (!invoiceId) {
+        noInvoice++;
+        continue;
+      }
+
+      const operationGroupId = detail.ActivityID ? groupIdMap.get(detail.ActivityID.toString()) || null : null;
+      if (detail.ActivityID && !operationGroupId) {
+        noGroup++;
+      }
+
+      const payload = await this.toTargetRow('invoice_items', {
+        id: uuidv4(),
+        tenant_id: this.defaultTenantId,
+        invoice_id: invoiceId,
+        operation_group_id: operationGroupId,
+        movement_type: detail.MovementType || null,
+        item_type: detail.ItemType || null,
+        description: detail.ItemDescription || null,
+        item_date: this.parseDate(detail.ItemDate),
+        quantity: detail.Quantity,
+        price: detail.Price,
+        total_price: this.getLineTotal(detail),
+        legacy_id: legacyId,
+        created_at: new Date(detail.created_at || Date.now()),
+        updated_at: new Date(detail.updated_at || detail.created_at || Date.now()),
+        deleted_at: this.parseDate(detail.deleted_at)
+      });
+
+      if (this.upserter) {
+        await this.upserter.upsert('invoice_items', payload);
+      } else {
+        await writer.add(payload);
+      }
+      inserted++;
+    }
+
+    await writer.close();
+
+    console.log(`✅ Invoice items: ${inserted} ${this.upserter ? 'upserted' : 'inserted'}, ${skipped} skipped`);
+    console.log(`📊 Summary: ${noInvoice} without an imported invoice, ${noGroup} linked to an activity without an imported operation group`);
+  }
+
+  groupDetailsByInvoice() {
+    const linesByInvoice = new Map();
+    for (const detail of this.legacyData.invoiceDetails) {
+      const key = String(detail.legacy_invoice_id);
+      if (!linesByInvoice.has(key)) linesByInvoice.set(key, []);
+      linesByInvoice.get(key).push(detail);
+    }
+    return linesByInvoice;
+  }
+
+  /**
+   * Returns the amount of an invoice line
+   * TotalPrice wins, older lines only carry Quantity and Price.
+   * @param {Object} detail - Row of invoices-invoiceDetails.json
+   * @returns {number} Line amount
+   */
+  getLineTotal(detail) {
+    if (detail.TotalPrice !== null && detail.TotalPrice !== undefined) {
+      return Number(detail.TotalPrice);
+    }
+    return Number(detail.Quantity || 0) * Number(detail.Price || 0);
+  }
+
+  parseDate(value) {
+    if (!value) {
+      return null;
+    }
+
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * Maps the legacy ids of a tenant table to the row ids
+   * @param {string} table - Target table
+   * @param {string} keyColumn - Legacy key column
+   * @returns {Promise<Map<string, string>>} Row id by legacy id
+   */
+  async getLegacyIdMap(table, keyColumn = 'legacy_id') {
+    const rows = await this.db.query(
+      `SELECT id, ${keyColumn} AS legacy_key FROM ${table} WHERE tenant_id = $1 AND ${keyColumn} IS NOT NULL`,
+      [this.defaultTenantId]
+    );
+    return new Map(rows.map(row => [String(row.legacy_key), row.id]));
+  }
+}
+
+async function bootstrap() {
+  console.log('🚀 Starting Legacy Invoice Data Seeder...');
+
+  // Parse command line arguments
+  const clearExisting = process.argv.includes('--clear-existing');
+  const upsert = process.argv.includes('--upsert');
+  const deltaDir = parseDeltaPath();
+  const atomic = process.argv.includes('--atomic');
+  const bulk = parseBulkOptions();
+  const steps = parseStepSelection();
+  const configPath = parseConfigPath();
+
+  if (clearExisting) {
+    console.log('🧹 Clear existing data mode enabled');
+  }
+
+  let dataSource = null;
+
+  try {
+    // Load database configuration
+    const dbConfig = new DatabaseConfig(configPath);
+    dbConfig.validate();
+
+    // Create database connection
+    dataSource = new DataSource(dbConfig.getConnectionConfig());
+
+    // Initialize connection
+    await dataSource.initialize();
+    console.log('✅ Database connection established');
+
+    // Run the seeder with options
+    const seeder = new LegacyInvoiceDataSeeder(dataSource);
+    await seeder.seed({ clearExisting, upsert, deltaDir, atomic, bulk, steps });
+
+    console.log('🎉 Invoice data seeding completed successfully!');
+
+  } catch (error) {
+    console.error('❌ Invoice data seeding failed:', error);
+    process.exit(1);
+  } finally {
+    // Close connection
+    if (dataSource && dataSource.isInitialized) {
+      await dataSource.destroy();
+      console.log('🔌 Database connection closed');
+    }
+  }
+}
+
+if (require.main === module) {
+  bootstrap();
+}
+
+// Export the class for use in other scripts
+module.exports = { LegacyInvoiceDataSeeder };
@@ -13,12 +13,55 @@
  * Required fields from UserEntity:
  * - id, tenant_id, email, roles, status, phones (all required)
  * - first_name, last_name, notes, legacy_user_id (nullable)
- * - password, reset_password_token, deleted_at (set to null for legacy users)
+ * - legacy_user_id is "account:<AccountID>" for customers and "user:<UserID>"
+ *   for managers (see scripts/utils/user-keys.js)
+ * - password, reset_password_token (see Passwords below), deleted_at (set to null for legacy users)
  * 
  * Required fields from AddressEntity:
  * - id, user_id, address_line_1, city, state, postal_code, country, tenant_id (all required)
  * - name, address_line_2, notes, location, deleted_at (nullable)
  * - location: GeoLocation interface { lat: number, lng: number } or null
+ *
+ * Customer pricing (customer_pricing, see scripts/utils/target-schema.js):
+ * - the negotiated storage price of an account (Accounts.NormalPrice) and its
+ *   volume breakpoints (BreakVolume1/BreakPrice1, BreakVolume2/BreakPrice2) as
+ *   volume_breaks = [{ min_volume, price }], one row per customer
+ * - legacy_id = AccountID; accounts without any price get no row
+ *
+ * Customer contacts (customer_contacts, see scripts/utils/target-schema.js):
+ * - the other people on an account (Contacts: Title, FirstName, LastName, Email,
+ *   ContactType, Preferred) with their ContactPhones, so staff know who else may
+ *   pick up wine for the customer
+ * - legacy_id = ContactID; contacts without a name or an email are skipped
+ *
+ * Login history (user_audit_logs, see scripts/utils/target-schema.js):
+ * - logins from UserLogs (IP address, user agent) and owinuserloginhistory
+ *   (portal logins, matched on the username used at the time through
+ *   UserNameHistory), and the usernames of UserNameHistory
+ * - entries are attached to the new user of the legacy user: the manager, or
+ *   the customer of every account the user owns; they are append-only and
+ *   keyed on legacy_id = "<source>-<legacy key>"
+ * - users.last_login_at = the latest of Users.LastLogin and the imported logins
+ *
+ * Duplicate users (see scripts/utils/duplicate-resolution.js):
+ * - accounts and managers that would share an email are imported according to
+ *   the decisions file written by analyze-user-duplicates.js (merge, keep with
+ *   another email, skip); its proposals are ignored until they are accepted,
+ *   emails the accepted decisions leave shared fail the import
+ * - merged records get no user, their contacts, addresses and logins go to the
+ *   user they were merged into (which keeps its own pricing), and
+ *   legacy_user_aliases maps their legacy id to it for the case and invoice imports
+ *
+ * Passwords (see scripts/utils/password-utils.js):
+ * - Users.Password is migrated by format: bcrypt hashes are kept, ASP.NET
+ *   Identity hashes are wrapped as "$aspnet-identity$<hash>" for the application
+ *   to verify, plaintext passwords are hashed with bcrypt
+ * - empty passwords and hashes that cannot be verified get no password and a
+ *   reset_password_token; --reset-passwords does that for every user
+ * - the users that need a password reset email are written to
+ *   private-output/password-resets.csv (mode 0600), with their reset tokens - keep it private
+ * - users that keep a wrapped Identity hash are counted and reported at the end
+ *   of the password reset step
  */
 
 const { DataSource } = require('typeorm');
@@ -26,63 +69,213 @@ const { v4: uuidv4 } = require('uuid');
 const { config } = require('dotenv');
 const fs = require('fs');
 const path = require('path');
-const bcrypt = require('bcrypt');
 const { parsePhoneNumber, isValidPhoneNumber } = require('libphonenumber-js');
 const { createDefaultTenant } = require('./utils/tenant-utils');
 const { DatabaseConfig, parseConfigPath } = require('./utils/database-config');
+const { LegacyUpserter, loadExistingKeys } = require('./utils/upsert-utils');
+const { DeltaSource, parseDeltaPath } = require('./utils/delta-utils');
+const { ImportTransaction, parseStepSelection } = require('./utils/transaction-utils');
+const { BulkWriter, parseBulkOptions } = require('./utils/bulk-writer');
+const { MigrationRunLedger } = require('./utils/run-ledger');
+const {
+  tableExists,
+  ensurePricingSchema,
+  ensureContactSchema,
+  ensureAuditSchema,
+  ensureUserAliasSchema
+} = require('./utils/target-schema');
+const { migratePassword, LEGACY_HASH_PREFIX } = require('./utils/password-utils');
+const { DataSaver } = require('./utils/legacy-data-extractor');
+const {
+  DuplicateDecisions,
+  buildUserRecords,
+  getSyntheticEmail,
+  parseDecisionsPath
+} = require('./utils/duplicate-resolution');
+const { getUserKey, parseUserKey, migrateLegacyUserKeys } = require('./utils/user-keys');
 
 // Load environment variables
 config();
 
+// password-resets.csv holds live reset tokens: it is written owner-only to a
+// gitignored directory of its own, never next to the extracted input data
+const PASSWORD_RESET_DIR = path.join(process.cwd(), 'private-output');
+
+// Why a user got a reset_password_token, by legacy password format
+const PASSWORD_RESET_REASONS = {
+  empty: 'no legacy password',
+  'unknown-hash': 'legacy password hash cannot be verified'
+};
+
 
 class LegacyUserDataSeeder {
   constructor(dataSource) {
     this.dataSource = dataSource;
+    // Queries go through the import transaction while seeding
+    this.db = dataSource;
   }
 
+  /**
+   * Seeds users and addresses
+   * @param {Object} options - { clearExisting, upsert, deltaDir, atomic, bulk } - upsert updates users on
+   *   (tenant_id, legacy_user_id) in place; deltaDir only applies the rows of an incremental extraction run;
+   *   atomic runs the whole import in a single transaction; bulk ({ batchSize, mode }) configures
+   *   the batched address inserts; steps (Array of step keys) runs only those steps; resetPasswords issues
+   *   a reset_password_token instead of migrating the legacy password of every user; decisionsFile is the
+   *   duplicate decisions file
+   */
   async seed(options = {}) {
     console.log('🌱 Starting Legacy User Data Seeding...');
+
+    const ledger = new MigrationRunLedger(this.dataSource);
+    const transaction = new ImportTransaction(this.dataSource, { atomic: options.atomic, ledger, steps: options.steps });
+    this.ledger = ledger;
+    this.bulkOptions = options.bulk || {};
+    this.resetPasswords = Boolean(options.resetPasswords);
+    this.passwordFormats = new Map();
     
     try {
+      await ledger.start({
+        script: 'import-user-data',
+        options,
+        sourceDir: options.deltaDir || path.join(process.cwd(), 'extracted-data')
+      });
+
       // Load extracted data
       await this.loadExtractedData();
+      this.duplicates = DuplicateDecisions.load(options.decisionsFile);
+
+      if (options.deltaDir) {
+        this.delta = new DeltaSource(options.deltaDir);
+      }
+
+      await transaction.start();
+      this.db = transaction;
       
       // Create default tenant
-      this.defaultTenantId = await createDefaultTenant(this.dataSource);
+      this.defaultTenantId = await transaction.runStep('Default tenant', () => createDefaultTenant(this.db));
+      await ledger.setTenant(this.defaultTenantId);
+      await transaction.runStep('Target schema', async () => {
+        await ensurePricingSchema(this.db);
+        await ensureContactSchema(this.db);
+        await ensureAuditSchema(this.db);
+        await ensureUserAliasSchema(this.db);
+        await migrateLegacyUserKeys(this.db, this.defaultTenantId);
+      });
       
       console.log({options});
       // Clear existing data if requested
       if (options.clearExisting) {
-        await this.clearExistingData();
+        await transaction.runStep('Clear existing data', () => this.clearExistingData(), 'clear');
+      }
+
+      if (options.upsert || options.deltaDir) {
+        console.log(`🔁 Upsert mode${this.delta ? ' (delta)' : ''} - existing users are updated in place`);
+        this.upserter = new LegacyUpserter(this.db, this.defaultTenantId, { ledger });
       }
       
       // Seed data in dependency order
-      await this.seedUsersByAccounts();      
+      await transaction.runStep('Users by accounts', () => this.seedUsersByAccounts(), 'users');
+      await transaction.runStep('Customer pricing', () => this.seedCustomerPricing(), 'pricing');
+      await transaction.runStep('Customer contacts', () => this.seedCustomerContacts(), 'contacts');
       // await this.seedUsers();
-      await this.seedManagers();
-      await this.seedAddresses();
+      await transaction.runStep('Managers', () => this.seedManagers(), 'managers');
+      await transaction.runStep('Addresses', () => this.seedAddresses(), 'addresses');
+      // Needs both customers and managers
+      await transaction.runStep('Login history', () => this.seedLoginHistory(), 'login-history');
+      await transaction.runStep(
+        'Password reset list',
+        () => this.savePasswordResetList(PASSWORD_RESET_DIR),
+        'password-resets'
+      );
+
+      if (this.upserter) {
+        await transaction.runStep('Soft-delete missing rows', () => this.softDeleteMissingRows(), 'soft-delete');
+        this.upserter.printSummary();
+      }
+
+      await transaction.commit();
+      transaction.printReport();
+      ledger.printSummary();
+      await ledger.finish('completed');
       
       console.log('✅ Legacy user data seeding completed successfully!');
       
     } catch (error) {
       console.error('❌ Seeding failed:', error);
+      await transaction.rollback();
+      transaction.printReport();
+      await ledger.finish('failed', error);
       throw error;
+    } finally {
+      await transaction.release();
+      this.db = this.dataSource;
     }
   }
 
+  /**
+   * Soft-deletes users and addresses that are no longer in the legacy source
+   */
+  async softDeleteMissingRows() {
+    const addressKeys = this.legacyData.addresses.map(address => address.legacy_address_id.toString());
+
+    // Customers are keyed on their active account, managers on their legacy user
+    // Merged and skipped duplicates no longer have a user of their own
+    const isImported = (type, legacyId) => this.duplicates.resolveUserKey(type, legacyId) === getUserKey(type, legacyId);
+    const userKeys = [
+      ...this.legacyData.accounts
+        .filter(account => account.is_active !== 'false' && isImported('account', account.legacy_account_id))
+        .map(account => getUserKey('account', account.legacy_account_id)),
+      ...this.legacyData.users
+        .filter(user => user.Role === 'Staff Manager' && isImported('user', user.legacy_user_id))
+        .map(user => getUserKey('user', user.legacy_user_id))
+    ];
+    const aliasKeys = [...this.duplicates.decisions]
+      .filter(([, decision]) => decision.action === 'merge')
+      .map(([key]) => key);
+
+    const pricingKeys = this.legacyData.accounts
+      .filter(account => account.is_active !== 'false' && !this.isMergedAccount(account) && this.buildPricing(account))
+      .map(account => account.legacy_account_id.toString());
+
+    await this.upserter.softDeleteMissing('addresses', { keys: addressKeys, sources: ['addresses'] });
+    const activeAccountIds = new Set(
+      this.legacyData.accounts
+        .filter(account => account.is_active !== 'false')
+        .map(account => String(account.legacy_account_id))
+    );
+    const contactKeys = this.legacyData.contacts
+      .filter(contact => activeAccountIds.has(String(contact.legacy_account_id)) && this.isContactUsable(contact))
+      .map(contact => contact.legacy_contact_id.toString());
+
+    await this.upserter.softDeleteMissing('customer_pricing', { keys: pricingKeys, sources: ['accounts'] });
+    await this.upserter.softDeleteMissing('customer_contacts', { keys: contactKeys, sources: ['contacts', 'accounts'] });
+    await this.upserter.softDeleteMissing('legacy_user_aliases', { keys: aliasKeys });
+    await this.upserter.softDeleteMissing('users', { keyColumn: 'legacy_user_id', keys: userKeys, sources: ['accounts', 'users'] });
+  }
+
   async clearExistingData() {
     console.log('🧹 Clearing existing user data for tenant...');
     
     // Clear in reverse dependency order, only for the specific tenant
-    await this.dataSource.query("DELETE FROM users_notifications WHERE tenant_id = $1",[this.defaultTenantId]);
-    await this.dataSource.query("DELETE FROM invoices WHERE tenant_id = $1",[this.defaultTenantId]);
-    await this.dataSource.query('DELETE FROM operation_extras WHERE tenant_id = $1', [this.defaultTenantId]);
-    await this.dataSource.query('DELETE FROM cases_operations WHERE tenant_id = $1', [this.defaultTenantId]);
-    await this.dataSource.query('DELETE FROM operations_requests WHERE tenant_id = $1', [this.defaultTenantId]);
-    await this.dataSource.query('DELETE FROM operations_groups WHERE tenant_id = $1', [this.defaultTenantId]);
-    await this.dataSource.query('DELETE FROM cases WHERE tenant_id = $1', [this.defaultTenantId]);
-    await this.dataSource.query('DELETE FROM addresses WHERE user_id IN (SELECT id FROM users WHERE tenant_id = $1) AND tenant_id = $1', [this.defaultTenantId]);
-    await this.dataSource.query('DELETE FROM users WHERE tenant_id = $1', [this.defaultTenantId]);
+    await this.db.query("DELETE FROM users_notifications WHERE tenant_id = $1",[this.defaultTenantId]);
+    await this.db.query("DELETE FROM invoices WHERE tenant_id = $1",[this.defaultTenantId]);
+    await this.db.query('DELETE FROM operation_extras WHERE tenant_id = $1', [this.defaultTenantId]);
+    await this.db.query('DELETE FROM cases_operations WHERE tenant_id = $1', [this.defaultTenantId]);
+    await this.db.query('DELETE FROM operations_requests WHERE tenant_id = $1', [this.defaultTenantId]);
+    await this.db.query('DELETE FROM operations_groups WHERE tenant_id = $1', [this.defaultTenantId]);
+    await this.db.query('DELETE FROM cases WHERE tenant_id = $1', [this.defaultTenantId]);
+    // Locker tables are created by the case import, they do not exist before its first run
+    if (await tableExists(this.db, 'lockers')) {
+      await this.db.query('DELETE FROM locker_rentals WHERE tenant_id = $1', [this.defaultTenantId]);
+      await this.db.query('DELETE FROM lockers WHERE tenant_id = $1', [this.defaultTenantId]);
+    }
+    await this.db.query('DELETE FROM customer_pricing WHERE tenant_id = $1', [this.defaultTenantId]);
+    await this.db.query('DELETE FROM customer_contacts WHERE tenant_id = $1', [this.defaultTenantId]);
+    await this.db.query('DELETE FROM user_audit_logs WHERE tenant_id = $1', [this.defaultTenantId]);
+    await this.db.query('DELETE FROM legacy_user_aliases WHERE tenant_id = $1', [this.defaultTenantId]);
+    await this.db.query('DELETE FROM addresses WHERE user_id IN (SELECT id FROM users WHERE tenant_id = $1) AND tenant_id = $1', [this.defaultTenantId]);
+    await this.db.query('DELETE FROM users WHERE tenant_id = $1', [this.defaultTenantId]);
     
     console.log('✅ Existing tenant user data cleared');
   }
@@ -104,7 +297,8 @@ class LegacyUserDataSeeder {
       contacts: this.loadJsonFile(path.join(dataDir, 'contacts.json')),
       contactPhones: this.loadJsonFile(path.join(dataDir, 'contactPhones.json')),
       userLogs: this.loadJsonFile(path.join(dataDir, 'userLogs.json')),
-      userNameHistory: this.loadJsonFile(path.join(dataDir, 'userNameHistory.json'))
+      userNameHistory: this.loadJsonFile(path.join(dataDir, 'userNameHistory.json')),
+      loginHistory: this.loadJsonFile(path.join(dataDir, 'loginHistory.json'))
     };
 
     console.log(`📊 Loaded data: ${Object.entries(this.legacyData).map(([key, data]) => `${key}: ${data.length}`).join(', ')}`);
@@ -121,6 +315,147 @@ class LegacyUserDataSeeder {
   }
 
 
+  /**
+   * Returns the legacy rows to seed, narrowed to the changed rows in delta mode (see DeltaSource.getSourceRows)
+   */
+  getSourceRows(name, key, extraKeys) {
+    return this.delta ? this.delta.getSourceRows(this.legacyData, '', name, key, extraKeys) : this.legacyData[name];
+  }
+
+  /**
+   * Writes a user row - plain insert, or upsert on legacy_user_id in upsert mode
+   * Passwords are only set on insert so re-runs never reset a password changed since.
+   * @param {Object} payload - User row
+   * @returns {Promise<string>} Id of the written user
+   */
+  async writeUser(payload) {
+    if (this.upserter) {
+      const { id } = await this.upserter.upsert('users', payload, {
+        keyColumn: 'legacy_user_id',
+        insertOnlyColumns: ['password', 'reset_password_token']
+      });
+      return id;
+    }
+
+    const columns = Object.keys(payload);
+    const placeholders = columns.map((_, index) => `$${index + 1}`).join(', ');
+
+    await this.db.query(
+      `INSERT INTO users (${columns.join(', ')}) VALUES (${placeholders})`,
+      Object.values(payload)
+    );
+    await this.ledger.track('users', payload.id);
+
+    return payload.id;
+  }
+
+  /**
+   * Builds the password columns of a user from the legacy password
+   * @param {string|null} legacyPassword - Legacy Users.Password
+   * @returns {Object} { password, reset_password_token, format }
+   */
+  getPasswordColumns(legacyPassword) {
+    const { password, reset_password_token, format } = migratePassword(legacyPassword, {
+      resetAll: this.resetPasswords
+    });
+    this.passwordFormats.set(format, (this.passwordFormats.get(format) || 0) + 1);
+
+    return { password, reset_password_token, format };
+  }
+
+  /**
+   * Writes the users that need a password reset email
+   * Read back from the users table, so users inserted by earlier runs that never set a password are listed too.
+   * @param {string} outputDir - Directory of password-resets.csv
+   */
+  async savePasswordResetList(outputDir) {
+    console.log('🔑 Listing users that need a password reset...');
+
+    const formats = [...this.passwordFormats].map(([format, count]) => `${count} ${format}`).join(', ');
+    if (formats) {
+      console.log(`🔑 Legacy password formats: ${formats}${this.resetPasswords ? ' (all reset)' : ''}`);
+    }
+
+    const users = await this.db.query(
+      `SELECT id, legacy_user_id, email, first_name, last_name, roles, reset_password_token
+       FROM users
+       WHERE tenant_id = $1 AND password IS NULL AND reset_password_token IS NOT NULL AND deleted_at IS NULL
+       ORDER BY email`,
+      [this.defaultTenantId]
+    );
+
+    const rows = users.map(user => ({
+      user_id: user.id,
+      legacy_user_id: user.legacy_user_id,
+      email: user.email,
+      first_name: user.first_name,
+      last_name: user.last_name,
+      roles: Array.isArray(user.roles) ? user.roles.join(' ') : user.roles,
+      reason: (this.passwordResetReasons && this.passwordResetReasons.get(user.id)) || 'reset token issued by an earlier run',
+      reset_password_token: user.reset_password_token
+    }));
+
+    new DataSaver(outputDir, 'csv', { fileMode: 0o600 }).saveData(rows, 'password-resets');
+    console.log(`✅ Password resets: ${rows.length} users need a password reset email`);
+
+    // Wrapped Identity hashes are not in the list, but their users cannot log in until the application verifies them
+    const [{ count: identityHashes }] = await this.db.query(
+      `SELECT COUNT(*) AS count FROM users
+       WHERE tenant_id = $1 AND starts_with(password, $2) AND deleted_at IS NULL`,
+      [this.defaultTenantId, LEGACY_HASH_PREFIX]
+    );
+    if (parseInt(identityHashes, 10) > 0) {
+      console.warn(
+        `⚠️ ${identityHashes} users keep an ASP.NET Identity hash (${LEGACY_HASH_PREFIX}...) - the application has to ` +
+        'verify it with verifyLegacyPassword() (scripts/utils/password-utils.js), or re-run with --reset-passwords'
+      );
+    }
+  }
+
+  /**
+   * Records why a written user needs a password reset
+   * @param {string} userId - Id of the written user
+   * @param {string} format - Detected legacy password format
+   */
+  notePasswordReset(userId, format) {
+    if (!this.passwordResetReasons) this.passwordResetReasons = new Map();
+    this.passwordResetReasons.set(
+      userId,
+      this.resetPasswords ? 'all passwords reset (--reset-passwords)' : PASSWORD_RESET_REASONS[format] || format
+    );
+  }
+
+  /**
+   * Checks whether an email already belongs to a user other than the one being written
+   * @param {string} email - Formatted email
+   * @param {string} userKey - legacy_user_id of the user being written (see getUserKey)
+   * @returns {Promise<boolean>} True if the email is taken
+   */
+  async isEmailTaken(email, userKey) {
+    const existing = await this.db.query(
+      'SELECT id FROM users WHERE email = $1 AND tenant_id = $2',
+      [email, this.defaultTenantId]
+    );
+
+    if (existing.length === 0) {
+      return false;
+    }
+
+    if (!this.upserter) {
+      return true;
+    }
+
+    // In upsert mode the email may belong to the very row being updated
+    const target = await this.upserter.findExisting('users', userKey, 'legacy_user_id');
+    if (target && existing[0].id === target.id) {
+      return false;
+    }
+
+    // Keep the skipped row out of the soft-delete pass
+    this.upserter.markSeen('users', 'legacy_user_id', userKey);
+    return true;
+  }
+
   async seedUsers() {
     console.log('👥 Seeding users...');
     
@@ -138,7 +473,7 @@ class LegacyUserDataSeeder {
       const userFormattedEmail = this.formatEmail(user.Email);
       
       // Check if user already exists
-      const existing = await this.dataSource.query(
+      const existing = await this.db.query(
         'SELECT id FROM users WHERE email = $1 AND tenant_id = $2',
         [userFormattedEmail, this.defaultTenantId]
       );
@@ -190,7 +525,8 @@ class LegacyUserDataSeeder {
         
         // Create user with all required fields
         const userId = uuidv4();
-        await this.dataSource.query(
+        const passwordColumns = this.getPasswordColumns(user.Password);
+        await this.db.query(
           `INSERT INTO users (
             id, tenant_id, first_name, last_name, email, password, reset_password_token, 
             roles, status, phones, notes, legacy_user_id, created_at, updated_at, deleted_at
@@ -201,22 +537,26 @@ class LegacyUserDataSeeder {
             firstName,
             lastName,
             email,
-            bcrypt.hashSync(user.Password, 10), // password - hash the legacy password
-            null, // reset_password_token
+            passwordColumns.password, // password - migrated by legacy format
+            passwordColumns.reset_password_token, // reset_password_token - set when the password cannot be migrated
             `{${userRoles.join(',')}}`, // Convert array to PostgreSQL array format
             userStatus,
             JSON.stringify(userPhones), // Store phones as JSONB
             `Legacy user: ${user.Username || 'Unknown'}. Role: ${user.Role || 'Customer'}. Last login: ${user.LastLogin || 'Never'}`,
-            user.legacy_user_id.toString(), // Store legacy ID for reference
+            getUserKey('user', user.legacy_user_id), // Store legacy ID for reference
             new Date(user.created_at || Date.now()),
             new Date(user.updated_at || Date.now()),
             null // deleted_at - set to null for active users
           ]
         );
         
+        if (passwordColumns.reset_password_token) {
+          this.notePasswordReset(userId, passwordColumns.format);
+        }
+
         // Store user ID mapping for addresses
         if (!this.userIdMap) this.userIdMap = new Map();
-        this.userIdMap.set(user.legacy_user_id.toString(), userId);
+        this.userIdMap.set(getUserKey('user', user.legacy_user_id), userId);
         
         inserted++;
       } else {
@@ -232,8 +572,11 @@ class LegacyUserDataSeeder {
     
     let inserted = 0;
     let skipped = 0;
+    const merged = [];
+
+    this.assertDuplicatesResolved();
     
-    for (const user of this.legacyData.users) {      
+    for (const user of this.getSourceRows('users', 'legacy_user_id')) {      
 
       if (user.Role !== 'Staff Manager') {
         continue;
@@ -245,15 +588,20 @@ class LegacyUserDataSeeder {
         continue;
       }
 
-      const userFormattedEmail = this.formatEmail(user.Email);
+      const userKey = getUserKey('user', user.legacy_user_id);
+      const decision = this.duplicates.get(userKey);
+      if (decision && decision.action !== 'keep') {
+        if (decision.action === 'merge') merged.push({ key: userKey, decision });
+        skipped++;
+        continue;
+      }
+
+      const userFormattedEmail = this.formatEmail((decision && decision.email) || user.Email);
       
       // Check if user already exists
-      const existing = await this.dataSource.query(
-        'SELECT id FROM users WHERE email = $1 AND tenant_id = $2',
-        [userFormattedEmail, this.defaultTenantId]
-      );
+      const emailTaken = await this.isEmailTaken(userFormattedEmail, userKey);
       
-      if (existing.length === 0) {
+      if (!emailTaken) {
         // Prepare phone data from account phones
         const userPhones = this.getUserPhones(user.legacy_user_id);
         
@@ -291,7 +639,7 @@ class LegacyUserDataSeeder {
         // Parse and format user data
         const firstName = this.formatName(user.FirstName);
         const lastName = this.formatName(user.LastName);
-        const email = this.formatEmail(user.Email);
+        const email = userFormattedEmail;
         
         // Log formatting for debugging (only for first few users)
         if (inserted < 5) {
@@ -299,40 +647,40 @@ class LegacyUserDataSeeder {
         }
         
         // Create user with all required fields
-        const userId = uuidv4();
-        await this.dataSource.query(
-          `INSERT INTO users (
-            id, tenant_id, first_name, last_name, email, password, reset_password_token, 
-            roles, status, phones, notes, legacy_user_id, created_at, updated_at, deleted_at
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)`,
-          [
-            userId,
-            this.defaultTenantId,
-            firstName,
-            lastName,
-            email,
-            bcrypt.hashSync(user.Password, 10), // password - hash the legacy password
-            null, // reset_password_token
-            `{${userRoles.join(',')}}`, // Convert array to PostgreSQL array format
-            userStatus,
-            JSON.stringify(userPhones), // Store phones as JSONB
-            `Legacy user: ${user.Username || 'Unknown'}. Role: ${user.Role || 'Customer'}. Last login: ${user.LastLogin || 'Never'}`,
-            user.legacy_user_id.toString(), // Store legacy ID for reference
-            new Date(user.created_at || Date.now()),
-            new Date(user.updated_at || Date.now()),
-            null // deleted_at - set to null for active users
-          ]
-        );
+        const passwordColumns = this.getPasswordColumns(user.Password);
+        const userId = await this.writeUser({
+          id: uuidv4(),
+          tenant_id: this.defaultTenantId,
+          first_name: firstName,
+          last_name: lastName,
+          email,
+          password: passwordColumns.password, // password - migrated by legacy format
+          reset_password_token: passwordColumns.reset_password_token, // set when the password cannot be migrated
+          roles: `{${userRoles.join(',')}}`, // Convert array to PostgreSQL array format
+          status: userStatus,
+          phones: JSON.stringify(userPhones), // Store phones as JSONB
+          notes: `Legacy user: ${user.Username || 'Unknown'}. Role: ${user.Role || 'Customer'}. Last login: ${user.LastLogin || 'Never'}`,
+          legacy_user_id: userKey, // Store legacy ID for reference
+          created_at: new Date(user.created_at || Date.now()),
+          updated_at: new Date(user.updated_at || Date.now()),
+          deleted_at: null // deleted_at - set to null for active users
+        });
         
+        if (passwordColumns.reset_password_token) {
+          this.notePasswordReset(userId, passwordColumns.format);
+        }
+
         // Store user ID mapping for addresses
         if (!this.userIdMap) this.userIdMap = new Map();
-        this.userIdMap.set(user.legacy_user_id.toString(), userId);
+        this.userIdMap.set(getUserKey('user', user.legacy_user_id), userId);
         
         inserted++;
       } else {
         skipped++;
       }
     }
+
+    await this.writeUserAliases(merged);
     
     console.log(`✅ Users: ${inserted} inserted, ${skipped} skipped`);
   }
@@ -342,22 +690,46 @@ class LegacyUserDataSeeder {
     
     let inserted = 0;
     let skipped = 0;
+    const merged = [];
+
+    this.assertDuplicatesResolved();
     
-    for (const account of this.legacyData.accounts) {
+    // In delta mode also revisit accounts whose login user changed
+    const changedUserIds = this.delta ? this.delta.getKeys('users', 'legacy_user_id') : new Set();
+    const changedAccountUserKeys = new Set(
+      this.legacyData.accounts
+        .filter(account => changedUserIds.has(String(account.legacy_user_id)))
+        .map(account => String(account.legacy_account_id))
+    );
+
+    for (const account of this.getSourceRows('accounts', 'legacy_account_id', changedAccountUserKeys)) {
 
       if (account.is_active === 'false') {
         // console.warn(`⚠️ Skipping account ${account.FirstName} ${account.LastName} - account is inactive`);
         continue;
       }
 
+      const userKey = getUserKey('account', account.legacy_account_id);
+      const decision = this.duplicates.get(userKey);
+      if (decision && decision.action !== 'keep') {
+        if (decision.action === 'merge') merged.push({ key: userKey, decision });
+        skipped++;
+        continue;
+      }
+
       // Find associated user data for this account
       const user = this.legacyData.users.find(
         u => u.legacy_user_id === account.legacy_user_id && u.is_active === 'true'
       );
-      
+      // Accounts without an active login user are not imported (see buildUserRecords)
+      if (!user) {
+        skipped++;
+        continue;
+      }
+
       const getFirstName = account.FirstName || user.FirstName;
       const getLastName = account.LastName || user.LastName;
-      const getEmail = account.Email || user.Email || `temp-${account.legacy_account_id}@veritaswinestorage.com`;
+      const getEmail = (decision && decision.email) || account.Email || user.Email || getSyntheticEmail(account.legacy_account_id);
 
       // Parse and format user data
       const firstName = this.formatName(getFirstName);
@@ -365,12 +737,9 @@ class LegacyUserDataSeeder {
       const email = this.formatEmail(getEmail);
 
       // Check if user already exists
-      const existing = await this.dataSource.query(
-        'SELECT id FROM users WHERE email = $1 AND tenant_id = $2',
-        [email, this.defaultTenantId]
-      );
+      const emailTaken = await this.isEmailTaken(email, userKey);
       
-      if (existing.length === 0) {
+      if (!emailTaken) {
         // Prepare phone data from account phones
         const userPhones = this.getUserPhonesByAccount(account.legacy_account_id);
         
@@ -392,34 +761,32 @@ class LegacyUserDataSeeder {
         }
         
         // Create user with all required fields
-        const userId = uuidv4();
-        await this.dataSource.query(
-          `INSERT INTO users (
-            id, tenant_id, first_name, last_name, email, password, reset_password_token, 
-            roles, status, phones, notes, legacy_user_id, created_at, updated_at, deleted_at
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)`,
-          [
-            userId,
-            this.defaultTenantId,
-            firstName,
-            lastName,
-            email,
-            bcrypt.hashSync(user.Password, 10), // password - set to null for legacy users (they'll need to reset)
-            null, // reset_password_token
-            `{${userRoles.join(',')}}`, // Convert array to PostgreSQL array format
-            userStatus,
-            JSON.stringify(userPhones), // Store phones as JSONB
-            account.Notes,
-            account.legacy_account_id.toString(), // Store legacy ID for reference
-            new Date(account.created_at || Date.now()),
-            new Date(account.updated_at || Date.now()),
-            null // deleted_at - set to null for active users
-          ]
-        );
+        const passwordColumns = this.getPasswordColumns(user.Password);
+        const userId = await this.writeUser({
+          id: uuidv4(),
+          tenant_id: this.defaultTenantId,
+          first_name: firstName,
+          last_name: lastName,
+          email,
+          password: passwordColumns.password, // password - migrated by legacy format
+          reset_password_token: passwordColumns.reset_password_token, // set when the password cannot be migrated
+          roles: `{${userRoles.join(',')}}`, // Convert array to PostgreSQL array format
+          status: userStatus,
+          phones: JSON.stringify(userPhones), // Store phones as JSONB
+          notes: account.Notes,
+          legacy_user_id: userKey, // Store legacy ID for reference
+          created_at: new Date(account.created_at || Date.now()),
+          updated_at: new Date(account.updated_at || Date.now()),
+          deleted_at: null // deleted_at - set to null for active users
+        });
         
+        if (passwordColumns.reset_password_token) {
+          this.notePasswordReset(userId, passwordColumns.format);
+        }
+
         // Store user ID mapping for addresses
         if (!this.userIdMap) this.userIdMap = new Map();
-        this.userIdMap.set(user.legacy_user_id.toString(), userId);
+        this.userIdMap.set(userKey, userId);
         
         inserted++;
       } else {
@@ -427,10 +794,535 @@ class LegacyUserDataSeeder {
         skipped++;
       }
     }
+
+    await this.writeUserAliases(merged);
     
     console.log(`✅ Users by accounts: ${inserted} inserted, ${skipped} skipped`);
   }
 
+  /**
+   * Checks the duplicate decisions against the records of this import, once per run
+   * @throws {Error} If imported records would share an email
+   */
+  assertDuplicatesResolved() {
+    if (this.duplicatesChecked) {
+      return;
+    }
+
+    this.duplicates.assertResolved(buildUserRecords(this.legacyData));
+    this.duplicatesChecked = true;
+  }
+
+  /**
+   * Records merged duplicates in legacy_user_aliases
+   * The merge target is imported by the same step, so it is looked up once the step wrote its users.
+   * @param {Array<Object>} merged - { key, decision } of the merged records
+   */
+  async writeUserAliases(merged) {
+    if (merged.length === 0) {
+      return;
+    }
+
+    const existingKeys = this.upserter ? new Set() : await loadExistingKeys(this.db, 'legacy_user_aliases', this.defaultTenantId);
+    let written = 0;
+    let withoutTarget = 0;
+
+    for (const { key, decision } of merged) {
+      const [target] = await this.db.query(
+        'SELECT id FROM users WHERE tenant_id = $1 AND legacy_user_id = $2 AND deleted_at IS NULL LIMIT 1',
+        [this.defaultTenantId, decision.into]
+      );
+
+      if (!target) {
+        console.warn(`⚠️ ${key} is merged into ${decision.into}, which has no imported user`);
+        withoutTarget++;
+        continue;
+      }
+      if (existingKeys.has(key)) {
+        continue;
+      }
+
+      const payload = {
+        id: uuidv4(),
+        tenant_id: this.defaultTenantId,
+        user_id: target.id,
+        legacy_user_id: key,
+        reason: decision.reason || `merged into ${decision.into}`,
+        legacy_id: key,
+        created_at: new Date(),
+        updated_at: new Date(),
+        deleted_at: null
+      };
+
+      if (this.upserter) {
+        await this.upserter.upsert('legacy_user_aliases', payload);
+      } else {
+        await this.db.query(
+          `INSERT INTO legacy_user_aliases (${Object.keys(payload).join(', ')})
+           VALUES (${Object.keys(payload).map((_, index) => `$${index + 1}`).join(', ')})`,
+          Object.values(payload)
+        );
+        await this.ledger.track('legacy_user_aliases', payload.id);
+      }
+      written++;
+    }
+
+    console.log(`🔗 Duplicate merges: ${written} aliases written`);
+    if (withoutTarget > 0) {
+      console.warn(`⚠️ ${withoutTarget} merged records have no imported user to merge into`);
+    }
+  }
+
+  /**
+   * Imports the negotiated storage pricing of every account
+   * Runs after the users step, customers are resolved through getAccountUserId.
+   */
+  async seedCustomerPricing() {
+    console.log('💲 Seeding customer pricing...');
+
+    let inserted = 0;
+    let skipped = 0;
+    let withoutCustomer = 0;
+
+    const writer = this.upserter ? null : new BulkWriter(this.db, 'customer_pricing', { ...this.bulkOptions, ledger: this.ledger });
+    const existingKeys = this.upserter ? new Set() : await loadExistingKeys(this.db, 'customer_pricing', this.defaultTenantId);
+    this.pricingIssues = { incompleteBreaks: 0, breaksAboveNormalPrice: 0 };
+
+    for (const account of this.getSourceRows('accounts', 'legacy_account_id')) {
+      // A merged account takes the pricing of the account it was merged into
+      if (account.is_active === 'false' || this.isMergedAccount(account)) {
+        continue;
+      }
+
+      const pricing = this.buildPricing(account);
+      if (!pricing || existingKeys.has(account.legacy_account_id.toString())) {
+        skipped++;
+        continue;
+      }
+
+      const customerId = await this.getAccountUserId(account);
+      if (!customerId) {
+        withoutCustomer++;
+        continue;
+      }
+
+      this.checkPricing(account, pricing);
+
+      const payload = {
+        id: uuidv4(),
+        tenant_id: this.defaultTenantId,
+        customer_id: customerId,
+        normal_price: pricing.normalPrice,
+        volume_breaks: JSON.stringify(pricing.volumeBreaks),
+        legacy_id: account.legacy_account_id.toString(),
+        created_at: new Date(account.created_at || Date.now()),
+        updated_at: new Date(account.updated_at || Date.now()),
+        deleted_at: null
+      };
+
+      if (this.upserter) {
+        await this.upserter.upsert('customer_pricing', payload);
+      } else {
+        await writer.add(payload);
+      }
+      inserted++;
+    }
+
+    if (writer) {
+      await writer.close();
+    }
+
+    console.log(`✅ Customer pricing: ${inserted} ${this.upserter ? 'upserted' : 'inserted'}, ${skipped} skipped`);
+    if (withoutCustomer > 0) {
+      console.warn(`⚠️ ${withoutCustomer} accounts with pricing have no imported customer`);
+    }
+    if (this.pricingIssues.incompleteBreaks > 0) {
+      console.warn(`⚠️ ${this.pricingIssues.incompleteBreaks} volume breaks have a volume without a price (or the reverse) and were not imported`);
+    }
+    if (this.pricingIssues.breaksAboveNormalPrice > 0) {
+      console.warn(`⚠️ ${this.pricingIssues.breaksAboveNormalPrice} accounts have a volume break priced above their normal price`);
+    }
+  }
+
+  isMergedAccount(account) {
+    const decision = this.duplicates.get(getUserKey('account', account.legacy_account_id));
+    return Boolean(decision && decision.action === 'merge');
+  }
+
+  /**
+   * Builds the pricing of an account
+   * A break counts when both its volume (> 0) and its price are set.
+   * @param {Object} account - Legacy account
+   * @returns {Object|null} { normalPrice, volumeBreaks, incompleteBreaks }, or null when the account has no pricing
+   */
+  buildPricing(account) {
+    const toNumber = value => (value === null || value === undefined || value === '' ? null : Number(value));
+
+    const breaks = [
+      [toNumber(account.BreakVolume1), toNumber(account.BreakPrice1)],
+      [toNumber(account.BreakVolume2), toNumber(account.BreakPrice2)]
+    ];
+    const volumeBreaks = breaks
+      .filter(([volume, price]) => volume > 0 && price !== null)
+      .map(([volume, price]) => ({ min_volume: volume, price }))
+      .sort((a, b) => a.min_volume - b.min_volume);
+    const incompleteBreaks = breaks.filter(([volume, price]) => (volume > 0) !== (price !== null)).length;
+
+    const normalPrice = toNumber(account.NormalPrice);
+    if (normalPrice === null && volumeBreaks.length === 0) {
+      return null;
+    }
+
+    return { normalPrice, volumeBreaks, incompleteBreaks };
+  }
+
+  checkPricing(account, pricing) {
+    this.pricingIssues.incompleteBreaks += pricing.incompleteBreaks;
+
+    if (pricing.normalPrice !== null && pricing.volumeBreaks.some(volumeBreak => volumeBreak.price > pricing.normalPrice)) {
+      this.pricingIssues.breaksAboveNormalPrice++;
+    }
+  }
+
+  /**
+   * Imports the contacts of every active account as contacts of its customer
+   * Runs after the users step, customers are resolved through getAccountUserId.
+   */
+  async seedCustomerContacts() {
+    console.log('👤 Seeding customer contacts...');
+
+    let inserted = 0;
+    let skipped = 0;
+    let withoutCustomer = 0;
+
+    const writer = this.upserter ? null : new BulkWriter(this.db, 'customer_contacts', { ...this.bulkOptions, ledger: this.ledger });
+    const existingKeys = this.upserter ? new Set() : await loadExistingKeys(this.db, 'customer_contacts', this.defaultTenantId);
+    const accountsById = new Map(this.legacyData.accounts.map(account => [String(account.legacy_account_id), account]));
+
+    for (const contact of this.getSourceRows('contacts', 'legacy_contact_id')) {
+      const account = accountsById.get(String(contact.legacy_account_id));
+      if (!account || account.is_active === 'false') {
+        continue;
+      }
+
+      if (!this.isContactUsable(contact) || existingKeys.has(contact.legacy_contact_id.toString())) {
+        skipped++;
+        continue;
+      }
+
+      const customerId = await this.getAccountUserId(account);
+      if (!customerId) {
+        withoutCustomer++;
+        continue;
+      }
+
+      const payload = {
+        id: uuidv4(),
+        tenant_id: this.defaultTenantId,
+        customer_id: customerId,
+        title: contact.Title ? contact.Title.trim() : null,
+        first_name: this.formatName(contact.FirstName),
+        last_name: this.formatName(contact.LastName),
+        email: this.formatEmail(contact.Email),
+        phones: JSON.stringify(this.getContactPhones(contact.legacy_contact_id)),
+        contact_type: contact.ContactType ? contact.ContactType.trim() : null,
+        preferred: contact.preferred === 'true',
+        legacy_id: contact.legacy_contact_id.toString(),
+        created_at: new Date(contact.created_at || Date.now()),
+        updated_at: new Date(contact.updated_at || Date.now()),
+        deleted_at: null
+      };
+
+      if (this.upserter) {
+        await this.upserter.upsert('customer_contacts', payload);
+      } else {
+        await writer.add(payload);
+      }
+      inserted++;
+    }
+
+    if (writer) {
+      await writer.close();
+    }
+
+    console.log(`✅ Customer contacts: ${inserted} ${this.upserter ? 'upserted' : 'inserted'}, ${skipped} skipped`);
+    if (withoutCustomer > 0) {
+      console.warn(`⚠️ ${withoutCustomer} contacts belong to an account without an imported customer`);
+    }
+  }
+
+  // A contact needs a name or an email to be of any use to staff
+  isContactUsable(contact) {
+    return Boolean(
+      (contact.FirstName && contact.FirstName.trim()) ||
+      (contact.LastName && contact.LastName.trim()) ||
+      (contact.Email && contact.Email.trim())
+    );
+  }
+
+  getContactPhones(legacyContactId) {
+    const phones = [];
+
+    this.legacyData.contactPhones
+      .filter(phone => phone.legacy_contact_id === legacyContactId && phone.PhoneNumber)
+      .forEach(phone => {
+        // Only add valid phone numbers, formatted like the customer's phones
+        const parsedNumber = this.parsePhoneNumber(phone.PhoneNumber);
+        if (parsedNumber) {
+          phones.push({
+            type: this.validatePhoneType(this.mapPhoneLabelToType(phone.PhoneLabel)),
+            number: parsedNumber
+          });
+        }
+      });
+
+    return phones;
+  }
+
+  /**
+   * Imports the login and username history of every legacy user and sets users.last_login_at
+   * History entries never change, existing entries are skipped in every mode.
+   */
+  async seedLoginHistory() {
+    console.log('🔐 Seeding login history...');
+
+    const userIds = await this.getLegacyUserIdMap();
+    const existingKeys = await loadExistingKeys(this.db, 'user_audit_logs', this.defaultTenantId, ['user_id', 'legacy_id']);
+    const writer = new BulkWriter(this.db, 'user_audit_logs', { ...this.bulkOptions, ledger: this.ledger });
+    const lastLogins = new Map();
+
+    let inserted = 0;
+    let skipped = 0;
+    let withoutUser = 0;
+
+    for (const entry of this.getAuditEntries()) {
+      const newUserIds = userIds.get(String(entry.legacyUserId));
+      if (!newUserIds || !entry.occurredAt) {
+        withoutUser++;
+        continue;
+      }
+
+      for (const userId of newUserIds) {
+        if (entry.event === 'login' && !(lastLogins.get(userId) > entry.occurredAt)) {
+          lastLogins.set(userId, entry.occurredAt);
+        }
+
+        if (existingKeys.has(`${userId}|${entry.legacyId}`)) {
+          skipped++;
+          continue;
+        }
+
+        await writer.add({
+          id: uuidv4(),
+          tenant_id: this.defaultTenantId,
+          user_id: userId,
+          event: entry.event,
+          occurred_at: entry.occurredAt,
+          ip_address: entry.ipAddress || null,
+          user_agent: entry.userAgent || null,
+          details: JSON.stringify(entry.details || {}),
+          source: entry.source,
+          legacy_id: entry.legacyId,
+          created_at: new Date()
+        });
+        existingKeys.add(`${userId}|${entry.legacyId}`);
+        inserted++;
+      }
+    }
+
+    await writer.close();
+
+    // Users.LastLogin also covers logins the history tables no longer hold
+    for (const user of this.legacyData.users) {
+      const lastLogin = this.parseDate(user.LastLogin);
+      for (const userId of (lastLogin && userIds.get(String(user.legacy_user_id))) || []) {
+        if (!(lastLogins.get(userId) > lastLogin)) {
+          lastLogins.set(userId, lastLogin);
+        }
+      }
+    }
+    const updated = await this.setLastLogins(lastLogins);
+
+    console.log(`✅ Login history: ${inserted} inserted, ${skipped} already imported, ${withoutUser} without an imported user`);
+    console.log(`✅ Last logins: ${updated} users updated`);
+  }
+
+  /**
+   * Builds the audit entries of the three legacy history tables
+   * @returns {Array<Object>} { legacyUserId, event, occurredAt, ipAddress, userAgent, details, source, legacyId }
+   */
+  getAuditEntries() {
+    const entries = [];
+
+    for (const log of this.legacyData.userLogs) {
+      entries.push({
+        legacyUserId: log.legacy_user_id,
+        event: 'login',
+        occurredAt: this.parseDate(log.DateLogged),
+        ipAddress: log.RemoteIPAddress,
+        userAgent: log.UserAgent,
+        source: 'UserLogs',
+        legacyId: `UserLogs-${log.legacy_log_id}`
+      });
+    }
+
+    for (const login of this.legacyData.loginHistory) {
+      const occurredAt = this.parseDate(login.DateLogged);
+      const username = login.Username ? login.Username.trim().toLowerCase() : '';
+      entries.push({
+        legacyUserId: this.findLegacyUserByUsername(username, occurredAt),
+        event: 'login',
+        occurredAt,
+        details: { username: login.Username },
+        source: 'owinuserloginhistory',
+        legacyId: `owinuserloginhistory-${username}-${occurredAt ? occurredAt.toISOString() : ''}`
+      });
+    }
+
+    for (const history of this.legacyData.userNameHistory) {
+      entries.push({
+        legacyUserId: history.legacy_user_id,
+        event: 'username',
+        occurredAt: this.parseDate(history.start_date),
+        details: { username: history.UserName, start_date: history.start_date, end_date: history.end_date },
+        source: 'UserNameHistory',
+        legacyId: `UserNameHistory-${history.legacy_history_id}`
+      });
+    }
+
+    return entries;
+  }
+
+  /**
+   * Resolves the legacy user of a username at a point in time
+   * A UserNameHistory period covering the date wins over the current Users.Username,
+   * which wins over any former use of the username.
+   * @param {string} username - Lowercased username
+   * @param {Date|null} date - Date the username was used
+   * @returns {number|undefined} Legacy user id
+   */
+  findLegacyUserByUsername(username, date) {
+    if (!this.usernameLookup) {
+      this.usernameLookup = { current: new Map(), history: new Map() };
+      for (const user of this.legacyData.users) {
+        if (user.Username) {
+          this.usernameLookup.current.set(user.Username.trim().toLowerCase(), user.legacy_user_id);
+        }
+      }
+      for (const history of this.legacyData.userNameHistory) {
+        const key = history.UserName.trim().toLowerCase();
+        if (!this.usernameLookup.history.has(key)) {
+          this.usernameLookup.history.set(key, []);
+        }
+        this.usernameLookup.history.get(key).push(history);
+      }
+    }
+
+    const periods = this.usernameLookup.history.get(username) || [];
+    const covering = date && periods.find(history =>
+      this.parseDate(history.start_date) <= date &&
+      (!history.end_date || date < this.parseDate(history.end_date))
+    );
+
+    if (covering) {
+      return covering.legacy_user_id;
+    }
+    if (this.usernameLookup.current.has(username)) {
+      return this.usernameLookup.current.get(username);
+    }
+    return periods.length > 0 ? periods[periods.length - 1].legacy_user_id : undefined;
+  }
+
+  /**
+   * Maps legacy user ids to the new users they became
+   * Managers are keyed on their UserID, customers on their account (see getUserKey),
+   * so a legacy user owning several accounts maps to several customers.
+   * @returns {Promise<Map<string, Array<string>>>} New user ids by legacy user id
+   */
+  async getLegacyUserIdMap() {
+    // Logins are not attached to soft-deleted users, nor through a merge into one
+    const users = await this.db.query(
+      'SELECT id, legacy_user_id FROM users WHERE tenant_id = $1 AND legacy_user_id IS NOT NULL AND deleted_at IS NULL',
+      [this.defaultTenantId]
+    );
+    const usersByKey = new Map(users.map(user => [user.legacy_user_id, user.id]));
+
+    const userIds = new Map();
+    const add = (legacyUserId, userId) => {
+      const key = String(legacyUserId);
+      if (!userIds.has(key)) {
+        userIds.set(key, []);
+      }
+      userIds.get(key).push(userId);
+    };
+
+    for (const user of users) {
+      const key = parseUserKey(user.legacy_user_id);
+      if (key && key.type === 'user') {
+        add(key.legacyId, user.id);
+      }
+    }
+    for (const account of this.legacyData.accounts) {
+      const customerId = usersByKey.get(this.duplicates.resolveUserKey('account', account.legacy_account_id));
+      if (customerId && account.legacy_user_id && !(userIds.get(String(account.legacy_user_id)) || []).includes(customerId)) {
+        add(account.legacy_user_id, customerId);
+      }
+    }
+
+    // Logins of a merged manager go to the manager it was merged into
+    for (const [key, decision] of this.duplicates.decisions) {
+      const { type, legacyId } = parseUserKey(key);
+      const targetId = usersByKey.get(decision.into);
+      if (type === 'user' && decision.action === 'merge' && targetId && !(userIds.get(legacyId) || []).includes(targetId)) {
+        add(legacyId, targetId);
+      }
+    }
+
+    return userIds;
+  }
+
+  /**
+   * Sets users.last_login_at, keeping later logins made in the new system
+   * @param {Map<string, Date>} lastLogins - Last legacy login by user id
+   * @returns {Promise<number>} Number of users updated
+   */
+  async setLastLogins(lastLogins) {
+    if (lastLogins.size === 0) {
+      return 0;
+    }
+
+    const [changed] = await this.db.query(
+      `WITH logins AS (
+         SELECT unnest($2::uuid[]) AS id, unnest($3::timestamptz[]) AS last_login_at
+       ), changes AS (
+         SELECT u.id, u.last_login_at AS previous_last_login_at, logins.last_login_at
+         FROM users u
+         JOIN logins ON logins.id = u.id
+         WHERE u.tenant_id = $1
+           AND (u.last_login_at IS NULL OR u.last_login_at < logins.last_login_at)
+       )
+       UPDATE users SET last_login_at = changes.last_login_at
+       FROM changes
+       WHERE users.id = changes.id
+       RETURNING users.id, changes.previous_last_login_at`,
+      [this.defaultTenantId, [...lastLogins.keys()], [...lastLogins.values()].map(date => date.toISOString())]
+    );
+
+    for (const row of changed || []) {
+      await this.ledger.track('users', row.id, 'updated', { last_login_at: row.previous_last_login_at });
+    }
+
+    return (changed || []).length;
+  }
+
+  parseDate(value) {
+    if (!value) {
+      return null;
+    }
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
   getUserPhones(legacyUserId) {
     const phones = [];
     
@@ -658,15 +1550,17 @@ class LegacyUserDataSeeder {
   async seedAddresses() {
     console.log('🏠 Seeding addresses...');
     
-    if (!this.userIdMap) {
-      // console.log('⚠️ No users found, skipping addresses');
-      return;
-    }
-    
     let inserted = 0;
     let skipped = 0;
+
+    // Users are written row by row (email checks need to see earlier rows),
+    // addresses have no such dependency and are batched
+    const writer = this.upserter ? null : new BulkWriter(this.db, 'addresses', { ...this.bulkOptions, ledger: this.ledger });
+    const existingKeys = this.upserter ? new Set() : await loadExistingKeys(
+      this.db, 'addresses', this.defaultTenantId, ['user_id', 'address_line_1', 'city']
+    );
     
-    for (const address of this.legacyData.addresses) {
+    for (const address of this.getSourceRows('addresses', 'legacy_address_id')) {
       // Find the user ID for this address
       const account = this.legacyData.accounts.find(
         acc => acc.legacy_account_id === address.legacy_account_id
@@ -677,19 +1571,16 @@ class LegacyUserDataSeeder {
         continue;
       }
       
-      const userId = this.userIdMap.get(account.legacy_user_id.toString());
+      const userId = await this.getAccountUserId(account);
       if (!userId) {
         console.warn(`⚠️ Skipping address ${address.legacy_address_id} - no user found`);
         continue;
       }
       
-      // Check if address already exists
-      const existing = await this.dataSource.query(
-        'SELECT id FROM addresses WHERE user_id = $1 AND address_line_1 = $2 AND city = $3',
-        [userId, address.AddressLine1, address.City]
-      );
+      // Check if address already exists (upsert mode matches on legacy_id instead)
+      const addressKey = [userId, address.AddressLine1, address.City].join('|');
       
-      if (existing.length === 0) {
+      if (!existingKeys.has(addressKey)) {
         // Determine address name
         let addressName = address.AddressName;
         if (!addressName) {
@@ -708,38 +1599,79 @@ class LegacyUserDataSeeder {
           continue;
         }
         
-        // Create address with all required fields in correct order
-        await this.dataSource.query(
-          `INSERT INTO addresses (
-            id, created_at, updated_at, deleted_at, user_id, name, address_line_1, 
-            address_line_2, city, state, postal_code, country, notes, location, tenant_id
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)`,
-          [
-            uuidv4(),
-            new Date(),
-            new Date(),
-            null, // deleted_at - set to null for active addresses
-            userId,
-            addressName,
-            address.AddressLine1 || null,
-            address.AddressLine2 || null,
-            address.City,
-            address.State,
-            address.ZipCode,
-            'US', // Default country - you might want to extract this from legacy data
-            `Legacy address type: ${address.AddressType || 'Unknown'}`,
-            this.formatLocation(address), // Handle GeoLocation interface
-            this.defaultTenantId
-          ]
-        );
+        const payload = {
+          id: uuidv4(),
+          created_at: new Date(),
+          updated_at: new Date(),
+          deleted_at: null, // deleted_at - set to null for active addresses
+          user_id: userId,
+          name: addressName,
+          address_line_1: address.AddressLine1 || null,
+          address_line_2: address.AddressLine2 || null,
+          city: address.City,
+          state: address.State,
+          postal_code: address.ZipCode,
+          country: 'US', // Default country - you might want to extract this from legacy data
+          notes: `Legacy address type: ${address.AddressType || 'Unknown'}`,
+          location: this.formatLocation(address), // Handle GeoLocation interface
+          tenant_id: this.defaultTenantId,
+          legacy_id: address.legacy_address_id.toString()
+        };
+
+        if (this.upserter) {
+          await this.upserter.upsert('addresses', payload);
+        } else {
+          // Create address with all required fields
+          await writer.add(payload);
+          existingKeys.add(addressKey);
+        }
         
         inserted++;
       } else {
         skipped++;
       }
     }
+
+    if (writer) {
+      await writer.close();
+    }
     
-    console.log(`✅ Addresses: ${inserted} inserted, ${skipped} skipped`);
+    console.log(`✅ Addresses: ${inserted} ${this.upserter ? 'upserted' : 'inserted'}, ${skipped} skipped`);
+  }
+
+  /**
+   * Resolves the new user id of an account
+   * Falls back to the users already in the database in upsert mode, where a
+   * delta run may not have touched the account's user.
+   * @param {Object} account - Legacy account
+   * @returns {Promise<string|undefined>} User id
+   */
+  async getAccountUserId(account) {
+    // Merged accounts resolve to the account they were merged into, skipped ones have no user
+    const userKey = this.duplicates.resolveUserKey('account', account.legacy_account_id);
+    if (!userKey) {
+      return undefined;
+    }
+
+    const userId = this.userIdMap && this.userIdMap.get(userKey);
+    if (userId) {
+      return userId;
+    }
+
+    if (this.upserter) {
+      const existing = await this.upserter.findExisting('users', userKey, 'legacy_user_id');
+      return existing && !existing.deleted_at ? existing.id : undefined;
+    }
+
+    // Users were imported by an earlier invocation (--steps)
+    if (!this.existingUserIds) {
+      const users = await this.db.query(
+        'SELECT id, legacy_user_id FROM users WHERE tenant_id = $1 AND legacy_user_id IS NOT NULL AND deleted_at IS NULL',
+        [this.defaultTenantId]
+      );
+      this.existingUserIds = new Map(users.map(user => [user.legacy_user_id, user.id]));
+    }
+    return this.existingUserIds.get(userKey);
   }
 }
 
@@ -748,11 +1680,22 @@ async function bootstrap() {
   
   // Parse command line arguments
   const clearExisting = process.argv.includes('--clear-existing');
+  const upsert = process.argv.includes('--upsert');
+  const deltaDir = parseDeltaPath();
+  const atomic = process.argv.includes('--atomic');
+  const bulk = parseBulkOptions();
+  const steps = parseStepSelection();
   const configPath = parseConfigPath();
+  const resetPasswords = process.argv.includes('--reset-passwords');
+  const decisionsFile = parseDecisionsPath();
   
   if (clearExisting) {
     console.log('🧹 Clear existing data mode enabled');
   }
+
+  if (resetPasswords) {
+    console.log('🔑 Reset passwords mode enabled - every user gets a reset_password_token');
+  }
   
   let dataSource = null;
   
@@ -770,7 +1713,7 @@ async function bootstrap() {
 
     // Run the seeder with options
     const seeder = new LegacyUserDataSeeder(dataSource);
-    await seeder.seed({ clearExisting });
+    await seeder.seed({ clearExisting, upsert, deltaDir, atomic, bulk, steps, resetPasswords, decisionsFile });
 
     console.log('🎉 User data seeding completed successfully!');
     
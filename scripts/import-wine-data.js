@@ -11,46 +11,132 @@ const fs = require("fs");
 const path = require("path");
 const { createDefaultTenant } = require("./utils/tenant-utils");
 const { DatabaseConfig, parseConfigPath } = require("./utils/database-config");
+const { LegacyUpserter } = require("./utils/upsert-utils");
+const { parseDeltaPath } = require("./utils/delta-utils");
+const { ImportTransaction, parseStepSelection } = require("./utils/transaction-utils");
+const { BulkWriter, parseBulkOptions } = require("./utils/bulk-writer");
+const { MigrationRunLedger } = require("./utils/run-ledger");
 
 // Load environment variables
 config();
 
+// Lookup tables written by this seeder, in dependency order, with the extracted data they come from
+const LOOKUP_TABLES = {
+  wine_countries: "wineCountries",
+  wine_regions: "wineRegions",
+  wine_villages: "wineVillages",
+  wine_producers: "wineProducers",
+  wine_brands: "wineBrands",
+  wine_varietals: "wineVarietals",
+  wine_styles: "wineStyles",
+  wine_bottle_vintages: "wineBottleVintages",
+  wine_bottle_formats: "wineBottleSizes",
+  wine_vineyards: "wineVineyards",
+  wine_types: "wineColors",
+};
 
 class LegacyDataSeeder {
   constructor(dataSource) {
     this.dataSource = dataSource;
+    // Queries go through the import transaction while seeding
+    this.db = dataSource;
+    this.writers = new Map();
   }
 
+  /**
+   * Seeds the wine data
+   * @param {Object} options - { upsert, deltaDir, atomic, bulk } - upsert updates rows in place instead of
+   *   clearing the tenant; deltaDir applies only the rows of an incremental extraction run;
+   *   atomic runs the whole import in a single transaction; bulk ({ batchSize, mode }) configures
+   *   the batched inserts used outside upsert mode; steps (Array of step keys) runs only those steps
+   */
   async seed(options = {}) {
     console.log("🌱 Starting Legacy Data Seeding...");
 
+    const upsert = Boolean(options.upsert || options.deltaDir);
+    const ledger = new MigrationRunLedger(this.dataSource);
+    const transaction = new ImportTransaction(this.dataSource, {
+      atomic: options.atomic,
+      ledger,
+      steps: options.steps,
+    });
+    this.ledger = ledger;
+    this.bulkOptions = options.bulk || {};
+
+    // Queued bulk rows must reach the database before the step commits
+    const runStep = (name, fn, key) =>
+      transaction.runStep(
+        name,
+        async () => {
+          const result = await fn();
+          await this.flushWriters();
+          return result;
+        },
+        key
+      );
+
     try {
+      await ledger.start({
+        script: "import-wine-data",
+        options,
+        sourceDir: options.deltaDir || path.join(process.cwd(), "extracted-data"),
+      });
+
       // Load extracted data
-      await this.loadExtractedData();
+      this.deltaDir = options.deltaDir || null;
+      await this.loadExtractedData(options.deltaDir);
+
+      await transaction.start();
+      this.db = transaction;
 
       // Create default tenant
-      this.defaultTenantId = await createDefaultTenant(this.dataSource);
+      this.defaultTenantId = await transaction.runStep("Default tenant", () =>
+        createDefaultTenant(this.db)
+      );
+      await ledger.setTenant(this.defaultTenantId);
 
-      await this.clearExistingData();
+      if (upsert) {
+        console.log(`🔁 Upsert mode${options.deltaDir ? " (delta)" : ""} - existing data is updated in place`);
+        this.upserter = new LegacyUpserter(this.db, this.defaultTenantId, { ledger });
+      } else {
+        await runStep("Clear existing data", () => this.clearExistingData(), "clear");
+      }
 
       // Seed data in dependency order
-      await this.seedWineCountries();
-      await this.seedWineRegions();
-      await this.seedWineVillages();
-      await this.seedWineProducers();
-      await this.seedWineBrands();
-      await this.seedWineVarietals();
-      await this.seedWineStyles();
-      await this.seedWineBottleVintages();
-      await this.seedWineBottleSizes();
-      await this.seedWineVineyards();
-      await this.seedWineTypes();
-      await this.seedWines();
+      await runStep("Wine countries", () => this.seedWineCountries(), "wine-countries");
+      await runStep("Wine regions", () => this.seedWineRegions(), "wine-regions");
+      await runStep("Wine villages", () => this.seedWineVillages(), "wine-villages");
+      await runStep("Wine producers", () => this.seedWineProducers(), "wine-producers");
+      await runStep("Wine brands", () => this.seedWineBrands(), "wine-brands");
+      await runStep("Wine varietals", () => this.seedWineVarietals(), "wine-varietals");
+      await runStep("Wine styles", () => this.seedWineStyles(), "wine-styles");
+      await runStep("Wine bottle vintages", () => this.seedWineBottleVintages(), "wine-bottle-vintages");
+      await runStep("Wine bottle sizes", () => this.seedWineBottleSizes(), "wine-bottle-formats");
+      await runStep("Wine vineyards", () => this.seedWineVineyards(), "wine-vineyards");
+      await runStep("Wine types", () => this.seedWineTypes(), "wine-types");
+      await runStep("Wines", () => this.seedWines(), "wines");
+
+      if (this.upserter) {
+        await runStep("Soft-delete missing rows", () => this.softDeleteMissingRows(), "soft-delete");
+        this.upserter.printSummary();
+      }
+
+      await transaction.commit();
+      transaction.printReport();
+      ledger.printSummary();
+      await ledger.finish("completed");
 
       console.log("✅ Legacy data seeding completed successfully!");
     } catch (error) {
       console.error("❌ Seeding failed:", error);
+      await transaction.rollback();
+      transaction.printReport();
+      await ledger.finish("failed", error);
       throw error;
+    } finally {
+      await transaction.release();
+      this.db = this.dataSource;
+      this.writers.clear();
     }
   }
 
@@ -60,36 +146,89 @@ class LegacyDataSeeder {
     // Clear in proper foreign key dependency order - dependent tables first
     
     // Clear case/inventory data first (depends on wines)
-    await this.dataSource.query("DELETE FROM wine_inventory_entries WHERE tenant_id = $1", [this.defaultTenantId]);
-    await this.dataSource.query("DELETE FROM operation_extras WHERE tenant_id = $1", [this.defaultTenantId]);
-    await this.dataSource.query("DELETE FROM cases_operations WHERE tenant_id = $1", [this.defaultTenantId]);
-    await this.dataSource.query("DELETE FROM operations_requests WHERE tenant_id = $1", [this.defaultTenantId]);
-    await this.dataSource.query("DELETE FROM operations_groups WHERE tenant_id = $1", [this.defaultTenantId]);
-    await this.dataSource.query("DELETE FROM cases WHERE tenant_id = $1", [this.defaultTenantId]);
+    await this.db.query("DELETE FROM wine_inventory_entries WHERE tenant_id = $1", [this.defaultTenantId]);
+    await this.db.query("DELETE FROM operation_extras WHERE tenant_id = $1", [this.defaultTenantId]);
+    await this.db.query("DELETE FROM cases_operations WHERE tenant_id = $1", [this.defaultTenantId]);
+    await this.db.query("DELETE FROM operations_requests WHERE tenant_id = $1", [this.defaultTenantId]);
+    await this.db.query("DELETE FROM operations_groups WHERE tenant_id = $1", [this.defaultTenantId]);
+    await this.db.query("DELETE FROM cases WHERE tenant_id = $1", [this.defaultTenantId]);
 
     // Clear wine data - wines depend on other wine tables, so delete wines first
-    await this.dataSource.query("DELETE FROM wines WHERE tenant_id = $1", [this.defaultTenantId]);
+    await this.db.query("DELETE FROM wines WHERE tenant_id = $1", [this.defaultTenantId]);
     
     // Then delete the wine lookup tables (no dependencies between them)
-    await this.dataSource.query("DELETE FROM wine_types WHERE tenant_id = $1", [this.defaultTenantId]);
-    await this.dataSource.query("DELETE FROM wine_styles WHERE tenant_id = $1", [this.defaultTenantId]);
-    await this.dataSource.query("DELETE FROM wine_varietals WHERE tenant_id = $1", [this.defaultTenantId]);
-    await this.dataSource.query("DELETE FROM wine_brands WHERE tenant_id = $1", [this.defaultTenantId]);
-    await this.dataSource.query("DELETE FROM wine_producers WHERE tenant_id = $1", [this.defaultTenantId]);
-    await this.dataSource.query("DELETE FROM wine_villages WHERE tenant_id = $1", [this.defaultTenantId]);
-    await this.dataSource.query("DELETE FROM wine_regions WHERE tenant_id = $1", [this.defaultTenantId]);
-    await this.dataSource.query("DELETE FROM wine_countries WHERE tenant_id = $1", [this.defaultTenantId]);
-    await this.dataSource.query("DELETE FROM wine_bottle_formats WHERE tenant_id = $1", [this.defaultTenantId]);
-    await this.dataSource.query("DELETE FROM wine_bottle_vintages WHERE tenant_id = $1", [this.defaultTenantId]);
-    await this.dataSource.query("DELETE FROM wine_vineyards WHERE tenant_id = $1", [this.defaultTenantId]);
+    await this.db.query("DELETE FROM wine_types WHERE tenant_id = $1", [this.defaultTenantId]);
+    await this.db.query("DELETE FROM wine_styles WHERE tenant_id = $1", [this.defaultTenantId]);
+    await this.db.query("DELETE FROM wine_varietals WHERE tenant_id = $1", [this.defaultTenantId]);
+    await this.db.query("DELETE FROM wine_brands WHERE tenant_id = $1", [this.defaultTenantId]);
+    await this.db.query("DELETE FROM wine_producers WHERE tenant_id = $1", [this.defaultTenantId]);
+    await this.db.query("DELETE FROM wine_villages WHERE tenant_id = $1", [this.defaultTenantId]);
+    await this.db.query("DELETE FROM wine_regions WHERE tenant_id = $1", [this.defaultTenantId]);
+    await this.db.query("DELETE FROM wine_countries WHERE tenant_id = $1", [this.defaultTenantId]);
+    await this.db.query("DELETE FROM wine_bottle_formats WHERE tenant_id = $1", [this.defaultTenantId]);
+    await this.db.query("DELETE FROM wine_bottle_vintages WHERE tenant_id = $1", [this.defaultTenantId]);
+    await this.db.query("DELETE FROM wine_vineyards WHERE tenant_id = $1", [this.defaultTenantId]);
 
     console.log("✅ Existing tenant data cleared");
   }
 
-  async loadExtractedData() {
+  /**
+   * Inserts a legacy row, or upserts it on (tenant_id, legacy_id) in upsert mode
+   * Inserts are batched through a BulkWriter and flushed at the end of each step.
+   * @param {string} table - Target table
+   * @param {Object} payload - Row to write
+   * @returns {Promise<string>} Id of the written row
+   */
+  async writeLegacyRow(table, payload) {
+    if (this.upserter) {
+      const { id } = await this.upserter.upsert(table, payload);
+      return id;
+    }
+
+    if (!this.writers.has(table)) {
+      this.writers.set(table, new BulkWriter(this.db, table, { ...this.bulkOptions, ledger: this.ledger }));
+    }
+
+    return this.writers.get(table).add(payload);
+  }
+
+  async flushWriters() {
+    for (const writer of this.writers.values()) {
+      await writer.flush();
+    }
+  }
+
+  async softDeleteMissingRows() {
+    console.log("🗑️ Soft-deleting rows missing from the legacy source...");
+
+    // Placeholder wines are created by the case import for wines missing from
+    // the wine extraction - they never appear in wineItems, so keep them
+    await this.upserter.softDeleteMissing("wines", {
+      where: "description IS NULL OR description NOT LIKE 'Legacy Wine - Veritas - %'",
+      keys: this.getSourceKeys("wineItems"),
+      sources: ["wineItems"],
+    });
+
+    for (const [table, source] of Object.entries(LOOKUP_TABLES).reverse()) {
+      await this.upserter.softDeleteMissing(table, { keys: this.getSourceKeys(source), sources: [source] });
+    }
+  }
+
+  getSourceKeys(source) {
+    // A delta only holds the changed rows, the keys come from the snapshot it was merged into
+    const rows = this.deltaDir
+      ? this.loadJsonFile(path.join(process.cwd(), "extracted-data", `${source}.json`))
+      : this.legacyData[source];
+
+    return rows
+      .filter((row) => row.legacy_id)
+      .map((row) => row.legacy_id.toString());
+  }
+
+  async loadExtractedData(deltaDir = null) {
     console.log("📂 Loading extracted data...");
 
-    const dataDir = path.join(process.cwd(), "extracted-data");
+    const dataDir = deltaDir || path.join(process.cwd(), "extracted-data");
 
     if (!fs.existsSync(dataDir)) {
       throw new Error(`Extracted data directory not found: ${dataDir}`);
@@ -149,22 +288,19 @@ class LegacyDataSeeder {
     let inserted = 0;
 
     for (const country of this.legacyData.wineCountries) {
-      const newId = uuidv4();
-      await this.dataSource.query(
-        "INSERT INTO wine_countries (id, name, tenant_id, legacy_id, created_at, updated_at) VALUES ($1, $2, $3, $4, $5, $6)",
-        [
-          newId,
-          country.name,
-          this.defaultTenantId,
-          country.legacy_id ? country.legacy_id.toString() : null,
-          new Date(country.created_at),
-          new Date(country.updated_at),
-        ]
-      );
+      await this.writeLegacyRow("wine_countries", {
+        id: uuidv4(),
+        name: country.name,
+        tenant_id: this.defaultTenantId,
+        legacy_id: country.legacy_id ? country.legacy_id.toString() : null,
+        created_at: new Date(country.created_at),
+        updated_at: new Date(country.updated_at),
+        deleted_at: null,
+      });
       inserted++;
     }
 
-    console.log(`✅ Wine countries: ${inserted} inserted`);
+    console.log(`✅ Wine countries: ${inserted} ${this.upserter ? "upserted" : "inserted"}`);
   }
 
   async seedWineRegions() {
@@ -173,22 +309,19 @@ class LegacyDataSeeder {
     let inserted = 0;
 
     for (const region of this.legacyData.wineRegions) {
-      const newId = uuidv4();
-      await this.dataSource.query(
-        "INSERT INTO wine_regions (id, name, tenant_id, legacy_id, created_at, updated_at) VALUES ($1, $2, $3, $4, $5, $6)",
-        [
-          newId,
-          region.name,
-          this.defaultTenantId,
-          region.legacy_id ? region.legacy_id.toString() : null,
-          new Date(region.created_at),
-          new Date(region.updated_at),
-        ]
-      );
+      await this.writeLegacyRow("wine_regions", {
+        id: uuidv4(),
+        name: region.name,
+        tenant_id: this.defaultTenantId,
+        legacy_id: region.legacy_id ? region.legacy_id.toString() : null,
+        created_at: new Date(region.created_at),
+        updated_at: new Date(region.updated_at),
+        deleted_at: null,
+      });
       inserted++;
     }
 
-    console.log(`✅ Wine regions: ${inserted} inserted`);
+    console.log(`✅ Wine regions: ${inserted} ${this.upserter ? "upserted" : "inserted"}`);
   }
 
   async seedWineVillages() {
@@ -197,22 +330,19 @@ class LegacyDataSeeder {
     let inserted = 0;
 
     for (const village of this.legacyData.wineVillages) {
-      const newId = uuidv4();
-      await this.dataSource.query(
-        "INSERT INTO wine_villages (id, name, tenant_id, legacy_id, created_at, updated_at) VALUES ($1, $2, $3, $4, $5, $6)",
-        [
-          newId,
-          village.name,
-          this.defaultTenantId,
-          village.legacy_id ? village.legacy_id.toString() : null,
-          new Date(village.created_at),
-          new Date(village.updated_at),
-        ]
-      );
+      await this.writeLegacyRow("wine_villages", {
+        id: uuidv4(),
+        name: village.name,
+        tenant_id: this.defaultTenantId,
+        legacy_id: village.legacy_id ? village.legacy_id.toString() : null,
+        created_at: new Date(village.created_at),
+        updated_at: new Date(village.updated_at),
+        deleted_at: null,
+      });
       inserted++;
     }
 
-    console.log(`✅ Wine villages: ${inserted} inserted`);
+    console.log(`✅ Wine villages: ${inserted} ${this.upserter ? "upserted" : "inserted"}`);
   }
 
   async seedWineProducers() {
@@ -221,22 +351,19 @@ class LegacyDataSeeder {
     let inserted = 0;
 
     for (const producer of this.legacyData.wineProducers) {
-      const newId = uuidv4();
-      await this.dataSource.query(
-        "INSERT INTO wine_producers (id, name, tenant_id, legacy_id, created_at, updated_at) VALUES ($1, $2, $3, $4, $5, $6)",
-        [
-          newId,
-          producer.name,
-          this.defaultTenantId,
-          producer.legacy_id ? producer.legacy_id.toString() : null,
-          new Date(producer.created_at),
-          new Date(producer.updated_at),
-        ]
-      );
+      await this.writeLegacyRow("wine_producers", {
+        id: uuidv4(),
+        name: producer.name,
+        tenant_id: this.defaultTenantId,
+        legacy_id: producer.legacy_id ? producer.legacy_id.toString() : null,
+        created_at: new Date(producer.created_at),
+        updated_at: new Date(producer.updated_at),
+        deleted_at: null,
+      });
       inserted++;
     }
 
-    console.log(`✅ Wine producers: ${inserted} inserted`);
+    console.log(`✅ Wine producers: ${inserted} ${this.upserter ? "upserted" : "inserted"}`);
   }
 
   async seedWineBrands() {
@@ -245,22 +372,19 @@ class LegacyDataSeeder {
     let inserted = 0;
 
     for (const brand of this.legacyData.wineBrands) {
-      const newId = uuidv4();
-      await this.dataSource.query(
-        "INSERT INTO wine_brands (id, name, tenant_id, legacy_id, created_at, updated_at) VALUES ($1, $2, $3, $4, $5, $6)",
-        [
-          newId,
-          brand.name,
-          this.defaultTenantId,
-          brand.legacy_id ? brand.legacy_id.toString() : null,
-          new Date(brand.created_at),
-          new Date(brand.updated_at),
-        ]
-      );
+      await this.writeLegacyRow("wine_brands", {
+        id: uuidv4(),
+        name: brand.name,
+        tenant_id: this.defaultTenantId,
+        legacy_id: brand.legacy_id ? brand.legacy_id.toString() : null,
+        created_at: new Date(brand.created_at),
+        updated_at: new Date(brand.updated_at),
+        deleted_at: null,
+      });
       inserted++;
     }
 
-    console.log(`✅ Wine brands: ${inserted} inserted`);
+    console.log(`✅ Wine brands: ${inserted} ${this.upserter ? "upserted" : "inserted"}`);
   }
 
   async seedWineVarietals() {
@@ -269,22 +393,19 @@ class LegacyDataSeeder {
     let inserted = 0;
 
     for (const varietal of this.legacyData.wineVarietals) {
-      const newId = uuidv4();
-      await this.dataSource.query(
-        "INSERT INTO wine_varietals (id, name, tenant_id, legacy_id, created_at, updated_at) VALUES ($1, $2, $3, $4, $5, $6)",
-        [
-          newId,
-          varietal.name,
-          this.defaultTenantId,
-          varietal.legacy_id ? varietal.legacy_id.toString() : null,
-          new Date(varietal.created_at),
-          new Date(varietal.updated_at),
-        ]
-      );
+      await this.writeLegacyRow("wine_varietals", {
+        id: uuidv4(),
+        name: varietal.name,
+        tenant_id: this.defaultTenantId,
+        legacy_id: varietal.legacy_id ? varietal.legacy_id.toString() : null,
+        created_at: new Date(varietal.created_at),
+        updated_at: new Date(varietal.updated_at),
+        deleted_at: null,
+      });
       inserted++;
     }
 
-    console.log(`✅ Wine varietals: ${inserted} inserted`);
+    console.log(`✅ Wine varietals: ${inserted} ${this.upserter ? "upserted" : "inserted"}`);
   }
 
   async seedWineStyles() {
@@ -293,22 +414,19 @@ class LegacyDataSeeder {
     let inserted = 0;
 
     for (const style of this.legacyData.wineStyles) {
-      const newId = uuidv4();
-      await this.dataSource.query(
-        "INSERT INTO wine_styles (id, name, tenant_id, legacy_id, created_at, updated_at) VALUES ($1, $2, $3, $4, $5, $6)",
-        [
-          newId,
-          style.name,
-          this.defaultTenantId,
-          style.legacy_id ? style.legacy_id.toString() : null,
-          new Date(style.created_at),
-          new Date(style.updated_at),
-        ]
-      );
+      await this.writeLegacyRow("wine_styles", {
+        id: uuidv4(),
+        name: style.name,
+        tenant_id: this.defaultTenantId,
+        legacy_id: style.legacy_id ? style.legacy_id.toString() : null,
+        created_at: new Date(style.created_at),
+        updated_at: new Date(style.updated_at),
+        deleted_at: null,
+      });
       inserted++;
     }
 
-    console.log(`✅ Wine styles: ${inserted} inserted`);
+    console.log(`✅ Wine styles: ${inserted} ${this.upserter ? "upserted" : "inserted"}`);
   }
 
   async seedWineBottleVintages() {
@@ -321,22 +439,19 @@ class LegacyDataSeeder {
       const vintageName =
         vintage.year === "NV" ? "NV" : vintage.year.toString();
 
-      const newId = uuidv4();
-      await this.dataSource.query(
-        "INSERT INTO wine_bottle_vintages (id, name, tenant_id, legacy_id, created_at, updated_at) VALUES ($1, $2, $3, $4, $5, $6)",
-        [
-          newId,
-          vintageName,
-          this.defaultTenantId,
-          vintage.legacy_id ? vintage.legacy_id.toString() : null,
-          new Date(vintage.created_at),
-          new Date(vintage.updated_at),
-        ]
-      );
+      await this.writeLegacyRow("wine_bottle_vintages", {
+        id: uuidv4(),
+        name: vintageName,
+        tenant_id: this.defaultTenantId,
+        legacy_id: vintage.legacy_id ? vintage.legacy_id.toString() : null,
+        created_at: new Date(vintage.created_at),
+        updated_at: new Date(vintage.updated_at),
+        deleted_at: null,
+      });
       inserted++;
     }
 
-    console.log(`✅ Wine bottle vintages: ${inserted} inserted`);
+    console.log(`✅ Wine bottle vintages: ${inserted} ${this.upserter ? "upserted" : "inserted"}`);
   }
 
   async seedWineBottleSizes() {
@@ -345,22 +460,19 @@ class LegacyDataSeeder {
     let inserted = 0;
 
     for (const size of this.legacyData.wineBottleSizes) {
-      const newId = uuidv4();
-      await this.dataSource.query(
-        "INSERT INTO wine_bottle_formats (id, name, tenant_id, legacy_id, created_at, updated_at) VALUES ($1, $2, $3, $4, $5, $6)",
-        [
-          newId,
-          size.name,
-          this.defaultTenantId,
-          size.legacy_id ? size.legacy_id.toString() : null,
-          new Date(size.created_at),
-          new Date(size.updated_at),
-        ]
-      );
+      await this.writeLegacyRow("wine_bottle_formats", {
+        id: uuidv4(),
+        name: size.name,
+        tenant_id: this.defaultTenantId,
+        legacy_id: size.legacy_id ? size.legacy_id.toString() : null,
+        created_at: new Date(size.created_at),
+        updated_at: new Date(size.updated_at),
+        deleted_at: null,
+      });
       inserted++;
     }
 
-    console.log(`✅ Wine bottle sizes: ${inserted} inserted`);
+    console.log(`✅ Wine bottle sizes: ${inserted} ${this.upserter ? "upserted" : "inserted"}`);
   }
 
   async seedWineVineyards() {
@@ -369,22 +481,19 @@ class LegacyDataSeeder {
     let inserted = 0;
 
     for (const vineyard of this.legacyData.wineVineyards) {
-      const newId = uuidv4();
-      await this.dataSource.query(
-        "INSERT INTO wine_vineyards (id, name, tenant_id, legacy_id, created_at, updated_at) VALUES ($1, $2, $3, $4, $5, $6)",
-        [
-          newId,
-          vineyard.name,
-          this.defaultTenantId,
-          vineyard.legacy_id ? vineyard.legacy_id.toString() : null,
-          new Date(vineyard.created_at),
-          new Date(vineyard.updated_at),
-        ]
-      );
+      await this.writeLegacyRow("wine_vineyards", {
+        id: uuidv4(),
+        name: vineyard.name,
+        tenant_id: this.defaultTenantId,
+        legacy_id: vineyard.legacy_id ? vineyard.legacy_id.toString() : null,
+        created_at: new Date(vineyard.created_at),
+        updated_at: new Date(vineyard.updated_at),
+        deleted_at: null,
+      });
       inserted++;
     }
 
-    console.log(`✅ Wine vineyards: ${inserted} inserted`);
+    console.log(`✅ Wine vineyards: ${inserted} ${this.upserter ? "upserted" : "inserted"}`);
   }
 
   async seedWineTypes() {
@@ -393,53 +502,50 @@ class LegacyDataSeeder {
     let inserted = 0;
 
     for (const type of this.legacyData.wineColors) {
-      const newId = uuidv4();
-      await this.dataSource.query(
-        "INSERT INTO wine_types (id, name, tenant_id, legacy_id, created_at, updated_at) VALUES ($1, $2, $3, $4, $5, $6)",
-        [
-          newId,
-          type.name,
-          this.defaultTenantId,
-          type.legacy_id ? type.legacy_id.toString() : null,
-          new Date(type.created_at),
-          new Date(type.updated_at),
-        ]
-      );
+      await this.writeLegacyRow("wine_types", {
+        id: uuidv4(),
+        name: type.name,
+        tenant_id: this.defaultTenantId,
+        legacy_id: type.legacy_id ? type.legacy_id.toString() : null,
+        created_at: new Date(type.created_at),
+        updated_at: new Date(type.updated_at),
+        deleted_at: null,
+      });
       inserted++;
     }
 
-    console.log(`✅ Wine types: ${inserted} inserted`);
+    console.log(`✅ Wine types: ${inserted} ${this.upserter ? "upserted" : "inserted"}`);
   }
 
   async seedWines() {
     console.log("🍷 Seeding wines...");
 
     // Get all the lookup entities for relationships with legacy_id
-    const countries = await this.dataSource.query(
+    const countries = await this.db.query(
       "SELECT id, legacy_id FROM wine_countries"
     );
-    const regions = await this.dataSource.query(
+    const regions = await this.db.query(
       "SELECT id, legacy_id FROM wine_regions"
     );
-    const villages = await this.dataSource.query(
+    const villages = await this.db.query(
       "SELECT id, legacy_id FROM wine_villages"
     );
-    const producers = await this.dataSource.query(
+    const producers = await this.db.query(
       "SELECT id, legacy_id FROM wine_producers"
     );
-    const varietals = await this.dataSource.query(
+    const varietals = await this.db.query(
       "SELECT id, legacy_id FROM wine_varietals"
     );
-    const brands = await this.dataSource.query(
+    const brands = await this.db.query(
       "SELECT id, legacy_id FROM wine_brands"
     );
-    const styles = await this.dataSource.query(
+    const styles = await this.db.query(
       "SELECT id, legacy_id FROM wine_styles"
     );
-    const types = await this.dataSource.query(
+    const types = await this.db.query(
       "SELECT id, legacy_id FROM wine_types"
     );
-    const vineyards = await this.dataSource.query(
+    const vineyards = await this.db.query(
       "SELECT id, legacy_id FROM wine_vineyards"
     );
 
@@ -469,8 +575,6 @@ class LegacyDataSeeder {
     let inserted = 0;
 
     for (const item of this.legacyData.wineItems) {
-      
-      // Insert wine directly since we have a clean database
       const newId = uuidv4();
 
       // Find related entities by legacy_id for more reliable mapping
@@ -487,30 +591,29 @@ class LegacyDataSeeder {
         vineyard_id: item.vineyard_legacy_id ? vineyardMap.get(item.vineyard_legacy_id.toString()) : null,
         legacy_id: item.legacy_id ? item.legacy_id.toString() : null,
         tenant_id: this.defaultTenantId,
+        deleted_at: null,
         // deleted_at: item.is_approved === "true" ? null : new Date(),
       };
 
-      // Dynamically generate SQL columns and placeholders from payload
-      const columns = Object.keys(payload);
-      const placeholders = columns.map((_, index) => `$${index + 1}`).join(', ');
-      
-      await this.dataSource.query(
-        `INSERT INTO wines (${columns.join(', ')}) VALUES (${placeholders})`,
-        Object.values(payload)
-      );
+      await this.writeLegacyRow("wines", payload);
 
       inserted++;
     }
 
-    console.log(`✅ Wines: ${inserted} inserted`);
+    console.log(`✅ Wines: ${inserted} ${this.upserter ? "upserted" : "inserted"}`);
   }
 }
 
 async function bootstrap() {
   console.log("🚀 Starting Legacy Data Seeder...");
 
-  // Parse command line arguments for config path
+  // Parse command line arguments
   const configPath = parseConfigPath();
+  const deltaDir = parseDeltaPath();
+  const upsert = process.argv.includes("--upsert");
+  const atomic = process.argv.includes("--atomic");
+  const bulk = parseBulkOptions();
+  const steps = parseStepSelection();
 
   let dataSource = null;
 
@@ -528,7 +631,7 @@ async function bootstrap() {
 
     // Run only the wine seeder (case seeder has separate issues)
     const seeder = new LegacyDataSeeder(dataSource);
-    await seeder.seed();
+    await seeder.seed({ upsert, deltaDir, atomic, bulk, steps });
 
     console.log("🎉 Wine data seeding completed successfully!");
   } catch (error) {
@@ -11,11 +11,20 @@
  * Options:
  *   --activity-id <ID>     Legacy activity ID to migrate (required)
  *   --clear-existing       Clear existing data for this activity before migrating
+ *   --status-mapping=<path>  Activity status mapping file (default: ./activity-status-mapping.json)
+ *   --process-inventory    Apply the operation group to case inventory (for activities that are not
+ *                          part of the extracted CaseDetails yet)
  *   --help, -h             Show this help message
  *
+ * Without --process-inventory, operations of a processed activity are only marked
+ * synced, their bottles are already part of the CaseDetails inventory. With it, the
+ * group is processed through the API when the config file has an "inventoryApi"
+ * section, in-process otherwise (see scripts/utils/inventory-processor.js).
+ *
  * Examples:
  *   node scripts/migrate-specific-activity.js --activity-id 109
  *   node scripts/migrate-specific-activity.js --activity-id 150 --clear-existing
+ *   node scripts/migrate-specific-activity.js --activity-id 150 --process-inventory
  *   pnpm run migrate:activity -- --activity-id 109
  */
 
@@ -26,8 +35,9 @@ const fs = require("fs");
 const path = require("path");
 const { createDefaultTenant } = require("./utils/tenant-utils");
 const { DatabaseConfig, parseConfigPath } = require("./utils/database-config");
-
-const synced_inventory_status = true;
+const { ActivityStatusMap, DEFAULT_STATUS_MAPPING_FILE } = require("./utils/activity-status-map");
+const { InventoryProcessor, InventoryApiClient } = require("./utils/inventory-processor");
+const { loadLegacyUserIds } = require("./utils/user-keys");
 
 // Load environment variables
 config();
@@ -38,6 +48,8 @@ function parseArguments() {
   const options = {
     activityId: null,
     clearExisting: false,
+    processInventory: false,
+    statusMapping: DEFAULT_STATUS_MAPPING_FILE,
     help: false,
   };
 
@@ -51,11 +63,18 @@ function parseArguments() {
       case "--clear-existing":
         options.clearExisting = true;
         break;
+      case "--process-inventory":
+        options.processInventory = true;
+        break;
       case "--help":
       case "-h":
         options.help = true;
         break;
       default:
+        if (arg.startsWith("--status-mapping=")) {
+          options.statusMapping = arg.split("=")[1];
+          break;
+        }
         console.warn(`⚠️ Unknown argument: ${arg}`);
         break;
     }
@@ -77,11 +96,15 @@ Usage:
 Options:
   --activity-id <ID>     Legacy activity ID to migrate (required)
   --clear-existing       Clear existing data for this activity before migrating
+  --status-mapping=<path>  Activity status mapping file (default: ./activity-status-mapping.json)
+  --process-inventory    Apply the operation group to case inventory (for activities that are not
+                         part of the extracted CaseDetails yet)
   --help, -h             Show this help message
 
 Examples:
   node scripts/migrate-specific-activity.js --activity-id 109
   node scripts/migrate-specific-activity.js --activity-id 150 --clear-existing
+  node scripts/migrate-specific-activity.js --activity-id 150 --process-inventory
   pnpm run migrate:activity -- --activity-id 109
 
 Prerequisites:
@@ -97,12 +120,14 @@ Environment Variables:
   DB_USERNAME=postgres      # Database username
   DB_PASSWORD=postgres      # Database password
   DB_DATABASE=winehaus      # Database name
+  INVENTORY_API_TOKEN=...   # Bearer token of the optional inventoryApi config section
 `);
 }
 
 class SpecificActivityMigrator {
-  constructor(dataSource) {
+  constructor(dataSource, options = {}) {
     this.dataSource = dataSource;
+    this.apiClient = options.apiClient || null;
     this.wineMapId = new Map();
     this.bottleFormatMapId = new Map();
     this.bottleVintageMapId = new Map();
@@ -124,6 +149,13 @@ class SpecificActivityMigrator {
         throw new Error(`Activity with ID ${activityId} not found in legacy data`);
       }
 
+      this.statusMap = ActivityStatusMap.load(
+        options.statusMapping || DEFAULT_STATUS_MAPPING_FILE,
+        this.legacyData.activityStatuses
+      );
+      await this.statusMap.assertValidStatuses(this.dataSource);
+      this.statusMap.assertMapped([activity]);
+
       console.log(`📋 Found activity:`, {
         ActivityID: activity.ActivityID,
         AccountID: activity.AccountID,
@@ -151,7 +183,10 @@ class SpecificActivityMigrator {
       await this.loadMappings();
 
       // Migrate the activity
-      await this.migrateActivity(activity);
+      const operationGroupId = await this.migrateActivity(activity);
+      if (operationGroupId) {
+        await this.processInventory(operationGroupId, activity, options.processInventory);
+      }
 
       console.log("✅ Activity migration completed successfully!");
     } catch (error) {
@@ -171,6 +206,9 @@ class SpecificActivityMigrator {
 
     this.legacyData = {
       activities: this.loadJsonFile(path.join(dataDir, "cases-activities.json")),
+      activityStatuses: this.loadJsonFile(
+        path.join(dataDir, "cases-activityStatuses.json")
+      ),
       activityDetails: this.loadJsonFile(
         path.join(dataDir, "cases-activityDetails.json")
       ),
@@ -207,13 +245,10 @@ class SpecificActivityMigrator {
   async validateDependencies(activity) {
     console.log("🔍 Validating dependencies...");
 
-    // Check if customer exists
-    const customer = await this.dataSource.query(
-      "SELECT id FROM users WHERE legacy_user_id = $1 AND tenant_id = $2",
-      [activity.AccountID.toString(), this.defaultTenantId]
-    );
+    // Check if customer exists (or the customer a merged account went to)
+    const customerIds = await loadLegacyUserIds(this.dataSource, this.defaultTenantId);
 
-    if (customer.length === 0) {
+    if (!customerIds.has(activity.AccountID.toString())) {
       throw new Error(`Customer with legacy ID ${activity.AccountID} not found. Please import users first.`);
     }
 
@@ -311,7 +346,7 @@ class SpecificActivityMigrator {
 
     if (activityDetails.length === 0) {
       console.log("⚠️ No activity details found for this activity");
-      return;
+      return operationGroupId;
     }
 
     // Process based on transaction type
@@ -334,6 +369,35 @@ class SpecificActivityMigrator {
     }
 
     console.log(`✅ Activity ${activity.ActivityID} migrated successfully`);
+    return operationGroupId;
+  }
+
+  /**
+   * Syncs the case operations of the migrated activity with the case inventory
+   * @param {string} operationGroupId - Operation group of the activity
+   * @param {Object} activity - Legacy activity
+   * @param {boolean} applyInventory - Apply the group to case inventory instead of only marking a
+   *   processed activity synced
+   */
+  async processInventory(operationGroupId, activity, applyInventory) {
+    if (!applyInventory && this.parseActivityStatus(activity.Status) !== "processed") {
+      console.log("ℹ️ Activity is not processed, its operations stay unsynced");
+      return;
+    }
+
+    const processor = new InventoryProcessor(this.dataSource, this.defaultTenantId, {
+      apiClient: this.apiClient,
+    });
+
+    if (applyInventory && this.apiClient) {
+      console.log(`🌐 Processing operation group ${operationGroupId} through the inventory API...`);
+    }
+
+    await processor.processOperationGroup(operationGroupId, {
+      applyInventory,
+      note: applyInventory ? null : "Legacy activity already part of the CaseDetails inventory",
+    });
+    processor.printSummary();
   }
 
   getActivityDetails(activityId) {
@@ -346,18 +410,7 @@ class SpecificActivityMigrator {
   }
 
   parseActivityStatus(status) {
-    switch (status) {
-      case 1:
-        return "processed";
-      case 2:
-        return "on_hold";
-      case 3:
-        return "confirmed";
-      case 4:
-        return "on_hold";
-      default:
-        return "pending";
-    }
+    return this.statusMap.resolve(status);
   }
 
   parseActivityTransactionType(activity) {
@@ -603,7 +656,7 @@ class SpecificActivityMigrator {
         this.parseActivityStatus(activity.Status),
         JSON.stringify([{ legacy_activity_id: activity.ActivityID }]),
         null,
-        synced_inventory_status,
+        false,
         false,
         operationGroupId,
         new Date(activity.DateCreated || Date.now()),
@@ -635,7 +688,7 @@ class SpecificActivityMigrator {
         this.parseActivityStatus(activity.Status),
         JSON.stringify([{ legacy_activity_id: activity.ActivityID }]),
         null,
-        synced_inventory_status,
+        false,
         false,
         operationGroupId,
         new Date(activity.DateCreated || Date.now()),
@@ -875,16 +928,7 @@ class SpecificActivityMigrator {
   }
 
   async getCustomerIdMap() {
-    const customerIdMap = new Map();
-    const customers = await this.dataSource.query(
-      `SELECT id, legacy_user_id FROM users WHERE tenant_id = $1`,
-      [this.defaultTenantId]
-    );
-    
-    customers.forEach((customer) => {
-      customerIdMap.set(customer.legacy_user_id, customer.id);
-    });
-    return customerIdMap;
+    return loadLegacyUserIds(this.dataSource, this.defaultTenantId);
   }
 
   async getCaseIdMap() {
@@ -972,9 +1016,15 @@ async function bootstrap() {
     await dataSource.initialize();
     console.log("✅ Database connection established");
 
-    // Run the migrator
-    const migrator = new SpecificActivityMigrator(dataSource);
-    await migrator.migrate(options.activityId, { clearExisting: options.clearExisting });
+    // Run the migrator - the inventory API is only called when the group is applied to case inventory
+    const migrator = new SpecificActivityMigrator(dataSource, {
+      apiClient: options.processInventory ? InventoryApiClient.fromConfig(dbConfig.getRawConfig()) : null,
+    });
+    await migrator.migrate(options.activityId, {
+      clearExisting: options.clearExisting,
+      processInventory: options.processInventory,
+      statusMapping: options.statusMapping,
+    });
 
     console.log("🎉 Activity migration completed successfully!");
   } catch (error) {
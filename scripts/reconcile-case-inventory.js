@@ -0,0 +1,405 @@
+#!/usr/bin/env node
+
+/**
+ * Case Inventory Reconciliation Script
+ *
+ * Compares, per case and wine/bottle format/vintage, the legacy bottle count
+ * (CaseDetails.WineQuantity) with the two ways the case import writes
+ * wine_inventory_entries:
+ *
+ * - snapshot: the entries seeded from CaseDetails (case_id is set)
+ * - operations: the net of the entries of processed case operations imported
+ *   from the legacy activities (deposits add, withdrawals subtract)
+ *
+ * Mismatching lines are written to a CSV together with the legacy activities
+ * that touched them, and a second CSV sums everything up per customer, so the
+ * ops team can review the inventory before go-live.
+ *
+ * Usage:
+ *   node scripts/reconcile-case-inventory.js [options]
+ *
+ * Options:
+ *   --data-dir=<path>      Extracted data directory (default: ./extracted-data)
+ *   --output=<path>        Directory the CSV files are written to (default: ./extracted-data/reconciliation)
+ *   --config=<path>        Path to database config file (default: database-import.local.config.json)
+ *   --help, -h            Show this help message
+ *
+ * Examples:
+ *   node scripts/reconcile-case-inventory.js
+ *   node scripts/reconcile-case-inventory.js --output=./reports
+ *   pnpm run reconcile:case-inventory                          # Run via npm script
+ */
+
+const { DataSource } = require('typeorm');
+const { config } = require('dotenv');
+const fs = require('fs');
+const path = require('path');
+const { DatabaseConfig, parseConfigPath } = require('./utils/database-config');
+const { DEFAULT_TENANT_NAME, getTenantByName } = require('./utils/tenant-utils');
+const { DataSaver } = require('./utils/legacy-data-extractor');
+const { loadExtractedFile, loadCaseDetailMaps, getCaseDetailSkipReason } = require('./utils/reconciliation-utils');
+
+// Load environment variables
+config();
+
+// Parse command line arguments
+function parseArguments() {
+  const args = process.argv.slice(2);
+  const options = {
+    dataDir: path.join(process.cwd(), 'extracted-data'),
+    output: path.join(process.cwd(), 'extracted-data', 'reconciliation'),
+    help: false,
+    config: null
+  };
+
+  for (const arg of args) {
+    if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg.startsWith('--data-dir=')) {
+      options.dataDir = arg.split('=')[1];
+    } else if (arg.startsWith('--output=')) {
+      options.output = arg.split('=')[1];
+    } else if (arg.startsWith('--config=')) {
+      options.config = arg.split('=')[1];
+    } else {
+      console.warn(`⚠️ Unknown argument: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+// Show help message
+function showHelp() {
+  console.log(`
+Case Inventory Reconciliation Script
+
+Compares the net bottle count of every imported case per wine, bottle format
+and vintage with the legacy CaseDetails.WineQuantity - both for the inventory
+seeded from CaseDetails and for the imported activity operations.
+
+Usage:
+  node scripts/reconcile-case-inventory.js [options]
+
+Options:
+  --data-dir=<path>      Extracted data directory (default: ./extracted-data)
+  --output=<path>        Directory the CSV files are written to (default: ./extracted-data/reconciliation)
+  --config=<path>        Path to database config file (default: database-import.local.config.json)
+  --help, -h            Show this help message
+
+Examples:
+  node scripts/reconcile-case-inventory.js
+  node scripts/reconcile-case-inventory.js --output=./reports
+  pnpm run reconcile:case-inventory                          # Run via npm script
+
+Output:
+  case-inventory-mismatches.csv   One line per mismatching case/wine/format/vintage with the legacy activities
+  case-inventory-customers.csv    Bottle totals and mismatching cases per customer
+
+Notes:
+  - The script does not change any imported data
+  - Only cases present in the target database are reconciled (see verify-migration.js for missing cases)
+  - Only processed operations count towards the operations net
+`);
+}
+
+/**
+ * Case inventory reconciliation class
+ * Builds the per-line comparison and writes the CSV files
+ */
+class CaseInventoryReconciliation {
+  constructor(dataSource) {
+    this.dataSource = dataSource;
+    this.db = dataSource;
+    this.lines = new Map();
+  }
+
+  /**
+   * Reconciles the inventory of every imported case
+   * @param {Object} options - { dataDir, output }
+   * @returns {Promise<Object>} { mismatches, customers }
+   */
+  async reconcile(options = {}) {
+    const load = name => loadExtractedFile(options.dataDir, name);
+    const cases = load('cases-cases');
+    const caseDetails = load('cases-caseDetails');
+
+    if (!cases || !caseDetails) {
+      throw new Error(`cases-cases.json and cases-caseDetails.json are required in ${options.dataDir}`);
+    }
+
+    this.defaultTenantId = await getTenantByName(this.dataSource, DEFAULT_TENANT_NAME);
+    if (!this.defaultTenantId) {
+      throw new Error(`Tenant ${DEFAULT_TENANT_NAME} not found - run the case import before reconciling it`);
+    }
+    this.maps = await loadCaseDetailMaps(this.db, this.defaultTenantId);
+    this.caseDetailsById = new Map(caseDetails.map(detail => [String(detail.legacy_case_detail_id), detail]));
+
+    this.addLegacyQuantities(caseDetails);
+    this.addActivities(load('cases-activityDetails') || []);
+    await this.addSnapshotQuantities();
+    await this.addOperationQuantities();
+
+    const accountByCase = new Map(cases.map(caseData => [String(caseData.legacy_case_id), caseData.legacy_account_id]));
+    const caseNumbers = new Map(cases.map(caseData => [String(caseData.legacy_case_id), caseData.CaseNumber]));
+
+    // Cases missing from the target are reported by verify-migration.js
+    const lines = [...this.lines.values()].filter(line => this.maps.cases.has(line.legacyCaseId));
+    const mismatches = lines.filter(
+      line => line.snapshotQuantity !== line.legacyQuantity || line.operationsNet !== line.legacyQuantity
+    );
+
+    const mismatchRows = mismatches.map(line => ({
+      legacy_account_id: accountByCase.get(line.legacyCaseId),
+      legacy_case_id: line.legacyCaseId,
+      case_number: caseNumbers.get(line.legacyCaseId),
+      legacy_wine_item_id: line.wine,
+      legacy_bottle_size_id: line.bottleSize,
+      legacy_vintage_id: line.vintage,
+      legacy_quantity: line.legacyQuantity,
+      snapshot_quantity: line.snapshotQuantity,
+      operations_net: line.operationsNet,
+      snapshot_difference: line.snapshotQuantity - line.legacyQuantity,
+      operations_difference: line.operationsNet - line.legacyQuantity,
+      skip_reasons: [...line.skipReasons].join('; '),
+      activity_ids: [...line.activities].sort((a, b) => a - b).join('; ')
+    }));
+
+    const customerRows = this.summarizeCustomers(lines, mismatches, accountByCase);
+
+    const saver = new DataSaver(options.output, 'csv');
+    saver.saveData(mismatchRows, 'case-inventory-mismatches');
+    saver.saveData(customerRows, 'case-inventory-customers');
+
+    this.printSummary(lines, mismatches, customerRows);
+
+    return { mismatches: mismatchRows, customers: customerRows };
+  }
+
+  /**
+   * Returns the reconciliation line of a case/wine/format/vintage
+   * All keys are legacy ids as strings.
+   */
+  getLine(legacyCaseId, wine, bottleSize, vintage) {
+    const key = [legacyCaseId, wine, bottleSize, vintage].join('|');
+
+    if (!this.lines.has(key)) {
+      this.lines.set(key, {
+        legacyCaseId,
+        wine,
+        bottleSize,
+        vintage,
+        legacyQuantity: 0,
+        snapshotQuantity: 0,
+        operationsNet: 0,
+        skipReasons: new Set(),
+        activities: new Set()
+      });
+    }
+
+    return this.lines.get(key);
+  }
+
+  addLegacyQuantities(caseDetails) {
+    for (const caseDetail of caseDetails) {
+      if (!caseDetail.legacy_case_id) {
+        continue;
+      }
+
+      const line = this.getLine(
+        String(caseDetail.legacy_case_id),
+        String(caseDetail.legacy_wine_item_id),
+        String(caseDetail.legacy_bottle_size_id),
+        String(caseDetail.legacy_vintage_id)
+      );
+      line.legacyQuantity += caseDetail.WineQuantity || 0;
+
+      // Explains why the bottles are missing from the snapshot
+      const reason = getCaseDetailSkipReason(caseDetail, this.maps);
+      if (reason && caseDetail.WineQuantity > 0) {
+        line.skipReasons.add(reason);
+      }
+    }
+  }
+
+  /**
+   * Links the legacy activities to the lines they touched
+   * Wine, format and vintage fall back to the case detail, like the case import does;
+   * a transfer touches both its destination case and the case of its case detail.
+   * @param {Array} activityDetails - Rows of cases-activityDetails.json
+   */
+  addActivities(activityDetails) {
+    for (const detail of activityDetails) {
+      if (detail.ActivityType === 'Supply' || !detail.ActivityID) {
+        continue;
+      }
+
+      const caseDetail = this.caseDetailsById.get(String(detail.CaseDetailID));
+      const wine = String(detail.WineItemID || (caseDetail && caseDetail.legacy_wine_item_id));
+      const bottleSize = String(detail.BottleSizeID || (caseDetail && caseDetail.legacy_bottle_size_id));
+      const vintage = String(detail.VintageID || (caseDetail && caseDetail.legacy_vintage_id));
+
+      const caseIds = new Set();
+      if (detail.CaseID) {
+        caseIds.add(String(detail.CaseID));
+      }
+      if (caseDetail && caseDetail.legacy_case_id) {
+        caseIds.add(String(caseDetail.legacy_case_id));
+      }
+
+      for (const legacyCaseId of caseIds) {
+        this.getLine(legacyCaseId, wine, bottleSize, vintage).activities.add(detail.ActivityID);
+      }
+    }
+  }
+
+  async addSnapshotQuantities() {
+    const rows = await this.db.query(
+      `SELECT c.legacy_id AS legacy_case_id, w.legacy_id AS wine, f.legacy_id AS bottle_size, v.legacy_id AS vintage,
+              SUM(e.amount) AS quantity
+       FROM wine_inventory_entries e
+       JOIN cases c ON c.id = e.case_id
+       LEFT JOIN wines w ON w.id = e.wine_id
+       LEFT JOIN wine_bottle_formats f ON f.id = e.bottle_format_id
+       LEFT JOIN wine_bottle_vintages v ON v.id = e.bottle_vintage_id
+       WHERE e.tenant_id = $1 AND e.case_id IS NOT NULL
+       GROUP BY c.legacy_id, w.legacy_id, f.legacy_id, v.legacy_id`,
+      [this.defaultTenantId]
+    );
+
+    for (const row of rows) {
+      this.getLine(String(row.legacy_case_id), String(row.wine), String(row.bottle_size), String(row.vintage))
+        .snapshotQuantity += Number(row.quantity);
+    }
+  }
+
+  async addOperationQuantities() {
+    const rows = await this.db.query(
+      `SELECT c.legacy_id AS legacy_case_id, w.legacy_id AS wine, f.legacy_id AS bottle_size, v.legacy_id AS vintage,
+              SUM(CASE o.type WHEN 'deposit' THEN e.amount WHEN 'withdrawal' THEN -e.amount ELSE 0 END) AS quantity
+       FROM wine_inventory_entries e
+       JOIN cases_operations o ON o.id = e.operation_id
+       JOIN cases c ON c.id = o.case_id
+       LEFT JOIN wines w ON w.id = e.wine_id
+       LEFT JOIN wine_bottle_formats f ON f.id = e.bottle_format_id
+       LEFT JOIN wine_bottle_vintages v ON v.id = e.bottle_vintage_id
+       WHERE e.tenant_id = $1 AND o.status = 'processed'
+       GROUP BY c.legacy_id, w.legacy_id, f.legacy_id, v.legacy_id`,
+      [this.defaultTenantId]
+    );
+
+    for (const row of rows) {
+      this.getLine(String(row.legacy_case_id), String(row.wine), String(row.bottle_size), String(row.vintage))
+        .operationsNet += Number(row.quantity);
+    }
+  }
+
+  summarizeCustomers(lines, mismatches, accountByCase) {
+    const customers = new Map();
+    const mismatchingCases = new Set(mismatches.map(line => line.legacyCaseId));
+
+    for (const line of lines) {
+      const accountId = accountByCase.get(line.legacyCaseId);
+      const key = String(accountId);
+
+      if (!customers.has(key)) {
+        customers.set(key, {
+          legacy_account_id: accountId,
+          cases: new Set(),
+          mismatching_cases: new Set(),
+          legacy_quantity: 0,
+          snapshot_quantity: 0,
+          operations_net: 0
+        });
+      }
+
+      const customer = customers.get(key);
+      customer.cases.add(line.legacyCaseId);
+      if (mismatchingCases.has(line.legacyCaseId)) {
+        customer.mismatching_cases.add(line.legacyCaseId);
+      }
+      customer.legacy_quantity += line.legacyQuantity;
+      customer.snapshot_quantity += line.snapshotQuantity;
+      customer.operations_net += line.operationsNet;
+    }
+
+    return [...customers.values()].map(customer => ({
+      ...customer,
+      cases: customer.cases.size,
+      mismatching_cases: customer.mismatching_cases.size,
+      snapshot_difference: customer.snapshot_quantity - customer.legacy_quantity,
+      operations_difference: customer.operations_net - customer.legacy_quantity
+    }));
+  }
+
+  printSummary(lines, mismatches, customerRows) {
+    const snapshotMismatches = mismatches.filter(line => line.snapshotQuantity !== line.legacyQuantity).length;
+    const operationMismatches = mismatches.filter(line => line.operationsNet !== line.legacyQuantity).length;
+    const mismatchingCases = new Set(mismatches.map(line => line.legacyCaseId)).size;
+    const mismatchingCustomers = customerRows.filter(customer => customer.mismatching_cases > 0).length;
+
+    console.log('\n📊 Case Inventory Reconciliation:');
+    console.log('=================================');
+    console.log(`  Lines (case/wine/format/vintage): ${lines.length}`);
+    console.log(`  Mismatching lines: ${mismatches.length} (snapshot: ${snapshotMismatches}, operations: ${operationMismatches})`);
+    console.log(`  Mismatching cases: ${mismatchingCases}`);
+    console.log(`  Customers with mismatching cases: ${mismatchingCustomers} of ${customerRows.length}`);
+
+    if (mismatches.length === 0) {
+      console.log('\n✅ Every imported case matches the legacy CaseDetails');
+    }
+  }
+}
+
+async function bootstrap() {
+  console.log('🚀 Starting Case Inventory Reconciliation...');
+
+  // Parse command line arguments
+  const options = parseArguments();
+  const configPath = options.config || parseConfigPath();
+
+  if (options.help) {
+    showHelp();
+    return;
+  }
+
+  if (!fs.existsSync(options.dataDir)) {
+    console.error(`❌ Extracted data directory not found: ${options.dataDir}`);
+    process.exit(1);
+  }
+
+  let dataSource = null;
+
+  try {
+    // Load database configuration
+    const dbConfig = new DatabaseConfig(configPath);
+    dbConfig.validate();
+
+    // Create database connection
+    dataSource = new DataSource(dbConfig.getConnectionConfig());
+
+    // Initialize connection
+    await dataSource.initialize();
+    console.log('✅ Database connection established');
+
+    const reconciliation = new CaseInventoryReconciliation(dataSource);
+    await reconciliation.reconcile(options);
+
+  } catch (error) {
+    console.error('❌ Case inventory reconciliation failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    // Close connection
+    if (dataSource && dataSource.isInitialized) {
+      await dataSource.destroy();
+      console.log('🔌 Database connection closed');
+    }
+  }
+}
+
+if (require.main === module) {
+  bootstrap();
+}
+
+// Export the class for use in other scripts
+module.exports = { CaseInventoryReconciliation };
@@ -0,0 +1,323 @@
+#!/usr/bin/env node
+
+/**
+ * Supply Revenue Reconciliation Script
+ *
+ * Compares, per customer, the supplies sold through legacy activities
+ * ("Supply" ActivityDetails priced at Supplies.SupplyPrice) with the supply
+ * operation extras written by the case import, so finance can confirm no
+ * supply revenue was lost in the migration.
+ *
+ * Supply details without a matching operation extra are written to a second
+ * CSV with the reason the case import left them out, when it is known.
+ *
+ * Usage:
+ *   node scripts/reconcile-supply-revenue.js [options]
+ *
+ * Options:
+ *   --data-dir=<path>      Extracted data directory (default: ./extracted-data)
+ *   --output=<path>        Directory the CSV files are written to (default: ./extracted-data/reconciliation)
+ *   --config=<path>        Path to database config file (default: database-import.local.config.json)
+ *   --help, -h            Show this help message
+ *
+ * Examples:
+ *   node scripts/reconcile-supply-revenue.js
+ *   node scripts/reconcile-supply-revenue.js --output=./reports
+ *   pnpm run reconcile:supply-revenue                          # Run via npm script
+ */
+
+const { DataSource } = require('typeorm');
+const { config } = require('dotenv');
+const fs = require('fs');
+const path = require('path');
+const { DatabaseConfig, parseConfigPath } = require('./utils/database-config');
+const { DEFAULT_TENANT_NAME, getTenantByName } = require('./utils/tenant-utils');
+const { DataSaver } = require('./utils/legacy-data-extractor');
+const { loadExtractedFile, loadLegacyRowMap } = require('./utils/reconciliation-utils');
+const { SUPPLY_EXTRA_PREFIX, getSupplyExtraKey } = require('./utils/extra-templates');
+const { parseUserKey } = require('./utils/user-keys');
+
+// Load environment variables
+config();
+
+// Parse command line arguments
+function parseArguments() {
+  const args = process.argv.slice(2);
+  const options = {
+    dataDir: path.join(process.cwd(), 'extracted-data'),
+    output: path.join(process.cwd(), 'extracted-data', 'reconciliation'),
+    help: false,
+    config: null
+  };
+
+  for (const arg of args) {
+    if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg.startsWith('--data-dir=')) {
+      options.dataDir = arg.split('=')[1];
+    } else if (arg.startsWith('--output=')) {
+      options.output = arg.split('=')[1];
+    } else if (arg.startsWith('--config=')) {
+      options.config = arg.split('=')[1];
+    } else {
+      console.warn(`⚠️ Unknown argument: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+// Show help message
+function showHelp() {
+  console.log(`
+Supply Revenue Reconciliation Script
+
+Compares the supplies sold through legacy activities with the supply operation
+extras of the imported operation groups, per customer.
+
+Usage:
+  node scripts/reconcile-supply-revenue.js [options]
+
+Options:
+  --data-dir=<path>      Extracted data directory (default: ./extracted-data)
+  --output=<path>        Directory the CSV files are written to (default: ./extracted-data/reconciliation)
+  --config=<path>        Path to database config file (default: database-import.local.config.json)
+  --help, -h            Show this help message
+
+Examples:
+  node scripts/reconcile-supply-revenue.js
+  node scripts/reconcile-supply-revenue.js --output=./reports
+  pnpm run reconcile:supply-revenue                          # Run via npm script
+
+Output:
+  supply-revenue-customers.csv       Supply lines, quantity and revenue per customer, legacy and migrated
+  supply-revenue-missing-lines.csv   Supply details without an operation extra, with the reason
+
+Notes:
+  - The script does not change any imported data
+  - Legacy revenue uses the current SupplyPrice, the legacy system does not keep the price a supply was sold at
+  - Details with a quantity of 0 are not imported and not reconciled
+`);
+}
+
+/**
+ * Supply revenue reconciliation class
+ * Builds the per-customer comparison and writes the CSV files
+ */
+class SupplyRevenueReconciliation {
+  constructor(dataSource) {
+    this.dataSource = dataSource;
+    this.db = dataSource;
+    this.customers = new Map();
+  }
+
+  /**
+   * Reconciles the supply revenue of every customer
+   * @param {Object} options - { dataDir, output }
+   * @returns {Promise<Object>} { customers, missingLines }
+   */
+  async reconcile(options = {}) {
+    const load = name => loadExtractedFile(options.dataDir, name);
+    const activities = load('cases-activities');
+    const activityDetails = load('cases-activityDetails');
+    const supplies = load('extras-supplies');
+
+    if (!activities || !activityDetails || !supplies) {
+      throw new Error(
+        `cases-activities.json, cases-activityDetails.json and extras-supplies.json are required in ${options.dataDir}`
+      );
+    }
+
+    this.defaultTenantId = await getTenantByName(this.dataSource, DEFAULT_TENANT_NAME);
+    if (!this.defaultTenantId) {
+      throw new Error(`Tenant ${DEFAULT_TENANT_NAME} not found - run the activity import before reconciling it`);
+    }
+    const groups = await loadLegacyRowMap(this.db, 'operations_groups', this.defaultTenantId);
+    const extras = await this.loadSupplyExtras();
+
+    const accountByActivity = new Map(activities.map(activity => [String(activity.ActivityID), activity.AccountID]));
+    const supplyById = new Map(supplies.map(supply => [String(supply.legacy_supply_id), supply]));
+
+    const missingLines = [];
+    for (const detail of activityDetails) {
+      const quantity = Number(detail.Quantity || 0);
+      if (detail.ActivityType !== 'Supply' || !detail.ActivityID || quantity === 0) {
+        continue;
+      }
+
+      const supply = supplyById.get(String(detail.SupplyID));
+      const price = supply ? Number(supply.SupplyPrice || 0) : 0;
+      const accountId = accountByActivity.get(String(detail.ActivityID));
+
+      const customer = this.getCustomer(accountId);
+      customer.legacy_lines++;
+      customer.legacy_quantity += quantity;
+      customer.legacy_revenue += quantity * price;
+
+      if (!extras.has(getSupplyExtraKey(detail.ActivityDetailID))) {
+        missingLines.push({
+          legacy_account_id: accountId,
+          legacy_activity_id: detail.ActivityID,
+          legacy_activity_detail_id: detail.ActivityDetailID,
+          legacy_supply_id: detail.SupplyID,
+          supply_name: supply ? supply.SupplyName : null,
+          quantity,
+          revenue: this.round(quantity * price),
+          reason: this.getMissingReason(accountId, detail, groups)
+        });
+      }
+    }
+
+    for (const extra of extras.values()) {
+      const customer = this.getCustomer(extra.legacy_account_id);
+      customer.migrated_lines++;
+      customer.migrated_quantity += Number(extra.amount);
+      customer.migrated_revenue += Number(extra.amount) * Number(extra.price_per_item);
+    }
+
+    const customerRows = [...this.customers.values()].map(customer => ({
+      ...customer,
+      legacy_revenue: this.round(customer.legacy_revenue),
+      migrated_revenue: this.round(customer.migrated_revenue),
+      revenue_difference: this.round(customer.migrated_revenue - customer.legacy_revenue)
+    }));
+
+    const saver = new DataSaver(options.output, 'csv');
+    saver.saveData(customerRows, 'supply-revenue-customers');
+    saver.saveData(missingLines, 'supply-revenue-missing-lines');
+
+    this.printSummary(customerRows, missingLines);
+
+    return { customers: customerRows, missingLines };
+  }
+
+  /**
+   * Loads the supply extras of the tenant with the legacy account of their customer
+   * @returns {Promise<Map<string, Object>>} { amount, price_per_item, legacy_account_id } by extra legacy_id
+   */
+  async loadSupplyExtras() {
+    const rows = await this.db.query(
+      `SELECT e.legacy_id, e.amount, e.price_per_item, u.legacy_user_id
+       FROM operation_extras e
+       JOIN operations_groups g ON g.id = e.operation_group_id
+       LEFT JOIN users u ON u.id = g.customer_id
+       WHERE e.tenant_id = $1 AND e.legacy_id LIKE $2`,
+      [this.defaultTenantId, `${SUPPLY_EXTRA_PREFIX}%`]
+    );
+
+    return new Map(
+      rows.map(({ legacy_user_id: userKey, ...row }) => {
+        const key = userKey && parseUserKey(userKey);
+        return [row.legacy_id, { ...row, legacy_account_id: key && key.type === 'account' ? key.legacyId : null }];
+      })
+    );
+  }
+
+  getCustomer(accountId) {
+    const key = String(accountId);
+
+    if (!this.customers.has(key)) {
+      this.customers.set(key, {
+        legacy_account_id: accountId,
+        legacy_lines: 0,
+        migrated_lines: 0,
+        legacy_quantity: 0,
+        migrated_quantity: 0,
+        legacy_revenue: 0,
+        migrated_revenue: 0
+      });
+    }
+
+    return this.customers.get(key);
+  }
+
+  /**
+   * Explains why the case import did not write the operation extra of a supply detail
+   * @returns {string|null} Reason or null when the extra should exist
+   */
+  getMissingReason(accountId, detail, groups) {
+    if (accountId === undefined) {
+      return 'activity not extracted';
+    }
+    if (!groups.has(String(detail.ActivityID))) {
+      return 'operation group not imported';
+    }
+    return null;
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  printSummary(customerRows, missingLines) {
+    const sum = column => this.round(customerRows.reduce((total, customer) => total + customer[column], 0));
+    const mismatchingCustomers = customerRows.filter(
+      customer => customer.legacy_lines !== customer.migrated_lines || Math.abs(customer.revenue_difference) >= 0.01
+    ).length;
+    const unexplained = missingLines.filter(line => !line.reason).length;
+
+    console.log('\n📊 Supply Revenue Reconciliation:');
+    console.log('=================================');
+    console.log(`  Supply lines: ${sum('legacy_lines')} legacy, ${sum('migrated_lines')} migrated`);
+    console.log(`  Supply revenue: ${sum('legacy_revenue').toFixed(2)} legacy, ${sum('migrated_revenue').toFixed(2)} migrated`);
+    console.log(`  Missing lines: ${missingLines.length} (${unexplained} without a known reason)`);
+    console.log(`  Customers with differences: ${mismatchingCustomers} of ${customerRows.length}`);
+
+    if (missingLines.length === 0 && mismatchingCustomers === 0) {
+      console.log('\n✅ Every legacy supply line was migrated');
+    }
+  }
+}
+
+async function bootstrap() {
+  console.log('🚀 Starting Supply Revenue Reconciliation...');
+
+  // Parse command line arguments
+  const options = parseArguments();
+  const configPath = options.config || parseConfigPath();
+
+  if (options.help) {
+    showHelp();
+    return;
+  }
+
+  if (!fs.existsSync(options.dataDir)) {
+    console.error(`❌ Extracted data directory not found: ${options.dataDir}`);
+    process.exit(1);
+  }
+
+  let dataSource = null;
+
+  try {
+    // Load database configuration
+    const dbConfig = new DatabaseConfig(configPath);
+    dbConfig.validate();
+
+    // Create database connection
+    dataSource = new DataSource(dbConfig.getConnectionConfig());
+
+    // Initialize connection
+    await dataSource.initialize();
+    console.log('✅ Database connection established');
+
+    const reconciliation = new SupplyRevenueReconciliation(dataSource);
+    await reconciliation.reconcile(options);
+
+  } catch (error) {
+    console.error('❌ Supply revenue reconciliation failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    // Close connection
+    if (dataSource && dataSource.isInitialized) {
+      await dataSource.destroy();
+      console.log('🔌 Database connection closed');
+    }
+  }
+}
+
+if (require.main === module) {
+  bootstrap();
+}
+
+// Export the class for use in other scripts
+module.exports = { SupplyRevenueReconciliation };
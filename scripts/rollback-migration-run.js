@@ -0,0 +1,459 @@
+#!/usr/bin/env node
+
+/**
+ * Migration Run Rollback Script
+ *
+ * Undoes a single migration run recorded in the run ledger (see
+ * scripts/utils/run-ledger.js) instead of wiping the whole tenant like
+ * clean-database.js does:
+ *
+ * 1. Rows the run updated are restored from their before-images
+ * 2. Rows the run inserted are deleted, dependent tables first
+ * 3. Rows the run deleted are re-inserted, parent tables first
+ *
+ * Rolling back a full-migration run rolls back all of its import runs, the
+ * latest first. Everything happens in a single transaction.
+ *
+ * Usage:
+ *   node scripts/rollback-migration-run.js [options]
+ *
+ * Options:
+ *   --list                 List the most recent migration runs
+ *   --run=<id>             Migration run to roll back
+ *   --dry-run              Show per-table counts of what would be rolled back
+ *   --confirm              Actually perform the rollback (required for safety)
+ *   --force                Roll back even if later runs touched the same rows
+ *   --config=<path>        Path to database config file (default: database-import.local.config.json)
+ *   --help, -h            Show this help message
+ *
+ * Examples:
+ *   node scripts/rollback-migration-run.js --list
+ *   node scripts/rollback-migration-run.js --run=<id> --dry-run
+ *   node scripts/rollback-migration-run.js --run=<id> --confirm
+ *   pnpm run rollback:run -- --run=<id> --confirm               # Run via npm script
+ */
+
+const { DataSource } = require('typeorm');
+const { config } = require('dotenv');
+const { DatabaseConfig, parseConfigPath } = require('./utils/database-config');
+const { ImportTransaction } = require('./utils/transaction-utils');
+const { ensureLedgerTables, TABLE_DELETE_ORDER } = require('./utils/run-ledger');
+
+// Load environment variables
+config();
+
+// Parse command line arguments
+function parseArguments() {
+  const args = process.argv.slice(2);
+  const options = {
+    list: false,
+    runId: null,
+    dryRun: false,
+    confirm: false,
+    force: false,
+    help: false,
+    config: null
+  };
+
+  for (const arg of args) {
+    if (arg === '--list') {
+      options.list = true;
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--confirm') {
+      options.confirm = true;
+    } else if (arg === '--force') {
+      options.force = true;
+    } else if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg.startsWith('--run=')) {
+      options.runId = arg.split('=')[1];
+    } else if (arg.startsWith('--config=')) {
+      options.config = arg.split('=')[1];
+    } else {
+      console.warn(`⚠️ Unknown argument: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+// Show help message
+function showHelp() {
+  console.log(`
+Migration Run Rollback Script
+
+Undoes a single migration run recorded in the run ledger: restores the rows it
+updated, deletes the rows it inserted and re-inserts the rows it deleted.
+
+⚠️  WARNING: Rows deleted by --clear-existing imports are not recorded and
+    cannot be restored - only upsert runs can be fully rolled back.
+
+Usage:
+  node scripts/rollback-migration-run.js [options]
+
+Options:
+  --list                 List the most recent migration runs
+  --run=<id>             Migration run to roll back
+  --dry-run              Show per-table counts of what would be rolled back
+  --confirm              Actually perform the rollback (required for safety)
+  --force                Roll back even if later runs touched the same rows
+  --config=<path>        Path to database config file (default: database-import.local.config.json)
+  --help, -h            Show this help message
+
+Examples:
+  node scripts/rollback-migration-run.js --list
+  node scripts/rollback-migration-run.js --run=<id> --dry-run
+  node scripts/rollback-migration-run.js --run=<id> --confirm
+  pnpm run rollback:run -- --run=<id> --confirm               # Run via npm script
+
+Safety Notes:
+  - The --confirm flag is required to actually roll back
+  - Use --dry-run first to see what would be rolled back
+  - Rolling back a full-migration run rolls back all of its import runs
+  - The rollback runs in a single transaction - it is applied completely or not at all
+`);
+}
+
+/**
+ * Orders tables for deleting inserted rows - tables unknown to the ledger
+ * order are treated as leaves and handled first
+ * @param {Array<string>} tables - Tables present in the ledger
+ * @returns {Array<string>} Tables, dependent tables first
+ */
+function orderForDeletion(tables) {
+  const unknown = tables.filter(table => !TABLE_DELETE_ORDER.includes(table));
+  return [...unknown, ...TABLE_DELETE_ORDER.filter(table => tables.includes(table))];
+}
+
+class MigrationRunRollback {
+  constructor(dataSource) {
+    this.dataSource = dataSource;
+    this.db = dataSource;
+  }
+
+  async rollback(options = {}) {
+    await ensureLedgerTables(this.dataSource);
+
+    if (options.list) {
+      await this.listRuns();
+      return;
+    }
+
+    const runs = await this.loadRuns(options.runId);
+    if (runs.length === 0) {
+      console.log('✅ Nothing to roll back - the run was already rolled back');
+      return;
+    }
+
+    console.log(`📒 Runs to roll back (latest first):`);
+    for (const run of runs) {
+      console.log(`  • ${run.id} ${run.script} (${run.status}, started ${new Date(run.started_at).toISOString()})`);
+    }
+
+    const running = runs.filter(run => run.status === 'running');
+    if (running.length > 0 && !options.force) {
+      throw new Error(`Run ${running[0].id} is still marked as running - use --force if it crashed`);
+    }
+
+    const conflicts = await this.findConflicts(runs);
+    if (conflicts.length > 0) {
+      console.log('\n⚠️ Later runs touched rows of this run:');
+      for (const conflict of conflicts) {
+        console.log(`  📋 ${conflict.table_name}: ${parseInt(conflict.count).toLocaleString()} rows`);
+      }
+      if (!options.force) {
+        throw new Error('Roll back the later runs first, or use --force to overwrite their changes');
+      }
+    }
+
+    if (options.dryRun) {
+      console.log('\n📋 DRY RUN MODE - No data will be changed');
+      await this.showWhatWouldBeRolledBack(runs);
+    } else {
+      console.log('\n⚠️  ROLLBACK MODE - Data will be changed');
+      await this.performRollback(runs);
+    }
+  }
+
+  async listRuns() {
+    const runs = await this.dataSource.query(
+      `SELECT r.id, r.parent_run_id, r.script, r.status, r.git_sha, r.started_at, r.finished_at,
+              COUNT(rr.id) AS rows
+       FROM migration_runs r
+       LEFT JOIN migration_run_rows rr ON rr.run_id = r.id
+       GROUP BY r.id
+       ORDER BY r.started_at DESC
+       LIMIT 20`
+    );
+
+    if (runs.length === 0) {
+      console.log('📒 No migration runs recorded yet');
+      return;
+    }
+
+    console.log('📒 Most recent migration runs:\n');
+    for (const run of runs) {
+      const indent = run.parent_run_id ? '    ↳ ' : '  ';
+      console.log(
+        `${indent}${run.id} ${run.script} - ${run.status}, ${parseInt(run.rows).toLocaleString()} rows, ` +
+        `started ${new Date(run.started_at).toISOString()}${run.git_sha ? `, git ${run.git_sha.slice(0, 8)}` : ''}`
+      );
+    }
+  }
+
+  /**
+   * Loads the run and its child runs that still have to be rolled back
+   * @param {string} runId - Run id
+   * @returns {Promise<Array>} Runs, latest first
+   * @throws {Error} If the run does not exist
+   */
+  async loadRuns(runId) {
+    const [run] = await this.dataSource.query('SELECT * FROM migration_runs WHERE id = $1', [runId]);
+    if (!run) {
+      throw new Error(`Migration run not found: ${runId}`);
+    }
+
+    const children = await this.dataSource.query(
+      'SELECT * FROM migration_runs WHERE parent_run_id = $1 ORDER BY started_at DESC',
+      [runId]
+    );
+
+    return [...children, run].filter(candidate => candidate.status !== 'rolled_back');
+  }
+
+  /**
+   * Counts rows of the runs that later, not rolled back runs touched again
+   * @param {Array} runs - Runs to roll back
+   * @returns {Promise<Array>} { table_name, count } per table
+   */
+  async findConflicts(runs) {
+    const runIds = runs.map(run => run.id);
+    const earliestStart = runs.reduce(
+      (earliest, run) => (new Date(run.started_at) < earliest ? new Date(run.started_at) : earliest),
+      new Date()
+    );
+
+    return this.dataSource.query(
+      `SELECT later.table_name, COUNT(DISTINCT later.row_id) AS count
+       FROM migration_run_rows mine
+       JOIN migration_run_rows later ON later.table_name = mine.table_name AND later.row_id = mine.row_id
+       JOIN migration_runs later_run ON later_run.id = later.run_id
+       WHERE mine.run_id = ANY($1)
+         AND NOT (later.run_id = ANY($1))
+         AND later_run.started_at > $2
+         AND later_run.status <> 'rolled_back'
+       GROUP BY later.table_name`,
+      [runIds, earliestStart]
+    );
+  }
+
+  async showWhatWouldBeRolledBack(runs) {
+    console.log('📊 Checking what would be rolled back...\n');
+
+    const counts = await this.dataSource.query(
+      `SELECT table_name, action, COUNT(*) AS count
+       FROM migration_run_rows
+       WHERE run_id = ANY($1)
+       GROUP BY table_name, action`,
+      [runs.map(run => run.id)]
+    );
+
+    const byTable = {};
+    for (const row of counts) {
+      byTable[row.table_name] = byTable[row.table_name] || { inserted: 0, updated: 0, deleted: 0 };
+      byTable[row.table_name][row.action] = parseInt(row.count);
+    }
+
+    let totalRecords = 0;
+
+    for (const table of orderForDeletion(Object.keys(byTable))) {
+      const { inserted, updated, deleted } = byTable[table];
+      totalRecords += inserted + updated + deleted;
+      console.log(
+        `  📋 ${table}: ${inserted.toLocaleString()} to delete, ` +
+        `${updated.toLocaleString()} to restore, ${deleted.toLocaleString()} to re-insert`
+      );
+    }
+
+    console.log(`\n📊 Total records to roll back: ${totalRecords.toLocaleString()}`);
+    console.log('\n💡 To actually perform the rollback, use: --confirm');
+  }
+
+  async performRollback(runs) {
+    const transaction = new ImportTransaction(this.dataSource, { atomic: true });
+
+    try {
+      await transaction.start();
+      this.db = transaction;
+
+      for (const run of runs) {
+        await transaction.runStep(`${run.script} ${run.id}`, () => this.rollbackRun(run));
+      }
+
+      await transaction.commit();
+      transaction.printReport();
+
+      console.log('\n🎉 Migration run successfully rolled back!');
+    } catch (error) {
+      await transaction.rollback();
+      transaction.printReport();
+      throw error;
+    } finally {
+      await transaction.release();
+      this.db = this.dataSource;
+    }
+  }
+
+  async rollbackRun(run) {
+    console.log(`\n↩️ Rolling back ${run.script} run ${run.id}...`);
+
+    const tables = (await this.db.query(
+      'SELECT DISTINCT table_name FROM migration_run_rows WHERE run_id = $1',
+      [run.id]
+    )).map(row => row.table_name);
+
+    await this.restoreUpdatedRows(run.id);
+
+    for (const table of orderForDeletion(tables)) {
+      await this.deleteInsertedRows(run.id, table);
+    }
+
+    for (const table of orderForDeletion(tables).reverse()) {
+      await this.reinsertDeletedRows(run.id, table);
+    }
+
+    await this.db.query(
+      "UPDATE migration_runs SET status = 'rolled_back', finished_at = COALESCE(finished_at, NOW()) WHERE id = $1",
+      [run.id]
+    );
+  }
+
+  async restoreUpdatedRows(runId) {
+    const rows = await this.db.query(
+      `SELECT table_name, row_id, before_image FROM migration_run_rows
+       WHERE run_id = $1 AND action = 'updated' AND before_image IS NOT NULL`,
+      [runId]
+    );
+
+    const restored = {};
+    for (const row of rows) {
+      const columns = Object.keys(row.before_image).filter(column => column !== 'id');
+      const assignments = columns.map(column => `${column} = image.${column}`);
+
+      await this.db.query(
+        `UPDATE ${row.table_name} SET ${assignments.join(', ')}
+         FROM jsonb_populate_record(NULL::${row.table_name}, $1::jsonb) AS image
+         WHERE ${row.table_name}.id = $2`,
+        [JSON.stringify(row.before_image), row.row_id]
+      );
+      restored[row.table_name] = (restored[row.table_name] || 0) + 1;
+    }
+
+    for (const [table, count] of Object.entries(restored)) {
+      console.log(`  ✅ ${table}: ${count.toLocaleString()} records restored`);
+    }
+  }
+
+  async deleteInsertedRows(runId, table) {
+    const result = await this.db.query(
+      `DELETE FROM ${table} WHERE id IN (
+         SELECT row_id FROM migration_run_rows WHERE run_id = $1 AND table_name = $2 AND action = 'inserted'
+       )`,
+      [runId, table]
+    );
+
+    const deletedCount = result[1] || 0; // PostgreSQL returns [result, affectedRows]
+    if (deletedCount > 0) {
+      console.log(`  ✅ ${table}: ${deletedCount.toLocaleString()} records deleted`);
+    }
+  }
+
+  async reinsertDeletedRows(runId, table) {
+    const rows = await this.db.query(
+      `SELECT before_image FROM migration_run_rows
+       WHERE run_id = $1 AND table_name = $2 AND action = 'deleted' AND before_image IS NOT NULL`,
+      [runId, table]
+    );
+
+    for (const row of rows) {
+      const columns = Object.keys(row.before_image).join(', ');
+
+      await this.db.query(
+        `INSERT INTO ${table} (${columns})
+         SELECT ${columns} FROM jsonb_populate_record(NULL::${table}, $1::jsonb)
+         ON CONFLICT (id) DO NOTHING`,
+        [JSON.stringify(row.before_image)]
+      );
+    }
+
+    if (rows.length > 0) {
+      console.log(`  ✅ ${table}: ${rows.length.toLocaleString()} records re-inserted`);
+    }
+  }
+}
+
+async function bootstrap() {
+  console.log('🚀 Starting Migration Run Rollback...');
+
+  // Parse command line arguments
+  const options = parseArguments();
+  const configPath = options.config || parseConfigPath();
+
+  if (options.help) {
+    showHelp();
+    return;
+  }
+
+  // Validate options
+  if (!options.list && !options.runId) {
+    console.error('❌ Error: --run=<id> is required (use --list to find it)');
+    process.exit(1);
+  }
+
+  if (!options.list && !options.dryRun && !options.confirm) {
+    console.error('❌ Error: Either --dry-run or --confirm flag is required');
+    console.log('Use --help for more information');
+    process.exit(1);
+  }
+
+  if (options.dryRun && options.confirm) {
+    console.error('❌ Error: Cannot use both --dry-run and --confirm flags');
+    process.exit(1);
+  }
+
+  let dataSource = null;
+
+  try {
+    // Load database configuration
+    const dbConfig = new DatabaseConfig(configPath);
+    dbConfig.validate();
+
+    // Create database connection
+    dataSource = new DataSource(dbConfig.getConnectionConfig());
+
+    // Initialize connection
+    await dataSource.initialize();
+    console.log('✅ Database connection established');
+
+    const rollback = new MigrationRunRollback(dataSource);
+    await rollback.rollback(options);
+
+  } catch (error) {
+    console.error('❌ Migration run rollback failed:', error.message);
+    process.exit(1);
+  } finally {
+    // Close connection
+    if (dataSource && dataSource.isInitialized) {
+      await dataSource.destroy();
+      console.log('🔌 Database connection closed');
+    }
+  }
+}
+
+if (require.main === module) {
+  bootstrap();
+}
+
+// Export the class for use in other scripts
+module.exports = { MigrationRunRollback };
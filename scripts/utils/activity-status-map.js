@@ -0,0 +1,210 @@
+/**
+ * Activity Status Map
+ *
+ * Maps legacy activity statuses (Activities.Status) to the status of the
+ * operation groups and case operations written by the imports. The mapping
+ * file (activity-status-mapping.json) maps StatusName values of the extracted
+ * ActivityStatuses rows, with a fallback on the raw status code; statuses that
+ * are not mapped fail the import instead of being written as NULL, and mapped
+ * values outside the target status enums fail it before anything is written.
+ *
+ * Statuses under "requests" mark pending activities, which are imported as
+ * operations_requests with the mapped request status.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_STATUS_MAPPING_FILE = './activity-status-mapping.json';
+
+// Target enums the mapped statuses are written to
+const OPERATION_STATUS_ENUMS = ['operation_group_status_enum', 'case_operation_status_enum'];
+const REQUEST_STATUS_ENUMS = ['operation_request_status_enum'];
+
+/**
+ * Activity status map class
+ * Resolves legacy status codes through the extracted ActivityStatuses rows and the mapping file
+ */
+class ActivityStatusMap {
+  /**
+   * @param {Object} mapping - Parsed mapping file ({ statuses, codes, requests: { statuses, codes } })
+   * @param {Array} activityStatuses - Rows of cases-activityStatuses.json
+   * @param {string} source - Mapping file path, used in error messages
+   * @throws {Error} If a mapping entry is not a non-empty string
+   */
+  constructor(mapping, activityStatuses = [], source = DEFAULT_STATUS_MAPPING_FILE) {
+    this.source = source;
+    this.operations = this.buildLookup(mapping);
+    this.requests = this.buildLookup(mapping.requests || {});
+    this.names = new Map(activityStatuses.map(row => [String(row.Status), row.StatusName]));
+
+    for (const lookup of [this.operations, this.requests]) {
+      this.validateLookup(lookup);
+    }
+  }
+
+  buildLookup({ statuses = {}, codes = {} }) {
+    return {
+      byName: new Map(Object.entries(statuses).map(([name, status]) => [name.trim().toLowerCase(), status])),
+      byCode: new Map(Object.entries(codes))
+    };
+  }
+
+  validateLookup({ byName, byCode }) {
+    for (const [key, status] of [...byName, ...byCode]) {
+      if (typeof status !== 'string' || status.trim() === '') {
+        throw new Error(`Invalid activity status mapping for "${key}" in ${this.source}: expected a status name`);
+      }
+    }
+  }
+
+  /**
+   * Checks every mapped status against the target database enums
+   * @param {DataSource} db - Target database
+   * @throws {Error} Listing every mapping entry whose status is not a value of its enum
+   */
+  async assertValidStatuses(db) {
+    const problems = [];
+
+    for (const [section, lookup, enums] of [
+      ['', this.operations, OPERATION_STATUS_ENUMS],
+      ['requests.', this.requests, REQUEST_STATUS_ENUMS]
+    ]) {
+      for (const enumName of enums) {
+        const rows = await db.query(
+          `SELECT e.enumlabel AS value FROM pg_enum e
+           JOIN pg_type t ON t.oid = e.enumtypid
+           WHERE t.typname = $1`,
+          [enumName]
+        );
+        if (rows.length === 0) {
+          console.warn(`⚠️ Enum ${enumName} not found, activity statuses are not checked against it`);
+          continue;
+        }
+
+        const values = new Set(rows.map(row => row.value));
+        const entries = [
+          ...[...lookup.byName].map(([name, status]) => [`${section}statuses "${name}"`, status]),
+          ...[...lookup.byCode].map(([code, status]) => [`${section}codes "${code}"`, status])
+        ];
+        for (const [entry, status] of entries) {
+          if (!values.has(status)) {
+            problems.push(`${entry}: "${status}" is not a value of ${enumName} (${[...values].join(', ')})`);
+          }
+        }
+      }
+    }
+
+    if (problems.length > 0) {
+      throw new Error(`Invalid activity status mapping in ${this.source}: ${problems.join('; ')}`);
+    }
+  }
+
+  /**
+   * Loads the mapping file
+   * @param {string} filePath - Mapping file path
+   * @param {Array} activityStatuses - Rows of cases-activityStatuses.json
+   * @returns {ActivityStatusMap} Status map
+   * @throws {Error} If the file is missing or not valid JSON
+   */
+  static load(filePath = DEFAULT_STATUS_MAPPING_FILE, activityStatuses = []) {
+    const resolvedPath = path.resolve(filePath);
+
+    if (!fs.existsSync(resolvedPath)) {
+      throw new Error(`Activity status mapping file not found: ${resolvedPath}`);
+    }
+
+    let mapping;
+    try {
+      mapping = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to parse activity status mapping file ${resolvedPath}: ${error.message}`);
+    }
+
+    if (activityStatuses.length === 0) {
+      console.warn('⚠️ No ActivityStatuses rows extracted, activity statuses are mapped by code only');
+    }
+
+    return new ActivityStatusMap(mapping, activityStatuses, filePath);
+  }
+
+  lookup({ byName, byCode }, status) {
+    const name = this.names.get(String(status));
+    if (name && byName.has(name.trim().toLowerCase())) {
+      return byName.get(name.trim().toLowerCase());
+    }
+
+    return byCode.get(String(status)) || null;
+  }
+
+  /**
+   * @param {number|string} status - Legacy status code
+   * @returns {string|null} Operation status or null when the status is not mapped
+   */
+  get(status) {
+    return this.lookup(this.operations, status);
+  }
+
+  /**
+   * @param {number|string} status - Legacy status code
+   * @returns {string|null} Request status when activities with this status are pending, otherwise null
+   */
+  getRequestStatus(status) {
+    return this.lookup(this.requests, status);
+  }
+
+  /**
+   * @param {number|string} status - Legacy status code
+   * @returns {string} Operation status
+   * @throws {Error} If the status is not mapped
+   */
+  resolve(status) {
+    const mapped = this.get(status);
+    if (!mapped) {
+      throw new Error(`Unmapped legacy activity status ${this.describe(status)} - add it to ${this.source}`);
+    }
+    return mapped;
+  }
+
+  /**
+   * Checks that the status of every activity is mapped, before anything is written
+   * @param {Array} activities - Legacy activities
+   * @throws {Error} Listing every unmapped status with its number of activities
+   */
+  assertMapped(activities) {
+    const unmapped = new Map();
+
+    for (const activity of activities) {
+      if (!this.get(activity.Status) && !this.getRequestStatus(activity.Status)) {
+        const key = String(activity.Status);
+        unmapped.set(key, (unmapped.get(key) || 0) + 1);
+      }
+    }
+
+    if (unmapped.size > 0) {
+      const list = [...unmapped].map(([status, count]) => `${this.describe(status)}: ${count} activities`).join(', ');
+      throw new Error(`Unmapped legacy activity statuses (${list}) - add them to ${this.source}`);
+    }
+  }
+
+  describe(status) {
+    const name = this.names.get(String(status));
+    return name ? `${status} ("${name}")` : String(status);
+  }
+}
+
+/**
+ * Helper function to parse the status mapping file from command line arguments
+ * @param {Array} argv - Command line arguments (default: process.argv)
+ * @returns {string} Mapping file path
+ */
+function parseStatusMappingPath(argv = process.argv) {
+  const mappingArg = argv.find(arg => arg.startsWith('--status-mapping='));
+  return mappingArg ? mappingArg.split('=')[1] : DEFAULT_STATUS_MAPPING_FILE;
+}
+
+module.exports = {
+  ActivityStatusMap,
+  DEFAULT_STATUS_MAPPING_FILE,
+  parseStatusMappingPath
+};
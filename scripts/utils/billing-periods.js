@@ -0,0 +1,125 @@
+/**
+ * Billing Period Utilities
+ *
+ * Derives billing periods from the legacy LockerHistory intervals
+ * (DateStarted, DateEnded, Rate per locker and account). A period starts with
+ * the earliest interval, ends with the latest one (null while it is still
+ * open) and is billed at the rate of the most recently started interval.
+ *
+ * Intervals that overlap the preceding interval, or that are left open while
+ * a later interval starts, are returned as issues so they can be reviewed
+ * before go-live.
+ */
+
+/**
+ * Parses a legacy date column
+ * @param {string|null} value - Date string from the extracted data
+ * @returns {Date|null} Date or null when missing or invalid
+ */
+function parseDate(value) {
+  if (!value) {
+    return null;
+  }
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Summarizes the rental intervals of one locker (or one locker and account)
+ * @param {Array<Object>} rentals - LockerHistory rows
+ * @returns {Object} { billingStartDate, billingEndDate, monthlyRate, issues }
+ */
+function summarizeRentals(rentals) {
+  const intervals = rentals
+    .map(rental => ({
+      rental,
+      start: parseDate(rental.DateStarted),
+      end: parseDate(rental.DateEnded)
+    }))
+    .filter(interval => interval.start)
+    .sort((a, b) => a.start - b.start);
+
+  const issues = [];
+  // Interval reaching furthest so far - a long rental can overlap several later ones, not only the next
+  let furthest = null;
+
+  intervals.forEach(interval => {
+    if (interval.end && interval.end < interval.start) {
+      issues.push({ type: 'ends before start', rental: interval.rental });
+    }
+
+    if (furthest && !furthest.end) {
+      issues.push({ type: 'open-ended', rental: furthest.rental, next: interval.rental });
+    } else if (furthest && interval.start < furthest.end) {
+      issues.push({ type: 'overlap', rental: interval.rental, previous: furthest.rental });
+    }
+
+    if (!furthest || (furthest.end && (!interval.end || interval.end > furthest.end))) {
+      furthest = interval;
+    }
+  });
+
+  if (intervals.length === 0) {
+    return { billingStartDate: null, billingEndDate: null, monthlyRate: null, issues };
+  }
+
+  // Only the latest interval keeps the period open, earlier open intervals are reported as issues
+  const latest = intervals[intervals.length - 1];
+  const ends = intervals.filter(interval => interval.end).map(interval => interval.end.getTime());
+  const rate = parseFloat(latest.rental.Rate);
+
+  return {
+    billingStartDate: intervals[0].start,
+    billingEndDate: latest.end ? new Date(Math.max(...ends)) : null,
+    monthlyRate: isNaN(rate) ? null : rate,
+    issues
+  };
+}
+
+/**
+ * Builds the billing periods of all lockers
+ * Periods are kept per locker and per locker and account, a case is billed
+ * with the rentals of its own account.
+ * @param {Array<Object>} lockerHistory - Rows of cases-lockerHistory.json
+ * @returns {Object} { byLocker, byLockerAccount, issues } - maps keyed by legacy locker id
+ *   and `${legacyLockerId}|${legacyAccountId}`
+ */
+function buildLockerBillingPeriods(lockerHistory) {
+  const byLockerRentals = new Map();
+  const byLockerAccountRentals = new Map();
+
+  for (const rental of lockerHistory) {
+    if (!rental.legacy_locker_id) {
+      continue;
+    }
+
+    const lockerKey = String(rental.legacy_locker_id);
+    const accountKey = `${lockerKey}|${rental.legacy_account_id}`;
+
+    if (!byLockerRentals.has(lockerKey)) byLockerRentals.set(lockerKey, []);
+    byLockerRentals.get(lockerKey).push(rental);
+    if (!byLockerAccountRentals.has(accountKey)) byLockerAccountRentals.set(accountKey, []);
+    byLockerAccountRentals.get(accountKey).push(rental);
+  }
+
+  const byLocker = new Map();
+  const issues = [];
+  for (const [lockerKey, rentals] of byLockerRentals) {
+    const period = summarizeRentals(rentals);
+    byLocker.set(lockerKey, period);
+    issues.push(...period.issues.map(issue => ({ legacyLockerId: lockerKey, ...issue })));
+  }
+
+  const byLockerAccount = new Map();
+  for (const [accountKey, rentals] of byLockerAccountRentals) {
+    byLockerAccount.set(accountKey, summarizeRentals(rentals));
+  }
+
+  return { byLocker, byLockerAccount, issues };
+}
+
+module.exports = {
+  summarizeRentals,
+  buildLockerBillingPeriods
+};
@@ -0,0 +1,210 @@
+/**
+ * Bulk Writer Utilities
+ *
+ * Buffers rows in memory and writes them in batches instead of issuing one
+ * round-trip per row - either as multi-row INSERT statements or streamed
+ * through COPY FROM STDIN. Row ids are generated client-side (uuid v4) so
+ * callers get them back immediately for their legacy-id maps.
+ *
+ * Writers can declare the writers they depend on (foreign keys); those are
+ * flushed first so parent rows always reach the database before their children.
+ * Written rows are tagged in the migration run ledger when one is given.
+ */
+
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { from: copyFrom } = require('pg-copy-streams');
+const { v4: uuidv4 } = require('uuid');
+
+const DEFAULT_BATCH_SIZE = 1000;
+const BULK_MODES = ['insert', 'copy'];
+
+// PostgreSQL accepts at most 65535 bind parameters per statement
+const MAX_PARAMETERS = 65535;
+
+/**
+ * Bulk writer class
+ * One writer per target table
+ */
+class BulkWriter {
+  /**
+   * @param {ImportTransaction|DataSource} db - Query target (COPY requires an ImportTransaction)
+   * @param {string} table - Target table
+   * @param {Object} options - { batchSize, mode: 'insert' | 'copy', dependsOn: [BulkWriter], ledger: MigrationRunLedger }
+   */
+  constructor(db, table, options = {}) {
+    this.db = db;
+    this.table = table;
+    this.batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+    this.mode = options.mode || 'insert';
+    this.dependsOn = options.dependsOn || [];
+    this.ledger = options.ledger || null;
+    this.columns = null;
+    this.rows = [];
+    this.written = 0;
+
+    if (!BULK_MODES.includes(this.mode)) {
+      throw new Error(`Unknown bulk mode "${this.mode}" (expected one of: ${BULK_MODES.join(', ')})`);
+    }
+  }
+
+  /**
+   * Queues a row, flushing when the batch is full
+   * @param {Object} row - Column/value map; an id is generated when missing
+   * @returns {Promise<string>} Id of the queued row
+   */
+  async add(row) {
+    const payload = row.id ? row : { id: uuidv4(), ...row };
+    const columns = Object.keys(payload);
+
+    if (!this.columns) {
+      this.columns = columns;
+    } else if (columns.length !== this.columns.length || columns.some(column => !this.columns.includes(column))) {
+      throw new Error(`Row for ${this.table} has columns [${columns.join(', ')}], expected [${this.columns.join(', ')}]`);
+    }
+
+    this.rows.push(payload);
+
+    if (this.rows.length >= this.batchSize) {
+      await this.flush();
+    }
+
+    return payload.id;
+  }
+
+  /**
+   * Writes all queued rows (and the queued rows of the writers this one depends on)
+   */
+  async flush() {
+    for (const writer of this.dependsOn) {
+      await writer.flush();
+    }
+
+    if (this.rows.length === 0) {
+      return;
+    }
+
+    const batch = this.rows;
+    this.rows = [];
+
+    if (this.mode === 'copy') {
+      await this.copyRows(batch);
+    } else {
+      await this.insertRows(batch);
+    }
+
+    this.written += batch.length;
+
+    if (this.ledger) {
+      for (const row of batch) {
+        await this.ledger.track(this.table, row.id, 'inserted');
+      }
+    }
+  }
+
+  /**
+   * Drops the queued rows without writing them (their step was rolled back)
+   */
+  discard() {
+    this.rows = [];
+  }
+
+  /**
+   * Flushes the remaining rows
+   * @returns {Promise<number>} Total number of rows written by this writer
+   */
+  async close() {
+    await this.flush();
+    return this.written;
+  }
+
+  async insertRows(rows) {
+    const rowsPerStatement = Math.max(1, Math.floor(MAX_PARAMETERS / this.columns.length));
+
+    for (let start = 0; start < rows.length; start += rowsPerStatement) {
+      const chunk = rows.slice(start, start + rowsPerStatement);
+      const params = [];
+
+      const values = chunk.map(row => {
+        const placeholders = this.columns.map(column => {
+          params.push(row[column]);
+          return `$${params.length}`;
+        });
+        return `(${placeholders.join(', ')})`;
+      });
+
+      await this.db.query(
+        `INSERT INTO ${this.table} (${this.columns.join(', ')}) VALUES ${values.join(', ')}`,
+        params
+      );
+    }
+  }
+
+  async copyRows(rows) {
+    if (typeof this.db.getClient !== 'function') {
+      throw new Error('COPY mode requires an ImportTransaction (a dedicated connection)');
+    }
+
+    const client = await this.db.getClient();
+    const columns = this.columns;
+    const copyStream = client.query(
+      copyFrom(`COPY ${this.table} (${columns.join(', ')}) FROM STDIN`)
+    );
+
+    const lines = (function* () {
+      for (const row of rows) {
+        yield `${columns.map(column => formatCopyValue(row[column])).join('\t')}\n`;
+      }
+    })();
+
+    await pipeline(Readable.from(lines), copyStream);
+  }
+}
+
+/**
+ * Formats a value for the COPY text format
+ * @param {*} value - Column value
+ * @returns {string} Escaped value (\N for NULL)
+ */
+function formatCopyValue(value) {
+  if (value === null || value === undefined) return '\\N';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'boolean') return value ? 't' : 'f';
+
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return text
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t');
+}
+
+/**
+ * Helper function to parse bulk loading options from command line arguments
+ * Supports --batch-size=<n> and --bulk-mode=insert|copy
+ * @param {Array} argv - Command line arguments (default: process.argv)
+ * @returns {{batchSize: number, mode: string}} Bulk options
+ */
+function parseBulkOptions(argv = process.argv) {
+  const batchArg = argv.find(arg => arg.startsWith('--batch-size='));
+  const modeArg = argv.find(arg => arg.startsWith('--bulk-mode='));
+
+  const batchSize = batchArg ? parseInt(batchArg.split('=')[1], 10) : DEFAULT_BATCH_SIZE;
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw new Error(`Invalid --batch-size: ${batchArg}`);
+  }
+
+  const mode = modeArg ? modeArg.split('=')[1] : 'insert';
+  if (!BULK_MODES.includes(mode)) {
+    throw new Error(`Invalid --bulk-mode: ${mode} (expected one of: ${BULK_MODES.join(', ')})`);
+  }
+
+  return { batchSize, mode };
+}
+
+module.exports = {
+  BulkWriter,
+  formatCopyValue,
+  parseBulkOptions,
+  DEFAULT_BATCH_SIZE
+};
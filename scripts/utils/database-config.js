@@ -1,9 +1,9 @@
 /**
  * Database Configuration Utilities
  * 
- * Shared utilities for managing database configurations across import scripts.
- * This module provides reusable database connection configuration to avoid
- * code duplication and ensure consistency.
+ * Shared utilities for managing database configurations across import and
+ * extraction scripts. This module provides reusable database connection
+ * configuration to avoid code duplication and ensure consistency.
  * 
  * IMPORTANT: This module requires a valid database config file to be present.
  * It will NOT fall back to environment variables - the config file must exist
@@ -66,6 +66,21 @@ class DatabaseConfig {
     return config;
   }
 
+  /**
+   * Returns mssql-compatible connection configuration for the legacy SQL Server
+   * @returns {Object} mssql ConnectionPool configuration
+   */
+  getMssqlConnectionConfig() {
+    return {
+      server: this.config.server,
+      database: this.config.database,
+      user: this.config.user,
+      password: this.config.password,
+      port: this.config.port,
+      options: this.config.options
+    };
+  }
+
   /**
    * Returns raw configuration object
    * @returns {Object} Raw database configuration
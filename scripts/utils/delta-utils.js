@@ -0,0 +1,95 @@
+/**
+ * Delta Utilities
+ *
+ * Reads the delta directories written by incremental extraction
+ * (extracted-data/deltas/<run>/ with a manifest.json) so import scripts can
+ * apply only the rows that changed on top of a prior load.
+ *
+ * Rows deleted in the legacy source are listed in the manifest (deletedKeys)
+ * and already removed from the snapshot files, so the imports run their
+ * soft-delete pass against the snapshot keys in delta mode too.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Delta source class
+ * Exposes the changed rows of one incremental extraction run
+ */
+class DeltaSource {
+  /**
+   * @param {string} deltaDir - Delta directory containing manifest.json
+   * @throws {Error} If the directory or its manifest is missing
+   */
+  constructor(deltaDir) {
+    this.deltaDir = deltaDir;
+    this.manifest = this.loadManifest();
+  }
+
+  loadManifest() {
+    const manifestPath = path.join(this.deltaDir, 'manifest.json');
+
+    if (!fs.existsSync(manifestPath)) {
+      throw new Error(`Delta manifest not found: ${manifestPath}`);
+    }
+
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    const deleted = Object.values(manifest.files).reduce((total, file) => total + (file.deletedKeys || []).length, 0);
+    console.log(`📁 Loaded delta from ${this.deltaDir} (extracted at ${manifest.extractedAt}, ${deleted} rows deleted in the source)`);
+    return manifest;
+  }
+
+  /**
+   * Returns the changed rows of an extracted file
+   * Files absent from the delta had no changes and yield an empty list.
+   * @param {string} filename - Extracted file name without extension (e.g. cases-cases)
+   * @returns {Array} Changed rows
+   */
+  getRows(filename) {
+    if (!this.manifest.files[filename]) {
+      return [];
+    }
+
+    return JSON.parse(fs.readFileSync(path.join(this.deltaDir, `${filename}.json`), 'utf8'));
+  }
+
+  /**
+   * Returns the set of keys of the changed rows of an extracted file
+   * @param {string} filename - Extracted file name without extension
+   * @param {string} key - Column identifying a row
+   * @returns {Set<string>} Changed keys
+   */
+  getKeys(filename, key) {
+    return new Set(this.getRows(filename).map(row => String(row[key])));
+  }
+
+  /**
+   * Narrows the rows of an extracted data set to the rows changed in this delta
+   * @param {Object} legacyData - Snapshot rows by data set name
+   * @param {string} prefix - File prefix of the extraction script ('cases-', 'invoices-', '' for users)
+   * @param {string} name - Extracted data set (e.g. activities)
+   * @param {string} key - Column identifying a row
+   * @param {Set<string>} extraKeys - Additional keys to include (e.g. rows whose children changed)
+   * @returns {Array} Rows to seed
+   */
+  getSourceRows(legacyData, prefix, name, key, extraKeys = new Set()) {
+    const changedKeys = this.getKeys(`${prefix}${name}`, key);
+    return legacyData[name].filter(row => changedKeys.has(String(row[key])) || extraKeys.has(String(row[key])));
+  }
+}
+
+/**
+ * Helper function to parse the delta directory from command line arguments
+ * @param {Array} argv - Command line arguments (default: process.argv)
+ * @returns {string|null} Delta directory or null for a full import
+ */
+function parseDeltaPath(argv = process.argv) {
+  const deltaArg = argv.find(arg => arg.startsWith('--delta='));
+  return deltaArg ? deltaArg.split('=')[1] : null;
+}
+
+module.exports = {
+  DeltaSource,
+  parseDeltaPath
+};
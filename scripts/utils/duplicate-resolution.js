@@ -0,0 +1,481 @@
+/**
+ * Duplicate Resolution
+ *
+ * Finds legacy accounts and users that become the same person in the users
+ * table, and applies the decisions taken on them. The user import keys
+ * customers on their account ("account:<AccountID>") and managers on their
+ * login user ("user:<UserID>"); both need a unique email per tenant.
+ *
+ * Records are grouped when they share a normalized email, or a normalized name
+ * and a phone number (strong matches, proposed for a merge). Records that only
+ * share a name or a phone are reported as possible duplicates and kept apart.
+ *
+ * The decisions file (extracted-data/user-duplicate-decisions.json, kept out of
+ * git with the extracted data as it names customers by email) holds one entry
+ * per record that is not imported as-is:
+ *
+ *   "decisions": {
+ *     "account:102": { "action": "merge", "into": "account:101" },
+ *     "account:103": { "action": "keep", "email": "jane+cellar@example.com" },
+ *     "user:7": { "action": "skip" }
+ *   }
+ *
+ * - merge: no user is created, the record's data goes to the user of "into"
+ *   (a record of the same type that is itself imported); merged keys are
+ *   recorded in legacy_user_aliases for the later imports
+ * - keep: imported as its own user, with "email" instead of the legacy email
+ * - skip: not imported
+ *
+ * analyze-user-duplicates.js adds its proposals with "status": "proposed".
+ * Proposals are ignored until a reviewer accepts them by removing the status.
+ *
+ * Records sharing an email that the decisions leave in conflict fail the
+ * import, instead of the first imported record taking the email.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getUserKey } = require('./user-keys');
+
+const DEFAULT_DECISIONS_FILE = './extracted-data/user-duplicate-decisions.json';
+const DECISION_ACTIONS = ['merge', 'keep', 'skip'];
+const PROPOSED_STATUS = 'proposed';
+const SYNTHETIC_EMAIL_DOMAIN = 'veritaswinestorage.com';
+
+/**
+ * Email given to accounts without one
+ * @param {number|string} legacyAccountId - Legacy account id
+ * @returns {string} Synthetic email
+ */
+function getSyntheticEmail(legacyAccountId) {
+  return `temp-${legacyAccountId}@${SYNTHETIC_EMAIL_DOMAIN}`;
+}
+
+/**
+ * @param {string|null} email - Email
+ * @returns {string|null} Trimmed lowercase email, null when empty or synthetic
+ */
+function normalizeEmail(email) {
+  if (!email || typeof email !== 'string' || email.trim() === '') {
+    return null;
+  }
+
+  const normalized = email.trim().toLowerCase();
+  return /^temp-\d+@/.test(normalized) && normalized.endsWith(`@${SYNTHETIC_EMAIL_DOMAIN}`) ? null : normalized;
+}
+
+/**
+ * @param {string|null} firstName - First name
+ * @param {string|null} lastName - Last name
+ * @returns {string|null} Lowercase letters and digits of the full name, null without a first and a last name
+ */
+function normalizeName(firstName, lastName) {
+  const clean = value => (typeof value === 'string' ? value.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim() : '');
+  const first = clean(firstName);
+  const last = clean(lastName);
+
+  return first && last ? `${first} ${last}` : null;
+}
+
+/**
+ * @param {string|null} phoneNumber - Phone number
+ * @returns {string|null} Last 10 digits, null for numbers shorter than 7 digits
+ */
+function normalizePhone(phoneNumber) {
+  const digits = typeof phoneNumber === 'string' ? phoneNumber.replace(/\D/g, '') : '';
+  return digits.length >= 7 ? digits.slice(-10) : null;
+}
+
+/**
+ * Builds the records the user import turns into users
+ * Replays the import's rules: customers are the active accounts with an active
+ * login user, managers the Staff Manager users with an email.
+ * @param {Object} legacyData - { accounts, users, accountPhones } extracted rows
+ * @returns {Array<Object>} Records { key, type, legacyId, email, firstName, lastName, name, phones, createdAt }
+ */
+function buildUserRecords(legacyData) {
+  const activeUsers = new Map(
+    (legacyData.users || []).filter(user => user.is_active === 'true').map(user => [String(user.legacy_user_id), user])
+  );
+  const phonesByAccount = new Map();
+  for (const phone of legacyData.accountPhones || []) {
+    const key = String(phone.legacy_account_id);
+    const number = normalizePhone(phone.PhoneNumber);
+    if (number) {
+      phonesByAccount.set(key, [...(phonesByAccount.get(key) || []), number]);
+    }
+  }
+
+  const records = [];
+
+  for (const account of legacyData.accounts || []) {
+    const user = activeUsers.get(String(account.legacy_user_id));
+    if (account.is_active === 'false' || !user) {
+      continue;
+    }
+
+    const firstName = account.FirstName || user.FirstName;
+    const lastName = account.LastName || user.LastName;
+    records.push({
+      key: getUserKey('account', account.legacy_account_id),
+      type: 'account',
+      legacyId: String(account.legacy_account_id),
+      email: (account.Email || user.Email || getSyntheticEmail(account.legacy_account_id)).trim().toLowerCase() || null,
+      firstName,
+      lastName,
+      name: normalizeName(firstName, lastName),
+      phones: [...new Set(phonesByAccount.get(String(account.legacy_account_id)) || [])],
+      createdAt: account.created_at || null
+    });
+  }
+
+  for (const user of legacyData.users || []) {
+    if (user.Role !== 'Staff Manager' || !user.Email || user.Email.trim() === '') {
+      continue;
+    }
+
+    const ownedAccounts = (legacyData.accounts || []).filter(account => String(account.legacy_user_id) === String(user.legacy_user_id));
+    records.push({
+      key: getUserKey('user', user.legacy_user_id),
+      type: 'user',
+      legacyId: String(user.legacy_user_id),
+      email: user.Email.trim().toLowerCase(),
+      firstName: user.FirstName,
+      lastName: user.LastName,
+      name: normalizeName(user.FirstName, user.LastName),
+      phones: [...new Set(ownedAccounts.flatMap(account => phonesByAccount.get(String(account.legacy_account_id)) || []))],
+      createdAt: user.created_at || null
+    });
+  }
+
+  return records;
+}
+
+/**
+ * Groups records that may be the same person
+ * @param {Array<Object>} records - Records of buildUserRecords
+ * @returns {Array<Object>} Groups { members, matches, strong } - matches lists the shared values
+ *   ("email", "name+phone", "name", "phone"); strong groups are linked by an email or a name and
+ *   a phone, the others (possible duplicates) also by a name or a phone only
+ */
+function findDuplicateGroups(records) {
+  const links = [];
+  const linkBy = (match, getValues) => {
+    const byValue = new Map();
+    for (const record of records) {
+      for (const value of getValues(record)) {
+        byValue.set(value, [...(byValue.get(value) || []), record.key]);
+      }
+    }
+    for (const keys of byValue.values()) {
+      if (new Set(keys).size > 1) {
+        links.push({ match, keys: [...new Set(keys)] });
+      }
+    }
+  };
+
+  linkBy('email', record => [normalizeEmail(record.email)].filter(Boolean));
+  linkBy('name+phone', record => (record.name ? record.phones.map(phone => `${record.name}|${phone}`) : []));
+  linkBy('name', record => [record.name].filter(Boolean));
+  linkBy('phone', record => record.phones);
+
+  const strongLinks = links.filter(link => ['email', 'name+phone'].includes(link.match));
+  const strongGroups = groupByLinks(records, strongLinks).map(group => ({ ...group, strong: true }));
+
+  // A weak link never joins strong groups into one merge, the combined group is only reported
+  const strongKeySets = new Set(strongGroups.map(group => group.members.map(record => record.key).join(',')));
+  const possibleGroups = groupByLinks(records, links)
+    .filter(group => !strongKeySets.has(group.members.map(record => record.key).join(',')))
+    .map(group => ({ ...group, strong: false }));
+
+  return [...strongGroups, ...possibleGroups].sort((a, b) => compareRecords(a.members[0], b.members[0]));
+}
+
+/**
+ * Builds the connected groups of linked records
+ * @param {Array<Object>} records - Records
+ * @param {Array<Object>} links - Links { match, keys }
+ * @returns {Array<Object>} Groups of more than one record { members, matches }
+ */
+function groupByLinks(records, links) {
+  const parents = new Map(records.map(record => [record.key, record.key]));
+  const find = key => {
+    while (parents.get(key) !== key) {
+      parents.set(key, parents.get(parents.get(key)));
+      key = parents.get(key);
+    }
+    return key;
+  };
+
+  for (const link of links) {
+    for (const key of link.keys.slice(1)) {
+      const root = find(link.keys[0]);
+      const other = find(key);
+      if (root !== other) {
+        parents.set(other, root);
+      }
+    }
+  }
+
+  const groups = new Map();
+  for (const record of records) {
+    const root = find(record.key);
+    if (!groups.has(root)) {
+      groups.set(root, { members: [], matches: new Set() });
+    }
+    groups.get(root).members.push(record);
+  }
+  for (const link of links) {
+    groups.get(find(link.keys[0])).matches.add(link.match);
+  }
+
+  return [...groups.values()]
+    .filter(group => group.members.length > 1)
+    .map(group => ({ members: group.members.sort(compareRecords), matches: [...group.matches] }));
+}
+
+// Oldest record first, then lowest legacy id
+function compareRecords(a, b) {
+  const aTime = a.createdAt ? new Date(a.createdAt).getTime() : Infinity;
+  const bTime = b.createdAt ? new Date(b.createdAt).getTime() : Infinity;
+  if (aTime !== bTime) {
+    return aTime - bTime;
+  }
+  if (a.type !== b.type) {
+    return a.type.localeCompare(b.type);
+  }
+  return Number(a.legacyId) - Number(b.legacyId);
+}
+
+/**
+ * Proposes a decision for every record of a group that should not be imported as-is
+ * The records of a strong group merge into its oldest record of the same type; a
+ * manager sharing the email of a customer keeps a plus-addressed email. Possible
+ * duplicates get no proposal, they are imported as-is unless decided otherwise.
+ * @param {Object} group - Group of findDuplicateGroups
+ * @returns {Map<string, Object>} Proposed decisions by record key
+ */
+function proposeDecisions(group) {
+  const proposals = new Map();
+  if (!group.strong) {
+    return proposals;
+  }
+
+  const primaries = new Map();
+  for (const record of group.members) {
+    if (!primaries.has(record.type)) {
+      primaries.set(record.type, record);
+      continue;
+    }
+
+    const primary = primaries.get(record.type);
+    const sameEmail = normalizeEmail(record.email) && normalizeEmail(record.email) === normalizeEmail(primary.email);
+    proposals.set(record.key, {
+      action: 'merge',
+      into: primary.key,
+      reason: sameEmail ? `same email as ${primary.key}` : `same name and phone as ${primary.key}`
+    });
+  }
+
+  const customer = primaries.get('account');
+  const manager = primaries.get('user');
+  if (customer && manager && normalizeEmail(customer.email) && normalizeEmail(customer.email) === normalizeEmail(manager.email)) {
+    const [local, domain] = manager.email.split('@');
+    proposals.set(manager.key, {
+      action: 'keep',
+      email: `${local}+staff@${domain}`,
+      reason: `manager sharing the email of customer ${customer.key}`
+    });
+  }
+
+  return proposals;
+}
+
+/**
+ * Duplicate decisions class
+ * Resolves how the records of the user import are written
+ */
+class DuplicateDecisions {
+  /**
+   * @param {Object} decisions - Decisions by record key ({ action, into, email, status })
+   * @param {string} source - Decisions file path, used in error messages
+   * @throws {Error} If a decision is invalid
+   */
+  constructor(decisions = {}, source = DEFAULT_DECISIONS_FILE) {
+    this.source = source;
+    const entries = Object.entries(decisions);
+    const isProposal = decision => Boolean(decision) && decision.status === PROPOSED_STATUS;
+    this.decisions = new Map(entries.filter(([, decision]) => !isProposal(decision)));
+    this.proposals = new Map(entries.filter(([, decision]) => isProposal(decision)));
+
+    for (const [key, decision] of this.decisions) {
+      this.validateDecision(key, decision);
+    }
+  }
+
+  validateDecision(key, decision) {
+    const invalid = message => new Error(`Invalid duplicate decision for "${key}" in ${this.source}: ${message}`);
+    const [type] = key.split(':');
+
+    if (!['account', 'user'].includes(type)) {
+      throw invalid('keys are "account:<AccountID>" or "user:<UserID>"');
+    }
+    if (!decision || !DECISION_ACTIONS.includes(decision.action)) {
+      throw invalid(`action must be one of ${DECISION_ACTIONS.join(', ')}`);
+    }
+    if (decision.status !== undefined) {
+      throw invalid(`"status" can only be "${PROPOSED_STATUS}", remove it to accept the decision`);
+    }
+
+    if (decision.action === 'merge') {
+      if (typeof decision.into !== 'string' || decision.into.split(':')[0] !== type) {
+        throw invalid(`"into" must be a key of the same type ("${type}:<id>")`);
+      }
+      if (decision.into === key) {
+        throw invalid('a record cannot be merged into itself');
+      }
+      const target = this.decisions.get(decision.into);
+      if (target && target.action !== 'keep') {
+        throw invalid(`"${decision.into}" is not imported itself (${target.action})`);
+      }
+    }
+
+    if (decision.action === 'keep' && decision.email !== undefined && decision.email !== null && !normalizeEmail(decision.email)) {
+      throw invalid('"email" must be an email address');
+    }
+  }
+
+  /**
+   * Loads the decisions file
+   * A missing file means no decisions: every record is imported as-is.
+   * @param {string} filePath - Decisions file path
+   * @returns {DuplicateDecisions} Decisions
+   * @throws {Error} If the file is not valid JSON or holds an invalid decision
+   */
+  static load(filePath = DEFAULT_DECISIONS_FILE) {
+    const resolvedPath = path.resolve(filePath);
+
+    if (!fs.existsSync(resolvedPath)) {
+      console.warn(`⚠️ Duplicate decisions file not found: ${resolvedPath} - run analyze-user-duplicates.js to create it`);
+      return new DuplicateDecisions({}, filePath);
+    }
+
+    let content;
+    try {
+      content = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to parse duplicate decisions file ${resolvedPath}: ${error.message}`);
+    }
+
+    const decisions = new DuplicateDecisions(content.decisions || {}, filePath);
+    if (decisions.proposals.size > 0) {
+      console.warn(
+        `⚠️ Ignoring ${decisions.proposals.size} unreviewed proposals in ${resolvedPath} - remove their "status": "${PROPOSED_STATUS}" to accept them`
+      );
+    }
+
+    return decisions;
+  }
+
+  /**
+   * @param {string} key - Record key
+   * @returns {Object|null} Decision or null when the record is imported as-is
+   */
+  get(key) {
+    return this.decisions.get(key) || null;
+  }
+
+  /**
+   * Resolves the legacy id a record is written under
+   * @param {string} type - 'account' or 'user'
+   * @param {number|string} legacyId - Legacy id
+   * @returns {string|null} Legacy id of the merge target, the record's own id, or null when the record is skipped
+   */
+  resolveLegacyId(type, legacyId) {
+    const decision = this.get(getUserKey(type, legacyId));
+    if (!decision) {
+      return String(legacyId);
+    }
+    if (decision.action === 'skip') {
+      return null;
+    }
+    return decision.action === 'merge' ? decision.into.split(':')[1] : String(legacyId);
+  }
+
+  /**
+   * Resolves the users.legacy_user_id a record is written under
+   * @param {string} type - 'account' or 'user'
+   * @param {number|string} legacyId - Legacy id
+   * @returns {string|null} User key of the merge target or of the record, null when the record is skipped
+   */
+  resolveUserKey(type, legacyId) {
+    const resolvedId = this.resolveLegacyId(type, legacyId);
+    return resolvedId === null ? null : getUserKey(type, resolvedId);
+  }
+
+  /**
+   * @param {Object} record - Record of buildUserRecords
+   * @returns {string} Email the record is imported with
+   */
+  getEmail(record) {
+    const decision = this.get(record.key);
+    return decision && decision.action === 'keep' && decision.email ? decision.email.trim().toLowerCase() : record.email;
+  }
+
+  /**
+   * Checks that the imported records have distinct emails and that merge targets are imported
+   * @param {Array<Object>} records - Records of buildUserRecords
+   * @throws {Error} Listing every email shared by imported records and every missing merge target
+   */
+  assertResolved(records) {
+    const keys = new Set(records.map(record => record.key));
+    const byEmail = new Map();
+
+    for (const record of records) {
+      if (this.get(record.key) && this.get(record.key).action !== 'keep') {
+        continue;
+      }
+      const email = this.getEmail(record);
+      byEmail.set(email, [...(byEmail.get(email) || []), record.key]);
+    }
+
+    const problems = [...byEmail]
+      .filter(([, recordKeys]) => recordKeys.length > 1)
+      .map(([email, recordKeys]) => `${email}: ${recordKeys.join(', ')}`);
+
+    for (const [key, decision] of this.decisions) {
+      if (decision.action === 'merge' && keys.has(key) && !keys.has(decision.into)) {
+        problems.push(`${key} is merged into ${decision.into}, which is not imported`);
+      }
+    }
+
+    if (problems.length > 0) {
+      const pending = this.proposals.size > 0 ? ` (${this.proposals.size} proposals there are not accepted yet)` : '';
+      throw new Error(
+        `Unresolved duplicate users (${problems.join('; ')}) - run analyze-user-duplicates.js and review ${this.source}${pending}`
+      );
+    }
+  }
+}
+
+/**
+ * Helper function to parse the decisions file from command line arguments
+ * @param {Array} argv - Command line arguments (default: process.argv)
+ * @returns {string} Decisions file path
+ */
+function parseDecisionsPath(argv = process.argv) {
+  const decisionsArg = argv.find(arg => arg.startsWith('--duplicate-decisions='));
+  return decisionsArg ? decisionsArg.split('=')[1] : DEFAULT_DECISIONS_FILE;
+}
+
+module.exports = {
+  DuplicateDecisions,
+  DEFAULT_DECISIONS_FILE,
+  PROPOSED_STATUS,
+  getSyntheticEmail,
+  normalizeEmail,
+  buildUserRecords,
+  findDuplicateGroups,
+  proposeDecisions,
+  parseDecisionsPath
+};
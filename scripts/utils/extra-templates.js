@@ -0,0 +1,67 @@
+/**
+ * Operation Extra Template Utilities
+ *
+ * operation_extra_templates are built from two legacy catalogs, ShippingMethods
+ * and Supplies, whose ids overlap. Their legacy_id is therefore prefixed with
+ * the catalog ("shipping-4", "supply-12"); these helpers build those keys so
+ * the template import and the case import resolve the same rows.
+ */
+
+const SHIPPING_TEMPLATE_PREFIX = 'shipping-';
+const SUPPLY_TEMPLATE_PREFIX = 'supply-';
+
+// invoice_title of the shipping extras created by the case import
+const SHIPPING_EXTRA_TITLE = 'Shipping';
+
+// legacy_id prefix of the supply extras created by the case import, one per ActivityDetailID
+const SUPPLY_EXTRA_PREFIX = 'supply-detail-';
+
+/**
+ * @param {number|string} shippingMethodId - Legacy ShippingMethodID
+ * @returns {string} Template legacy_id
+ */
+function getShippingTemplateKey(shippingMethodId) {
+  return `${SHIPPING_TEMPLATE_PREFIX}${shippingMethodId}`;
+}
+
+/**
+ * @param {number|string} supplyId - Legacy SupplyID
+ * @returns {string} Template legacy_id
+ */
+function getSupplyTemplateKey(supplyId) {
+  return `${SUPPLY_TEMPLATE_PREFIX}${supplyId}`;
+}
+
+/**
+ * @param {number|string} activityDetailId - Legacy ActivityDetailID of a "Supply" detail
+ * @returns {string} Operation extra legacy_id
+ */
+function getSupplyExtraKey(activityDetailId) {
+  return `${SUPPLY_EXTRA_PREFIX}${activityDetailId}`;
+}
+
+/**
+ * Loads the tenant's migrated templates keyed by their legacy_id
+ * @param {DataSource} db - Query target
+ * @param {string} tenantId - Tenant id
+ * @returns {Promise<Map<string, Object>>} { id, price_per_item } by template legacy_id
+ */
+async function loadTemplateMap(db, tenantId) {
+  const rows = await db.query(
+    `SELECT id, legacy_id, price_per_item FROM operation_extra_templates
+     WHERE tenant_id = $1 AND legacy_id IS NOT NULL`,
+    [tenantId]
+  );
+  return new Map(rows.map(row => [row.legacy_id, row]));
+}
+
+module.exports = {
+  SHIPPING_TEMPLATE_PREFIX,
+  SUPPLY_TEMPLATE_PREFIX,
+  SHIPPING_EXTRA_TITLE,
+  SUPPLY_EXTRA_PREFIX,
+  getShippingTemplateKey,
+  getSupplyTemplateKey,
+  getSupplyExtraKey,
+  loadTemplateMap
+};
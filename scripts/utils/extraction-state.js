@@ -0,0 +1,112 @@
+/**
+ * Extraction State Utilities
+ *
+ * Persists the per-query high-water marks used by incremental (delta)
+ * extraction. Each extracted file records the latest DateUpdated/DateCreated
+ * value it has seen, so the next run only pulls rows changed since then.
+ *
+ * State file layout:
+ * {
+ *   "queries": {
+ *     "wineItems": { "watermark": "2024-05-01T10:00:00.000Z", "lastRunAt": "...", "rows": 12 }
+ *   }
+ * }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_STATE_FILE = '.extraction-state.json';
+
+/**
+ * Incremental extraction state class
+ * Reads and writes the watermark state file
+ */
+class ExtractionState {
+  /**
+   * @param {string} stateFile - Path to the state file
+   */
+  constructor(stateFile) {
+    this.stateFile = stateFile;
+    this.state = this.loadState();
+  }
+
+  /**
+   * Loads the state file, starting empty when it does not exist yet
+   * @returns {Object} State object
+   * @throws {Error} If the state file exists but cannot be parsed
+   */
+  loadState() {
+    if (!fs.existsSync(this.stateFile)) {
+      console.log(`📁 No extraction state found at ${this.stateFile} - first incremental run will pull everything`);
+      return { queries: {} };
+    }
+
+    try {
+      const state = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+      console.log(`📁 Loaded extraction state from: ${this.stateFile}`);
+      return { queries: {}, ...state };
+    } catch (error) {
+      throw new Error(`Failed to load or parse extraction state ${this.stateFile}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Returns the high-water mark of a query
+   * @param {string} key - State key (the extracted file name)
+   * @returns {Date|null} Last seen change date or null if never extracted
+   */
+  getWatermark(key) {
+    const entry = this.state.queries[key];
+    return entry && entry.watermark ? new Date(entry.watermark) : null;
+  }
+
+  /**
+   * Records the high-water mark of a query
+   * @param {string} key - State key (the extracted file name)
+   * @param {Date|null} watermark - Latest change date seen
+   * @param {number} rows - Number of rows pulled in this run
+   */
+  setWatermark(key, watermark, rows) {
+    this.state.queries[key] = {
+      watermark: watermark ? watermark.toISOString() : null,
+      lastRunAt: new Date().toISOString(),
+      rows
+    };
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+    fs.writeFileSync(this.stateFile, JSON.stringify(this.state, null, 2));
+    console.log(`✅ Saved extraction state to: ${this.stateFile}`);
+  }
+}
+
+/**
+ * Returns the most recent change date of a set of rows
+ * @param {Array} rows - Extracted rows
+ * @param {Array<string>} columns - Date columns, first non-null one wins (e.g. updated_at, created_at)
+ * @param {Date|null} current - Current watermark, kept when no row is newer
+ * @returns {Date|null} New watermark
+ */
+function getMaxWatermark(rows, columns, current = null) {
+  let max = current;
+
+  for (const row of rows) {
+    const column = columns.find(col => row[col] !== null && row[col] !== undefined);
+    if (!column) continue;
+
+    const value = new Date(row[column]);
+    if (!isNaN(value.getTime()) && (!max || value > max)) {
+      max = value;
+    }
+  }
+
+  return max;
+}
+
+module.exports = {
+  ExtractionState,
+  getMaxWatermark,
+  DEFAULT_STATE_FILE
+};
@@ -0,0 +1,327 @@
+/**
+ * Inventory Processor
+ *
+ * Applies operation groups to case inventory in-process, the way the API's
+ * "process operation group" endpoint does: the wine_inventory_entries of every
+ * unsynced case operation are added to (deposits) or taken from (withdrawals)
+ * the inventory of its case (entries with case_id set), the operation is marked
+ * synced_inventory and processed with a log entry, the group is marked processed
+ * and cases.current_items is recalculated from the case inventory.
+ *
+ * Legacy activities that were already processed are part of the CaseDetails
+ * snapshot the case import seeds, so the import only marks their operations
+ * synced (applyInventory: false) instead of moving bottles a second time.
+ *
+ * An InventoryApiClient can be plugged in to let a running API process the
+ * groups instead. It is configured through the "inventoryApi" section of the
+ * database config file:
+ *
+ *   "inventoryApi": {
+ *     "baseUrl": "http://localhost:3000",
+ *     "tokenEnv": "INVENTORY_API_TOKEN",   // env variable holding the bearer token
+ *     "timeoutMs": 30000
+ *   }
+ *
+ * The API reads committed data only, so it cannot be used in atomic mode.
+ */
+
+// Sign of the inventory movement per case operation type
+const OPERATION_DIRECTIONS = {
+  deposit: 1,
+  in: 1,
+  withdrawal: -1,
+  out: -1
+};
+
+// Operations in these statuses never touch the inventory
+const SKIPPED_OPERATION_STATUSES = ['cancelled', 'failed'];
+
+const PROCESSED_STATUS = 'processed';
+const DEFAULT_TOKEN_ENV = 'INVENTORY_API_TOKEN';
+const DEFAULT_API_TIMEOUT_MS = 30000;
+
+/**
+ * Inventory API client class
+ * Calls the API's process endpoint for an operation group
+ */
+class InventoryApiClient {
+  /**
+   * @param {Object} options - { baseUrl, token, timeoutMs }
+   */
+  constructor(options = {}) {
+    if (!options.baseUrl) {
+      throw new Error('Inventory API baseUrl is required');
+    }
+    if (!options.token) {
+      throw new Error('Inventory API token is required');
+    }
+
+    this.baseUrl = options.baseUrl.replace(/\/+$/, '');
+    this.token = options.token;
+    this.timeoutMs = options.timeoutMs || DEFAULT_API_TIMEOUT_MS;
+  }
+
+  /**
+   * Creates a client from the "inventoryApi" section of a database config file
+   * The token is read from the environment variable named by tokenEnv, or from token.
+   * @param {Object} rawConfig - Raw database configuration (DatabaseConfig.getRawConfig())
+   * @returns {InventoryApiClient|null} Client, or null when no inventoryApi section is configured
+   * @throws {Error} If the section is incomplete
+   */
+  static fromConfig(rawConfig = {}) {
+    const apiConfig = rawConfig.inventoryApi;
+    if (!apiConfig) {
+      return null;
+    }
+
+    const tokenEnv = apiConfig.tokenEnv || DEFAULT_TOKEN_ENV;
+    const token = process.env[tokenEnv] || apiConfig.token;
+    if (!token) {
+      throw new Error(`Inventory API token not found: set ${tokenEnv} or inventoryApi.token in the config file`);
+    }
+
+    return new InventoryApiClient({ ...apiConfig, token });
+  }
+
+  /**
+   * @param {string} tenantId - Tenant id
+   * @param {string} groupId - Operation group id
+   * @throws {Error} If the API does not answer with a success status
+   */
+  async processOperationGroup(tenantId, groupId) {
+    const response = await fetch(
+      `${this.baseUrl}/admin/tenants/${tenantId}/operation-groups/${groupId}/process`,
+      {
+        method: 'PATCH',
+        headers: {
+          accept: 'application/json',
+          authorization: `Bearer ${this.token}`
+        },
+        signal: AbortSignal.timeout(this.timeoutMs)
+      }
+    );
+
+    if (!response.ok) {
+      const body = await response.text();
+      throw new Error(`Inventory API failed to process operation group ${groupId}: ${response.status} ${body}`);
+    }
+  }
+}
+
+/**
+ * Inventory processor class
+ * Applies case operations to case inventory, recording before-images in the run ledger
+ */
+class InventoryProcessor {
+  /**
+   * @param {DataSource|ImportTransaction} db - Anything exposing query(sql, params)
+   * @param {string} tenantId - Tenant id
+   * @param {Object} options - { ledger, apiClient } - ledger (MigrationRunLedger) tags the changed rows;
+   *   apiClient (InventoryApiClient) processes the groups whose inventory is applied
+   */
+  constructor(db, tenantId, options = {}) {
+    this.db = db;
+    this.tenantId = tenantId;
+    this.ledger = options.ledger || null;
+    this.apiClient = options.apiClient || null;
+    this.stats = { groups: 0, operations: 0, skippedOperations: 0, cases: 0 };
+  }
+
+  /**
+   * Processes the unsynced operations of an operation group
+   * @param {string} groupId - Operation group id
+   * @param {Object} options - { applyInventory, note } - applyInventory: false only marks the operations
+   *   synced (their bottles are already in the case inventory); note is written to the operation logs
+   * @returns {Promise<Set<string>>} Ids of the cases whose inventory changed
+   */
+  async processOperationGroup(groupId, options = {}) {
+    const applyInventory = options.applyInventory !== false;
+    const changedCases = new Set();
+
+    if (applyInventory && this.apiClient) {
+      await this.apiClient.processOperationGroup(this.tenantId, groupId);
+      this.stats.groups++;
+      return changedCases;
+    }
+
+    const operations = await this.db.query(
+      `SELECT id, case_id, type, status, logs FROM cases_operations
+       WHERE tenant_id = $1 AND group_id = $2 AND synced_inventory = false
+         AND status::text <> ALL($3::text[])
+       ORDER BY created_at, id`,
+      [this.tenantId, groupId, SKIPPED_OPERATION_STATUSES]
+    );
+
+    for (const operation of operations) {
+      if (applyInventory) {
+        const direction = OPERATION_DIRECTIONS[operation.type];
+        if (!direction) {
+          console.warn(`⚠️ Case operation ${operation.id} has type "${operation.type}", which does not move inventory - left unsynced`);
+          this.stats.skippedOperations++;
+          continue;
+        }
+
+        await this.applyOperation(operation, direction);
+        changedCases.add(operation.case_id);
+      }
+
+      await this.markOperationSynced(operation, applyInventory, options.note);
+    }
+
+    if (applyInventory) {
+      await this.markGroupProcessed(groupId);
+      await this.recalculateCurrentItems([...changedCases]);
+    }
+
+    this.stats.groups++;
+    return changedCases;
+  }
+
+  /**
+   * Adds the entries of a case operation to the inventory of its case (or takes them from it)
+   * @param {Object} operation - cases_operations row
+   * @param {number} direction - 1 for deposits, -1 for withdrawals
+   * @throws {Error} If a withdrawal takes more bottles than the case holds
+   */
+  async applyOperation(operation, direction) {
+    const entries = await this.db.query(
+      `SELECT wine_id, bottle_format_id, bottle_vintage_id, amount FROM wine_inventory_entries
+       WHERE tenant_id = $1 AND operation_id = $2`,
+      [this.tenantId, operation.id]
+    );
+
+    for (const entry of entries) {
+      const delta = direction * Number(entry.amount);
+      const [current] = await this.db.query(
+        `SELECT id, amount FROM wine_inventory_entries
+         WHERE tenant_id = $1 AND case_id = $2 AND operation_id IS NULL
+           AND wine_id = $3 AND bottle_format_id = $4 AND bottle_vintage_id = $5
+         LIMIT 1`,
+        [this.tenantId, operation.case_id, entry.wine_id, entry.bottle_format_id, entry.bottle_vintage_id]
+      );
+      const amount = (current ? Number(current.amount) : 0) + delta;
+
+      if (amount < 0) {
+        throw new Error(
+          `Case operation ${operation.id} withdraws ${-delta} bottles of wine ${entry.wine_id} from case ${operation.case_id}, which holds ${current ? current.amount : 0}`
+        );
+      }
+
+      if (!current) {
+        const [inserted] = await this.db.query(
+          `INSERT INTO wine_inventory_entries (tenant_id, case_id, wine_id, bottle_format_id, bottle_vintage_id, amount)
+           VALUES ($1, $2, $3, $4, $5, $6) RETURNING id`,
+          [this.tenantId, operation.case_id, entry.wine_id, entry.bottle_format_id, entry.bottle_vintage_id, amount]
+        );
+        await this.track('wine_inventory_entries', inserted.id);
+      } else if (amount === 0) {
+        const [deleted] = await this.db.query(
+          'DELETE FROM wine_inventory_entries WHERE id = $1 RETURNING *',
+          [current.id]
+        );
+        if (this.ledger) {
+          await this.ledger.trackDeleted('wine_inventory_entries', deleted);
+        }
+      } else {
+        await this.db.query(
+          'UPDATE wine_inventory_entries SET amount = $1, updated_at = now() WHERE id = $2',
+          [amount, current.id]
+        );
+        await this.track('wine_inventory_entries', current.id, 'updated', { amount: current.amount });
+      }
+    }
+  }
+
+  async markOperationSynced(operation, applyInventory, note = null) {
+    const logs = [
+      ...(operation.logs || []),
+      {
+        type: 'inventory_synced',
+        message: note || (applyInventory ? 'Inventory applied by the migration' : 'Already part of the migrated inventory'),
+        created_at: new Date().toISOString()
+      }
+    ];
+    const status = applyInventory ? PROCESSED_STATUS : operation.status;
+
+    await this.db.query(
+      `UPDATE cases_operations SET synced_inventory = true, status = $1, logs = $2::jsonb, updated_at = now()
+       WHERE id = $3`,
+      [status, JSON.stringify(logs), operation.id]
+    );
+    await this.track('cases_operations', operation.id, 'updated', {
+      synced_inventory: false,
+      status: operation.status,
+      logs: operation.logs || []
+    });
+
+    this.stats.operations++;
+  }
+
+  async markGroupProcessed(groupId) {
+    const [[group]] = await this.db.query(
+      `UPDATE operations_groups g SET status = $1
+       FROM (SELECT id, status FROM operations_groups WHERE id = $2) previous
+       WHERE g.id = previous.id AND g.status IS DISTINCT FROM $1
+       RETURNING g.id, previous.status AS previous_status`,
+      [PROCESSED_STATUS, groupId]
+    );
+
+    if (group) {
+      await this.track('operations_groups', group.id, 'updated', { status: group.previous_status });
+    }
+  }
+
+  /**
+   * Sets cases.current_items to the number of bottles in the case inventory
+   * @param {Array<string>|null} caseIds - Cases to recalculate, or null for every case of the tenant
+   * @returns {Promise<number>} Number of cases whose current_items changed
+   */
+  async recalculateCurrentItems(caseIds = null) {
+    if (caseIds && caseIds.length === 0) {
+      return 0;
+    }
+
+    const [changed] = await this.db.query(
+      `WITH totals AS (
+         SELECT c.id, c.current_items AS previous_current_items, COALESCE(SUM(e.amount), 0)::integer AS current_items
+         FROM cases c
+         LEFT JOIN wine_inventory_entries e ON e.case_id = c.id AND e.operation_id IS NULL
+         WHERE c.tenant_id = $1 AND ($2::uuid[] IS NULL OR c.id = ANY($2::uuid[]))
+         GROUP BY c.id
+       )
+       UPDATE cases SET current_items = totals.current_items
+       FROM totals
+       WHERE cases.id = totals.id AND cases.current_items IS DISTINCT FROM totals.current_items
+       RETURNING cases.id, totals.previous_current_items`,
+      [this.tenantId, caseIds]
+    );
+
+    for (const row of changed || []) {
+      await this.track('cases', row.id, 'updated', { current_items: row.previous_current_items });
+    }
+
+    this.stats.cases += (changed || []).length;
+    return (changed || []).length;
+  }
+
+  async track(table, rowId, action = 'inserted', beforeImage = null) {
+    if (this.ledger) {
+      await this.ledger.track(table, rowId, action, beforeImage);
+    }
+  }
+
+  printSummary() {
+    console.log(
+      `✅ Inventory processed: ${this.stats.groups} operation groups, ${this.stats.operations} case operations synced, ${this.stats.cases} cases with an updated current_items`
+    );
+    if (this.stats.skippedOperations > 0) {
+      console.warn(`⚠️ ${this.stats.skippedOperations} case operations do not move inventory and were left unsynced`);
+    }
+  }
+}
+
+module.exports = {
+  InventoryProcessor,
+  InventoryApiClient,
+  OPERATION_DIRECTIONS
+};
@@ -0,0 +1,539 @@
+/**
+ * Legacy Data Extractor
+ *
+ * Shared extraction core for the extract-[entity]-data.js scripts.
+ * Each script only declares a registry of named SQL Server queries
+ * (queryName -> SQL); this module owns the mssql connection pool, query error
+ * handling and writing the extracted records to disk.
+ *
+ * Adding a new legacy entity means declaring its queries and, if needed,
+ * subclassing LegacyDataExtractor to override validateDataIntegrity().
+ *
+ * Incremental mode: queries that declare a watermark (merge key plus their
+ * DateUpdated/DateCreated columns) only pull rows changed since the last run.
+ * Those rows are written to deltas/<run>/ and merged into the full snapshot
+ * files, so import scripts can either apply the delta or reload the snapshot.
+ * Deleted rows never show up as changed: those queries also pull their current
+ * keys, snapshot rows whose key is gone are removed and listed in the delta
+ * manifest, so the imports' soft-delete pass sees them as deleted.
+ *
+ * Every run records the outcome of each snapshot file in extraction-status.json,
+ * so an import can tell an empty table from a query that failed and left an
+ * empty file behind.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getMaxWatermark } = require('./extraction-state');
+
+const EXTRACTION_STATUS_FILE = 'extraction-status.json';
+
+/**
+ * Data extractor class
+ * Runs every query of a registry against the legacy SQL Server database
+ */
+class LegacyDataExtractor {
+  /**
+   * @param {DatabaseConfig} dbConfig - Loaded legacy database configuration
+   * @param {Object<string, string>} queries - Registry of named SQL queries
+   * @param {Object} options - Extraction options
+   * @param {string} options.name - Entity name, used to namespace watermarks in the state file
+   * @param {Object<string, {key: string, columns: Array<string>}>} options.watermarks - Merge key and change-date columns per query
+   * @param {boolean} options.incremental - Only pull rows changed since the last run
+   * @param {ExtractionState} options.state - Watermark state (required in incremental mode)
+   */
+  constructor(dbConfig, queries, options = {}) {
+    this.dbConfig = dbConfig;
+    this.queries = queries;
+    this.name = options.name || 'legacy';
+    this.watermarks = options.watermarks || {};
+    this.incremental = !!options.incremental;
+    this.state = options.state || null;
+    this.extractionMeta = {};
+    this.mssql = null;
+    this.pool = null;
+
+    if (this.incremental && !this.state) {
+      throw new Error('Incremental extraction requires an extraction state file');
+    }
+  }
+
+  async connect() {
+    try {
+      // Dynamically import mssql to avoid requiring it if not needed
+      this.mssql = require('mssql');
+
+      const connectionConfig = this.dbConfig.getMssqlConnectionConfig();
+
+      console.log('Connecting to SQL Server...');
+      console.log(`Server: ${connectionConfig.server}:${connectionConfig.port}`);
+      console.log(`Database: ${connectionConfig.database}`);
+      console.log(`User: ${connectionConfig.user}`);
+
+      this.pool = await new this.mssql.ConnectionPool(connectionConfig).connect();
+      console.log('✅ Connected to SQL Server successfully');
+
+    } catch (error) {
+      console.error('❌ Failed to connect to SQL Server:', error.message);
+      throw error;
+    }
+  }
+
+  async disconnect() {
+    if (this.pool) {
+      await this.pool.close();
+      this.pool = null;
+      console.log('✅ Disconnected from SQL Server');
+    }
+  }
+
+  async executeQuery(queryName, query, params = {}) {
+    try {
+      console.log(`Executing query: ${queryName}`);
+      const request = this.pool.request();
+      for (const [name, value] of Object.entries(params)) {
+        request.input(name, value);
+      }
+      const result = await request.query(query);
+      console.log(`✅ ${queryName}: ${result.recordset.length} records extracted`);
+      return result.recordset;
+    } catch (error) {
+      console.error(`❌ Error executing ${queryName}:`, error.message);
+
+      // Provide specific troubleshooting guidance based on error type
+      if (error.message.includes('permission')) {
+        console.error(`💡 Permission Error: Ensure database user has SELECT permissions on ${queryName} table`);
+      } else if (error.message.includes('Invalid object name')) {
+        console.error(`💡 Table Not Found: Verify table '${queryName}' exists in the database`);
+      } else if (error.message.includes('Login failed')) {
+        console.error(`💡 Authentication Error: Check username/password in database configuration`);
+      } else if (error.message.includes('timeout')) {
+        console.error(`💡 Timeout Error: Check network connectivity and database performance`);
+      } else if (error.message.includes('connection')) {
+        console.error(`💡 Connection Error: Verify SQL Server is running and accessible`);
+      }
+
+      throw error;
+    }
+  }
+
+  async extractAllData() {
+    const extractedData = {};
+
+    for (const [queryName, query] of Object.entries(this.queries)) {
+      try {
+        extractedData[queryName] = await this.extractQuery(queryName, query);
+      } catch (error) {
+        console.error(`Failed to extract ${queryName}, continuing with other queries...`);
+        extractedData[queryName] = [];
+        this.extractionMeta[queryName] = { mode: 'failed' };
+      }
+    }
+
+    // Perform data integrity checks
+    await this.validateDataIntegrity(extractedData);
+
+    return extractedData;
+  }
+
+  /**
+   * Runs one query, restricted to changed rows when extracting incrementally
+   * @param {string} queryName - Name of the query in the registry
+   * @param {string} query - Full-extraction SQL
+   * @returns {Promise<Array>} Extracted rows
+   */
+  async extractQuery(queryName, query) {
+    const watermark = this.incremental ? this.watermarks[queryName] : null;
+
+    if (!watermark) {
+      // Tables without change dates are always pulled in full
+      this.extractionMeta[queryName] = { mode: 'full' };
+      return this.executeQuery(queryName, query);
+    }
+
+    const since = this.state.getWatermark(`${this.name}.${queryName}`);
+    const rows = since
+      ? await this.executeQuery(queryName, this.buildDeltaQuery(query, watermark.columns), { since })
+      : await this.executeQuery(queryName, query);
+    const currentKeys = since
+      ? await this.executeQuery(`${queryName} keys`, this.buildKeyQuery(query, watermark.key))
+      : null;
+
+    this.extractionMeta[queryName] = {
+      mode: since ? 'delta' : 'full',
+      key: watermark.key,
+      since,
+      watermark: getMaxWatermark(rows, watermark.columns, since),
+      currentKeys: currentKeys && new Set(currentKeys.map(row => String(row[watermark.key])))
+    };
+
+    if (since) {
+      console.log(`   ↳ ${rows.length} rows changed since ${since.toISOString()}`);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Wraps a full-extraction query so it only returns rows changed since @since
+   * @param {string} query - Full-extraction SQL
+   * @param {Array<string>} columns - Change-date columns, first non-null one wins
+   * @returns {string} Delta SQL
+   */
+  buildDeltaQuery(query, columns) {
+    // ORDER BY is not allowed inside a derived table
+    const baseQuery = query.replace(/\s+ORDER BY[^)]*$/i, '');
+    const changedAt = columns.length === 1
+      ? `delta.[${columns[0]}]`
+      : `COALESCE(${columns.map(column => `delta.[${column}]`).join(', ')})`;
+
+    return `
+      SELECT * FROM (${baseQuery}) AS delta
+      WHERE ${changedAt} >= @since
+      ORDER BY ${changedAt}
+    `;
+  }
+
+  /**
+   * Wraps a full-extraction query so it only returns the key of every row
+   * @param {string} query - Full-extraction SQL
+   * @param {string} key - Column identifying a row
+   * @returns {string} Key SQL
+   */
+  buildKeyQuery(query, key) {
+    const baseQuery = query.replace(/\s+ORDER BY[^)]*$/i, '');
+    return `SELECT DISTINCT delta.[${key}] FROM (${baseQuery}) AS delta`;
+  }
+
+  /**
+   * Entity-specific integrity checks, overridden by subclasses
+   * @param {Object<string, Array>} extractedData - Records keyed by query name
+   */
+  async validateDataIntegrity(extractedData) {}
+
+  /**
+   * Connects, extracts every query, disconnects and saves the results
+   * @param {DataSaver} dataSaver - Destination for the extracted records
+   * @returns {Promise<Object<string, Array>>} Records keyed by query name
+   */
+  async run(dataSaver) {
+    await this.connect();
+
+    let extractedData;
+    try {
+      extractedData = await this.extractAllData();
+    } finally {
+      await this.disconnect();
+    }
+
+    if (this.incremental) {
+      dataSaver.saveIncrementalData(extractedData, this.extractionMeta);
+
+      // Only advance watermarks once the files are safely written
+      for (const [queryName, meta] of Object.entries(this.extractionMeta)) {
+        if (meta.key) {
+          this.state.setWatermark(`${this.name}.${queryName}`, meta.watermark, extractedData[queryName].length);
+        }
+      }
+      this.state.save();
+    } else {
+      dataSaver.saveAllData(extractedData, this.extractionMeta);
+    }
+
+    // Summary
+    console.log('\n📋 Extraction Summary:');
+    console.log('========================');
+    for (const [queryName, data] of Object.entries(extractedData)) {
+      const mode = this.incremental ? ` (${this.extractionMeta[queryName].mode})` : '';
+      console.log(`${queryName}: ${data.length} records${mode}`);
+    }
+
+    return extractedData;
+  }
+}
+
+/**
+ * Data saver class
+ * Writes extracted records as JSON, CSV or SQL files, one file per query
+ */
+class DataSaver {
+  /**
+   * @param {string} outputDir - Directory the files are written to
+   * @param {string} format - Output format (json, csv, sql)
+   * @param {Object} options - { filePrefix, fileMode } - filePrefix is prepended to every file name;
+   *   fileMode (e.g. 0o600) restricts the written files and the created output directory to their owner
+   */
+  constructor(outputDir, format = 'json', options = {}) {
+    this.outputDir = outputDir;
+    this.format = format.toLowerCase();
+    this.filePrefix = options.filePrefix || '';
+    this.fileMode = options.fileMode || null;
+    this.ensureOutputDir();
+  }
+
+  ensureOutputDir() {
+    if (!fs.existsSync(this.outputDir)) {
+      fs.mkdirSync(this.outputDir, { recursive: true, ...(this.fileMode ? { mode: 0o700 } : {}) });
+      console.log(`Created output directory: ${this.outputDir}`);
+    }
+  }
+
+  saveData(data, filename) {
+    const filePath = path.join(this.outputDir, `${filename}.${this.format}`);
+
+    try {
+      let content;
+
+      switch (this.format) {
+        case 'json':
+          content = JSON.stringify(data, null, 2);
+          break;
+
+        case 'csv':
+          content = this.convertToCSV(data);
+          break;
+
+        case 'sql':
+          content = this.convertToSQL(data, filename);
+          break;
+
+        default:
+          throw new Error(`Unsupported format: ${this.format}`);
+      }
+
+      if (this.fileMode) {
+        // mode only applies when the file is created, an existing file keeps its permissions otherwise
+        fs.writeFileSync(filePath, content, { mode: this.fileMode });
+        fs.chmodSync(filePath, this.fileMode);
+      } else {
+        fs.writeFileSync(filePath, content);
+      }
+      console.log(`✅ Saved ${filename}.${this.format} (${data.length} records)`);
+
+    } catch (error) {
+      console.error(`❌ Failed to save ${filename}.${this.format}:`, error.message);
+      throw error;
+    }
+  }
+
+  convertToCSV(data) {
+    if (!data || data.length === 0) return '';
+
+    const headers = Object.keys(data[0]);
+    const csvRows = [headers.join(',')];
+
+    for (const row of data) {
+      const values = headers.map(header => {
+        const value = row[header];
+        // Escape commas and quotes in CSV
+        if (typeof value === 'string' && (value.includes(',') || value.includes('"'))) {
+          return `"${value.replace(/"/g, '""')}"`;
+        }
+        return value;
+      });
+      csvRows.push(values.join(','));
+    }
+
+    return csvRows.join('\n');
+  }
+
+  convertToSQL(data, tableName) {
+    if (!data || data.length === 0) return `-- No data for ${tableName}\n`;
+
+    const columns = Object.keys(data[0]);
+    let sql = `-- ${tableName} data\n`;
+    sql += `INSERT INTO temp_${tableName} (${columns.join(', ')}) VALUES\n`;
+
+    const values = data.map(row => {
+      const rowValues = columns.map(col => {
+        const value = row[col];
+        if (value === null || value === undefined) return 'NULL';
+        if (typeof value === 'string') return `'${value.replace(/'/g, "''")}'`;
+        if (typeof value === 'boolean') return value ? 'true' : 'false';
+        return value;
+      });
+      return `(${rowValues.join(', ')})`;
+    });
+
+    sql += values.join(',\n') + ';\n';
+    return sql;
+  }
+
+  /**
+   * Writes a full run, one file per query
+   * @param {Object<string, Array>} extractedData - Records keyed by query name
+   * @param {Object<string, Object>} extractionMeta - Mode per query, failed queries are recorded as such
+   */
+  saveAllData(extractedData, extractionMeta = {}) {
+    console.log(`\nSaving extracted data in ${this.format.toUpperCase()} format...`);
+
+    const status = {};
+    for (const [queryName, data] of Object.entries(extractedData)) {
+      this.saveData(data, `${this.filePrefix}${queryName}`);
+      status[`${this.filePrefix}${queryName}`] = {
+        status: extractionMeta[queryName] && extractionMeta[queryName].mode === 'failed' ? 'failed' : 'ok',
+        rows: data.length
+      };
+    }
+    this.saveExtractionStatus(status);
+
+    console.log(`\n✅ All data saved to: ${this.outputDir}`);
+  }
+
+  /**
+   * Records the outcome of the snapshot files written by this run
+   * Entries of files written by other extraction scripts are kept.
+   * @param {Object<string, Object>} files - { status, rows } by file name without extension
+   */
+  saveExtractionStatus(files) {
+    const status = loadExtractionStatus(this.outputDir);
+    const extractedAt = new Date().toISOString();
+
+    for (const [filename, entry] of Object.entries(files)) {
+      status[filename] = { ...entry, extractedAt };
+    }
+
+    fs.writeFileSync(path.join(this.outputDir, EXTRACTION_STATUS_FILE), JSON.stringify(status, null, 2));
+  }
+
+  /**
+   * Writes an incremental run: every file goes to deltas/<run>/ with a
+   * manifest, delta files are merged into the snapshot by key and full
+   * files replace it. Failed queries leave the snapshot untouched.
+   * @param {Object<string, Array>} extractedData - Records keyed by query name
+   * @param {Object<string, Object>} extractionMeta - Mode, key and watermark per query
+   * @returns {string} Directory the delta files were written to
+   */
+  saveIncrementalData(extractedData, extractionMeta) {
+    if (this.format !== 'json') {
+      throw new Error(`Incremental extraction requires the json format (got ${this.format})`);
+    }
+
+    const extractedAt = new Date();
+    const deltaDir = path.join(this.outputDir, 'deltas', extractedAt.toISOString().replace(/[:.]/g, '-'));
+    const deltaSaver = new DataSaver(deltaDir, this.format, { filePrefix: this.filePrefix });
+    const manifest = { extractedAt: extractedAt.toISOString(), files: {} };
+
+    console.log(`\nSaving incremental data to: ${deltaDir}`);
+
+    const status = {};
+    for (const [queryName, data] of Object.entries(extractedData)) {
+      const meta = extractionMeta[queryName];
+      const filename = `${this.filePrefix}${queryName}`;
+
+      if (meta.mode === 'failed') {
+        console.warn(`⚠️ Skipping ${filename} - extraction failed, snapshot left unchanged`);
+        continue;
+      }
+
+      deltaSaver.saveData(data, filename);
+
+      let deletedKeys = [];
+      if (meta.mode === 'delta') {
+        deletedKeys = this.mergeIntoSnapshot(data, filename, meta.key, meta.currentKeys);
+      } else {
+        this.saveData(data, filename);
+      }
+
+      manifest.files[filename] = {
+        mode: meta.mode,
+        key: meta.key || null,
+        since: meta.since ? meta.since.toISOString() : null,
+        rows: data.length,
+        deletedKeys
+      };
+      status[filename] = { status: 'ok', rows: data.length };
+    }
+    this.saveExtractionStatus(status);
+
+    fs.writeFileSync(path.join(deltaDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+    console.log(`\n✅ Incremental data saved to: ${deltaDir}`);
+
+    return deltaDir;
+  }
+
+  /**
+   * Replaces or appends changed rows in an existing snapshot file and drops deleted ones
+   * @param {Array} rows - Changed rows
+   * @param {string} filename - Snapshot file name without extension
+   * @param {string} key - Column identifying a row
+   * @param {Set<string>|null} currentKeys - Keys still in the source, snapshot rows without one are deleted
+   * @returns {Array<string>} Keys of the deleted rows
+   */
+  mergeIntoSnapshot(rows, filename, key, currentKeys = null) {
+    const filePath = path.join(this.outputDir, `${filename}.json`);
+    const existing = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : [];
+    const merged = new Map(existing.map(row => [String(row[key]), row]));
+
+    for (const row of rows) {
+      merged.set(String(row[key]), row);
+    }
+
+    const deletedKeys = currentKeys ? [...merged.keys()].filter(rowKey => !currentKeys.has(rowKey)) : [];
+    for (const rowKey of deletedKeys) {
+      merged.delete(rowKey);
+    }
+
+    console.log(
+      `🔀 Merging ${rows.length} changed rows into ${filename}.json (${existing.length} → ${merged.size}` +
+      `${deletedKeys.length > 0 ? `, ${deletedKeys.length} deleted` : ''})`
+    );
+    this.saveData([...merged.values()], filename);
+
+    return deletedKeys;
+  }
+}
+
+/**
+ * Reads the extraction status of an extracted data directory
+ * @param {string} dataDir - Extracted data directory
+ * @returns {Object<string, Object>} { status, rows, extractedAt } by file name without extension, empty
+ *   when the data was extracted before the status was recorded
+ */
+function loadExtractionStatus(dataDir) {
+  const statusPath = path.join(dataDir, EXTRACTION_STATUS_FILE);
+  return fs.existsSync(statusPath) ? JSON.parse(fs.readFileSync(statusPath, 'utf8')) : {};
+}
+
+/**
+ * Prints troubleshooting steps for a failed extraction based on the error message
+ * @param {Error} error - Error that stopped the extraction
+ */
+function printTroubleshootingGuide(error) {
+  console.log('\n🔧 Troubleshooting Guide:');
+  console.log('========================');
+
+  if (error.message.includes('ECONNREFUSED')) {
+    console.log('1. Check if SQL Server is running');
+    console.log('2. Verify the server address and port in database-extract.config.json');
+    console.log('3. Check firewall settings and network connectivity');
+  } else if (error.message.includes('Login failed')) {
+    console.log('1. Verify username and password in database-extract.config.json');
+    console.log('2. Check if the user account is active and has proper permissions');
+    console.log('3. Ensure the database name is correct');
+  } else if (error.message.includes('permission')) {
+    console.log('1. Ensure the database user has SELECT permissions on all tables');
+    console.log('2. Check if the user has access to the specified database');
+    console.log('3. Verify the user is not locked or expired');
+  } else if (error.message.includes('Invalid object name')) {
+    console.log('1. Verify table names exist in the database');
+    console.log('2. Check if you\'re connected to the correct database');
+    console.log('3. Ensure table names match the case sensitivity of your SQL Server');
+  } else if (error.message.includes('config')) {
+    console.log('1. Create database-extract.config.json or pass --config=<path>');
+    console.log('2. Ensure it defines server, database, user, password and port');
+  } else {
+    console.log('1. Check the database connection configuration');
+    console.log('2. Verify SQL Server is accessible from your network');
+    console.log('3. Review the error message above for specific details');
+  }
+
+  console.log('\n📞 For additional help, check the database connection and try again.');
+}
+
+module.exports = {
+  LegacyDataExtractor,
+  DataSaver,
+  loadExtractionStatus,
+  printTroubleshootingGuide
+};
@@ -0,0 +1,101 @@
+/**
+ * Migration Checkpoint Utilities
+ *
+ * Persists the progress of full-migration.js so a failed migration can be
+ * resumed with --resume instead of starting over. A checkpoint is written
+ * after every pipeline step that completes successfully.
+ *
+ * Checkpoint file layout:
+ * {
+ *   "startedAt": "2024-05-01T10:00:00.000Z",
+ *   "runId": "<migration_runs id of the run that started the migration>",
+ *   "options": { "extractData": true, "upsert": false, ... },
+ *   "completedSteps": {
+ *     "import-wine-lookups": { "completedAt": "...", "duration": 1234 }
+ *   }
+ * }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CHECKPOINT_FILE = path.join('extracted-data', '.migration-checkpoint.json');
+
+/**
+ * Migration checkpoint class
+ * Reads and writes the checkpoint file
+ */
+class MigrationCheckpoint {
+  /**
+   * @param {string} checkpointFile - Path to the checkpoint file
+   */
+  constructor(checkpointFile = DEFAULT_CHECKPOINT_FILE) {
+    this.checkpointFile = checkpointFile;
+    this.state = null;
+  }
+
+  exists() {
+    return fs.existsSync(this.checkpointFile);
+  }
+
+  /**
+   * Loads the checkpoint of a previous migration
+   * @returns {Object} Checkpoint state
+   * @throws {Error} If the checkpoint is missing or cannot be parsed
+   */
+  load() {
+    if (!this.exists()) {
+      throw new Error(`No migration checkpoint found at ${this.checkpointFile} - nothing to resume`);
+    }
+
+    try {
+      this.state = { completedSteps: {}, ...JSON.parse(fs.readFileSync(this.checkpointFile, 'utf8')) };
+      console.log(`📁 Loaded migration checkpoint from: ${this.checkpointFile}`);
+      return this.state;
+    } catch (error) {
+      throw new Error(`Failed to load or parse migration checkpoint ${this.checkpointFile}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Starts a new checkpoint, replacing the one of a previous migration
+   * @param {Object} options - Orchestrator options the migration runs with
+   * @param {string|null} runId - Ledger run id
+   */
+  reset(options, runId = null) {
+    this.state = {
+      startedAt: new Date().toISOString(),
+      runId,
+      options,
+      completedSteps: {}
+    };
+    this.save();
+  }
+
+  isCompleted(stepName) {
+    return Boolean(this.state && this.state.completedSteps[stepName]);
+  }
+
+  /**
+   * Records a completed step and saves the checkpoint
+   * @param {string} stepName - Pipeline step name
+   * @param {number} duration - Step duration in milliseconds
+   */
+  markCompleted(stepName, duration) {
+    this.state.completedSteps[stepName] = {
+      completedAt: new Date().toISOString(),
+      duration
+    };
+    this.save();
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.checkpointFile), { recursive: true });
+    fs.writeFileSync(this.checkpointFile, JSON.stringify(this.state, null, 2));
+  }
+}
+
+module.exports = {
+  MigrationCheckpoint,
+  DEFAULT_CHECKPOINT_FILE
+};
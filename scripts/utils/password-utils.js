@@ -0,0 +1,157 @@
+/**
+ * Password Utilities
+ *
+ * Detects the format of a legacy Users.Password value and turns it into the
+ * password columns of the new users table without double-hashing hashes or
+ * keeping plaintext:
+ *
+ * - bcrypt: already what the new system stores, kept as-is
+ * - aspnet-identity: ASP.NET Identity PasswordHasher hashes (v2: PBKDF2-SHA1,
+ *   v3: PBKDF2 with the PRF, iteration count and salt in the hash), wrapped as
+ *   "$aspnet-identity$<hash>" so the application can verify them with
+ *   verifyLegacyPassword() and rehash with bcrypt on the first login
+ * - plaintext: hashed with bcrypt
+ * - unknown-hash (hex digests, unsalted base64 digests) and empty: no password
+ *   and a reset_password_token, the user needs a password reset email
+ *
+ * With resetAll every user gets a reset_password_token and no password.
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+
+const BCRYPT_ROUNDS = 10;
+const LEGACY_HASH_PREFIX = '$aspnet-identity$';
+
+const BCRYPT_PATTERN = /^\$2[aby]?\$\d{2}\$[./A-Za-z0-9]{53}$/;
+const HEX_DIGEST_PATTERN = /^(?:[0-9a-f]{32}|[0-9a-f]{40}|[0-9a-f]{64}|[0-9a-f]{128})$/i;
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+
+// Digest sizes of MD5, SHA-1, SHA-256 and SHA-512 (unsalted or salted elsewhere)
+const DIGEST_LENGTHS = [16, 20, 32, 64];
+
+// ASP.NET Identity v3 key derivation PRFs (KeyDerivationPrf enum)
+const IDENTITY_V3_PRFS = { 0: 'sha1', 1: 'sha256', 2: 'sha512' };
+
+/**
+ * Decodes a base64 value, or returns null when the value is not base64
+ * @param {string} value - Candidate value
+ * @returns {Buffer|null} Decoded bytes
+ */
+function decodeBase64(value) {
+  if (value.length % 4 !== 0 || !BASE64_PATTERN.test(value)) {
+    return null;
+  }
+  return Buffer.from(value, 'base64');
+}
+
+/**
+ * Parses an ASP.NET Identity password hash
+ * @param {Buffer} bytes - Decoded hash
+ * @returns {Object|null} { digest, iterations, salt, subkey }, or null when the bytes are not an Identity hash
+ */
+function parseIdentityHash(bytes) {
+  // v2: 0x00 | 16 byte salt | 32 byte subkey, PBKDF2-HMAC-SHA1 with 1000 iterations
+  if (bytes.length === 49 && bytes[0] === 0x00) {
+    return { digest: 'sha1', iterations: 1000, salt: bytes.subarray(1, 17), subkey: bytes.subarray(17) };
+  }
+
+  // v3: 0x01 | prf | iterations | salt length (big-endian uint32) | salt | subkey
+  if (bytes.length >= 13 && bytes[0] === 0x01) {
+    const digest = IDENTITY_V3_PRFS[bytes.readUInt32BE(1)];
+    const iterations = bytes.readUInt32BE(5);
+    const saltLength = bytes.readUInt32BE(9);
+
+    if (digest && iterations > 0 && saltLength >= 16 && bytes.length >= 13 + saltLength + 16) {
+      return {
+        digest,
+        iterations,
+        salt: bytes.subarray(13, 13 + saltLength),
+        subkey: bytes.subarray(13 + saltLength)
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Detects the format of a legacy password value
+ * @param {string|null} value - Legacy Users.Password
+ * @returns {string} 'empty' | 'bcrypt' | 'aspnet-identity' | 'unknown-hash' | 'plaintext'
+ */
+function detectPasswordFormat(value) {
+  if (value === null || value === undefined || String(value).trim() === '') {
+    return 'empty';
+  }
+
+  const password = String(value);
+  if (BCRYPT_PATTERN.test(password)) {
+    return 'bcrypt';
+  }
+
+  const bytes = decodeBase64(password);
+  if (bytes && parseIdentityHash(bytes)) {
+    return 'aspnet-identity';
+  }
+  if (HEX_DIGEST_PATTERN.test(password) || (bytes && DIGEST_LENGTHS.includes(bytes.length))) {
+    return 'unknown-hash';
+  }
+
+  return 'plaintext';
+}
+
+/**
+ * Builds the password columns of a migrated user
+ * @param {string|null} legacyPassword - Legacy Users.Password
+ * @param {Object} options - { resetAll } - resetAll issues a reset token for every user
+ * @returns {Object} { password, reset_password_token, format, needsReset }
+ */
+function migratePassword(legacyPassword, options = {}) {
+  const format = detectPasswordFormat(legacyPassword);
+  const reset = { password: null, reset_password_token: crypto.randomBytes(32).toString('hex'), format, needsReset: true };
+
+  if (options.resetAll) {
+    return reset;
+  }
+
+  switch (format) {
+    case 'bcrypt':
+      return { password: legacyPassword, reset_password_token: null, format, needsReset: false };
+    case 'aspnet-identity':
+      return { password: `${LEGACY_HASH_PREFIX}${legacyPassword}`, reset_password_token: null, format, needsReset: false };
+    case 'plaintext':
+      return { password: bcrypt.hashSync(String(legacyPassword), BCRYPT_ROUNDS), reset_password_token: null, format, needsReset: false };
+    default:
+      return reset;
+  }
+}
+
+/**
+ * Verifies a password against a wrapped legacy hash
+ * This is the scheme the application has to implement for "$aspnet-identity$" passwords.
+ * @param {string} password - Password entered by the user
+ * @param {string} storedPassword - users.password value
+ * @returns {boolean} True if the password matches
+ */
+function verifyLegacyPassword(password, storedPassword) {
+  if (!storedPassword || !storedPassword.startsWith(LEGACY_HASH_PREFIX)) {
+    return false;
+  }
+
+  const bytes = decodeBase64(storedPassword.slice(LEGACY_HASH_PREFIX.length));
+  const hash = bytes && parseIdentityHash(bytes);
+  if (!hash) {
+    return false;
+  }
+
+  const subkey = crypto.pbkdf2Sync(password, hash.salt, hash.iterations, hash.subkey.length, hash.digest);
+  return crypto.timingSafeEqual(subkey, hash.subkey);
+}
+
+module.exports = {
+  LEGACY_HASH_PREFIX,
+  detectPasswordFormat,
+  migratePassword,
+  verifyLegacyPassword
+};
@@ -0,0 +1,111 @@
+/**
+ * Reconciliation Utilities
+ *
+ * Shared helpers of the post-migration checks: loading the extracted files,
+ * mapping legacy ids to the rows written by the imports and replaying the skip
+ * rules of the import scripts, so rows an import leaves out on purpose can be
+ * told apart from rows that went missing.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Loads an extracted JSON file
+ * @param {string} dataDir - Extracted data directory
+ * @param {string} name - File name without extension (e.g. 'cases-caseDetails')
+ * @returns {Array|null} Rows or null when the file is missing
+ */
+function loadExtractedFile(dataDir, name) {
+  const filePath = path.join(dataDir, `${name}.json`);
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to load or parse extracted file ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Loads the rows of a tenant table keyed by their legacy id
+ * Soft-deleted rows are included - the imports resolve legacy ids the same way.
+ * @param {DataSource} db - Query target
+ * @param {string} table - Target table
+ * @param {string} tenantId - Tenant id
+ * @param {Object} options - { keyColumn, columns } - keyColumn holds the legacy id (default: legacy_id);
+ *   columns are additional columns to load
+ * @returns {Promise<Map<string, Object>>} Rows by legacy id
+ */
+async function loadLegacyRowMap(db, table, tenantId, { keyColumn = 'legacy_id', columns = [] } = {}) {
+  const rows = await db.query(
+    `SELECT id, ${keyColumn} AS legacy_key, deleted_at${columns.map(column => `, ${column}`).join('')}
+     FROM ${table}
+     WHERE tenant_id = $1 AND ${keyColumn} IS NOT NULL`,
+    [tenantId]
+  );
+
+  return new Map(rows.map(row => [String(row.legacy_key), row]));
+}
+
+/**
+ * Loads the lookup maps used to replay the case detail skip rules
+ * @param {DataSource} db - Query target
+ * @param {string} tenantId - Tenant id
+ * @returns {Promise<Object>} { wines, bottleFormats, bottleVintages, cases }
+ */
+async function loadCaseDetailMaps(db, tenantId) {
+  return {
+    wines: await loadLegacyRowMap(db, 'wines', tenantId),
+    bottleFormats: await loadLegacyRowMap(db, 'wine_bottle_formats', tenantId),
+    bottleVintages: await loadLegacyRowMap(db, 'wine_bottle_vintages', tenantId),
+    cases: await loadLegacyRowMap(db, 'cases', tenantId, { columns: ['billing_end_date'] })
+  };
+}
+
+/**
+ * Returns why import-case-data.js does not turn a case detail into a wine
+ * inventory entry (same checks, same order as seedWineInventoryEntriesFromCaseDetails)
+ * @param {Object} caseDetail - Row of cases-caseDetails.json
+ * @param {Object} maps - Lookup maps from loadCaseDetailMaps
+ * @returns {string|null} Skip reason or null when the case detail is imported
+ */
+function getCaseDetailSkipReason(caseDetail, maps) {
+  if (!caseDetail.legacy_wine_item_id) {
+    return 'no wine item';
+  }
+  if (!maps.wines.has(String(caseDetail.legacy_wine_item_id))) {
+    return 'wine not imported';
+  }
+  if (!maps.bottleFormats.has(String(caseDetail.legacy_bottle_size_id))) {
+    return 'bottle format not imported';
+  }
+  if (!maps.bottleVintages.has(String(caseDetail.legacy_vintage_id))) {
+    return 'bottle vintage not imported';
+  }
+  if (caseDetail.WineQuantity <= 0) {
+    return 'no bottles';
+  }
+  if (!caseDetail.legacy_case_id) {
+    return 'no case';
+  }
+
+  const targetCase = maps.cases.get(String(caseDetail.legacy_case_id));
+  if (!targetCase) {
+    return 'case not imported';
+  }
+  if (targetCase.billing_end_date !== null) {
+    return 'case billing ended';
+  }
+
+  return null;
+}
+
+module.exports = {
+  loadExtractedFile,
+  loadLegacyRowMap,
+  loadCaseDetailMaps,
+  getCaseDetailSkipReason
+};
@@ -0,0 +1,303 @@
+/**
+ * Migration Run Ledger
+ *
+ * Records every invocation of full-migration.js and the import scripts in the
+ * migration_runs table (git sha, options, source snapshot checksum, status)
+ * and tags the rows each run wrote in migration_run_rows, so runs can be
+ * audited, compared and selectively undone.
+ *
+ * - The migration_runs row is written outside the import transaction, so a
+ *   failed or rolled back run is still recorded.
+ * - Row tags are written through the import transaction and therefore commit
+ *   or roll back together with the rows they describe.
+ * - full-migration.js passes its run id to the child scripts through the
+ *   MIGRATION_PARENT_RUN_ID environment variable.
+ * - Updated and deleted rows carry a before-image (the row as it was before
+ *   the run touched it) so scripts/rollback-migration-run.js can restore them.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { execSync } = require('child_process');
+const { v4: uuidv4 } = require('uuid');
+const { BulkWriter } = require('./bulk-writer');
+
+const PARENT_RUN_ENV = 'MIGRATION_PARENT_RUN_ID';
+
+// Tables written by the imports, dependent tables first. Inserted rows are
+// removed in this order and deleted rows are re-inserted in the reverse one.
+const TABLE_DELETE_ORDER = [
+  'invoice_items',
+  'invoices',
+  'wine_inventory_entries',
+  'operation_extras',
+  'operation_extra_templates',
+  'cases_operations',
+  'operations_requests',
+  'operations_groups',
+  'cases',
+  'locker_rentals',
+  'lockers',
+  'customer_pricing',
+  'customer_contacts',
+  'user_audit_logs',
+  'legacy_user_aliases',
+  'addresses',
+  'users',
+  'wines',
+  'wine_types',
+  'wine_styles',
+  'wine_varietals',
+  'wine_brands',
+  'wine_producers',
+  'wine_villages',
+  'wine_regions',
+  'wine_countries',
+  'wine_bottle_formats',
+  'wine_bottle_vintages',
+  'wine_vineyards'
+];
+
+/**
+ * Creates the ledger tables if they do not exist yet
+ * @param {DataSource} dataSource - TypeORM DataSource instance
+ */
+async function ensureLedgerTables(dataSource) {
+  await dataSource.query(`
+    CREATE TABLE IF NOT EXISTS migration_runs (
+      id UUID PRIMARY KEY,
+      parent_run_id UUID REFERENCES migration_runs(id) ON DELETE SET NULL,
+      script VARCHAR(255) NOT NULL,
+      tenant_id UUID,
+      status VARCHAR(50) NOT NULL,
+      git_sha VARCHAR(64),
+      options JSONB NOT NULL DEFAULT '{}',
+      source_checksum VARCHAR(64),
+      error TEXT,
+      started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      finished_at TIMESTAMPTZ
+    )
+  `);
+
+  await dataSource.query(`
+    CREATE TABLE IF NOT EXISTS migration_run_rows (
+      id UUID PRIMARY KEY,
+      run_id UUID NOT NULL REFERENCES migration_runs(id) ON DELETE CASCADE,
+      table_name VARCHAR(255) NOT NULL,
+      row_id UUID NOT NULL,
+      action VARCHAR(50) NOT NULL,
+      before_image JSONB,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+
+  // Ledgers created before rollback support have no before-images
+  await dataSource.query('ALTER TABLE migration_run_rows ADD COLUMN IF NOT EXISTS before_image JSONB');
+
+  await dataSource.query(
+    'CREATE INDEX IF NOT EXISTS idx_migration_run_rows_run_table ON migration_run_rows (run_id, table_name)'
+  );
+}
+
+/**
+ * Returns the commit the migration scripts are running from
+ * @returns {string|null} Git sha or null outside a git checkout
+ */
+function getGitSha() {
+  try {
+    return execSync('git rev-parse HEAD', { stdio: ['ignore', 'pipe', 'ignore'] }).toString().trim();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Computes a checksum over the extracted JSON files of a snapshot or delta directory
+ * @param {string} sourceDir - Directory holding the extracted files
+ * @returns {string|null} sha256 hex digest or null when the directory is missing
+ */
+function computeSourceChecksum(sourceDir) {
+  if (!sourceDir || !fs.existsSync(sourceDir)) {
+    return null;
+  }
+
+  const hash = crypto.createHash('sha256');
+  const files = fs.readdirSync(sourceDir).filter(file => file.endsWith('.json')).sort();
+
+  for (const file of files) {
+    hash.update(file);
+    hash.update(fs.readFileSync(path.join(sourceDir, file)));
+  }
+
+  return hash.digest('hex');
+}
+
+/**
+ * Migration run ledger class
+ * One instance per script invocation
+ */
+class MigrationRunLedger {
+  /**
+   * @param {DataSource} dataSource - TypeORM DataSource instance
+   */
+  constructor(dataSource) {
+    this.dataSource = dataSource;
+    this.runId = null;
+    this.writer = null;
+    this.tracked = {};
+    this.imagedRows = new Set();
+  }
+
+  /**
+   * Creates the migration_runs row of this invocation
+   * @param {Object} run - { script, options, sourceDir }
+   * @returns {Promise<string>} Run id
+   */
+  async start({ script, options = {}, sourceDir = null }) {
+    await ensureLedgerTables(this.dataSource);
+
+    this.runId = uuidv4();
+    await this.dataSource.query(
+      `INSERT INTO migration_runs (id, parent_run_id, script, status, git_sha, options, source_checksum, started_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [
+        this.runId,
+        process.env[PARENT_RUN_ENV] || null,
+        script,
+        'running',
+        getGitSha(),
+        JSON.stringify(options),
+        computeSourceChecksum(sourceDir),
+        new Date(),
+      ]
+    );
+
+    console.log(`📒 Migration run ${this.runId} started (${script})`);
+    return this.runId;
+  }
+
+  async setTenant(tenantId) {
+    await this.dataSource.query('UPDATE migration_runs SET tenant_id = $1 WHERE id = $2', [tenantId, this.runId]);
+  }
+
+  async recordSourceChecksum(sourceDir) {
+    await this.dataSource.query(
+      'UPDATE migration_runs SET source_checksum = $1 WHERE id = $2',
+      [computeSourceChecksum(sourceDir), this.runId]
+    );
+  }
+
+  /**
+   * Routes the row tags through the given query target (the import transaction)
+   * @param {ImportTransaction|DataSource} db - Query target
+   */
+  attach(db) {
+    this.writer = new BulkWriter(db, 'migration_run_rows');
+  }
+
+  /**
+   * Tags a row written by this run
+   * Only the first before-image of a row is kept - it is the state a rollback restores.
+   * @param {string} table - Table of the row
+   * @param {string} rowId - Row id
+   * @param {string} action - 'inserted' | 'updated' | 'deleted'
+   * @param {Object} beforeImage - Row values before the run changed it (updated/deleted rows)
+   */
+  async track(table, rowId, action = 'inserted', beforeImage = null) {
+    if (!this.writer) {
+      return;
+    }
+
+    if (beforeImage) {
+      const key = `${table}.${rowId}`;
+      if (this.imagedRows.has(key)) {
+        return;
+      }
+      this.imagedRows.add(key);
+    }
+
+    await this.writer.add({
+      id: uuidv4(),
+      run_id: this.runId,
+      table_name: table,
+      row_id: rowId,
+      action,
+      before_image: beforeImage ? JSON.stringify(beforeImage) : null,
+      created_at: new Date(),
+    });
+
+    const key = `${table}.${action}`;
+    this.tracked[key] = (this.tracked[key] || 0) + 1;
+  }
+
+  /**
+   * Tags rows deleted by this run, keeping the full rows for a rollback
+   * @param {string} table - Table the rows were deleted from
+   * @param {Array} rows - Deleted rows (DELETE ... RETURNING *)
+   */
+  async trackDeleted(table, rows) {
+    for (const row of rows) {
+      await this.track(table, row.id, 'deleted', row);
+    }
+  }
+
+  async flush() {
+    if (this.writer) {
+      await this.writer.flush();
+    }
+  }
+
+  /**
+   * Drops queued row tags of a step that was rolled back
+   */
+  discard() {
+    if (!this.writer) {
+      return;
+    }
+
+    for (const row of this.writer.rows) {
+      this.tracked[`${row.table_name}.${row.action}`]--;
+    }
+    this.writer.discard();
+  }
+
+  /**
+   * Marks the run as finished
+   * @param {string} status - 'completed' | 'failed'
+   * @param {Error} error - Failure reason
+   */
+  async finish(status, error = null) {
+    if (!this.runId) {
+      return;
+    }
+
+    await this.dataSource.query(
+      'UPDATE migration_runs SET status = $1, error = $2, finished_at = $3 WHERE id = $4',
+      [status, error ? error.message : null, new Date(), this.runId]
+    );
+
+    console.log(`📒 Migration run ${this.runId} ${status}`);
+  }
+
+  printSummary() {
+    const entries = Object.entries(this.tracked);
+    if (entries.length === 0) {
+      return;
+    }
+
+    console.log(`\n📒 Rows tagged with run ${this.runId}:`);
+    for (const [key, count] of entries) {
+      console.log(`  ${key}: ${count}`);
+    }
+  }
+}
+
+module.exports = {
+  MigrationRunLedger,
+  ensureLedgerTables,
+  computeSourceChecksum,
+  getGitSha,
+  PARENT_RUN_ENV,
+  TABLE_DELETE_ORDER
+};
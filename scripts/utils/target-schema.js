@@ -0,0 +1,287 @@
+/**
+ * Target Schema Extensions
+ *
+ * Tables and columns the imports write to that the Veritas schema does not
+ * provide (yet). Like the legacy_id columns of add-legacy-id-columns.js they
+ * are created idempotently, right before an import needs them.
+ */
+
+/**
+ * Checks whether a table exists in the target database
+ * @param {DataSource} db - Query target
+ * @param {string} table - Table name
+ * @returns {Promise<boolean>} True if the table exists
+ */
+async function tableExists(db, table) {
+  const rows = await db.query(
+    `SELECT 1 FROM information_schema.tables WHERE table_schema = 'public' AND table_name = $1`,
+    [table]
+  );
+  return rows.length > 0;
+}
+
+/**
+ * Creates the locker tables and links cases to their locker
+ * - lockers: legacy Lockers (number, rate, inventory control, custom flag, owning customer)
+ * - locker_rentals: legacy LockerHistory (who rented a locker, when and at which rate)
+ * @param {DataSource} db - Query target
+ */
+async function ensureLockerSchema(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS lockers (
+      id UUID PRIMARY KEY,
+      tenant_id UUID NOT NULL REFERENCES tenants(id),
+      customer_id UUID REFERENCES users(id),
+      number VARCHAR(255),
+      rate NUMERIC(12, 2),
+      inventory_control BOOLEAN NOT NULL DEFAULT false,
+      is_custom BOOLEAN NOT NULL DEFAULT false,
+      active BOOLEAN NOT NULL DEFAULT true,
+      legacy_id VARCHAR(255),
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      deleted_at TIMESTAMPTZ
+    )
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS locker_rentals (
+      id UUID PRIMARY KEY,
+      tenant_id UUID NOT NULL REFERENCES tenants(id),
+      locker_id UUID NOT NULL REFERENCES lockers(id) ON DELETE CASCADE,
+      customer_id UUID REFERENCES users(id),
+      rate NUMERIC(12, 2),
+      inventory_control BOOLEAN NOT NULL DEFAULT false,
+      started_at TIMESTAMPTZ,
+      ended_at TIMESTAMPTZ,
+      legacy_id VARCHAR(255),
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      deleted_at TIMESTAMPTZ
+    )
+  `);
+
+  await db.query('CREATE INDEX IF NOT EXISTS idx_lockers_legacy_id ON lockers (legacy_id)');
+  await db.query('CREATE INDEX IF NOT EXISTS idx_locker_rentals_legacy_id ON locker_rentals (legacy_id)');
+  await db.query('CREATE INDEX IF NOT EXISTS idx_locker_rentals_locker_id ON locker_rentals (locker_id)');
+
+  await db.query('ALTER TABLE cases ADD COLUMN IF NOT EXISTS locker_id UUID REFERENCES lockers(id) ON DELETE SET NULL');
+}
+
+/**
+ * Adds the billing period columns derived from LockerHistory
+ * - cases.monthly_rate (billing dates already exist on cases)
+ * - lockers.billing_start_date, billing_end_date and monthly_rate
+ * @param {DataSource} db - Query target
+ */
+async function ensureBillingSchema(db) {
+  await db.query('ALTER TABLE cases ADD COLUMN IF NOT EXISTS monthly_rate NUMERIC(12, 2)');
+  await db.query('ALTER TABLE lockers ADD COLUMN IF NOT EXISTS billing_start_date TIMESTAMPTZ');
+  await db.query('ALTER TABLE lockers ADD COLUMN IF NOT EXISTS billing_end_date TIMESTAMPTZ');
+  await db.query('ALTER TABLE lockers ADD COLUMN IF NOT EXISTS monthly_rate NUMERIC(12, 2)');
+}
+
+/**
+ * Loads the columns of a target table
+ * @param {DataSource} db - Query target
+ * @param {string} table - Table name
+ * @returns {Promise<Map<string, Object>>} { nullable, hasDefault } by column name
+ */
+async function getTableColumns(db, table) {
+  const rows = await db.query(
+    `SELECT column_name, is_nullable, column_default
+     FROM information_schema.columns
+     WHERE table_schema = 'public' AND table_name = $1`,
+    [table]
+  );
+
+  return new Map(rows.map(row => [
+    row.column_name,
+    { nullable: row.is_nullable === 'YES', hasDefault: row.column_default !== null }
+  ]));
+}
+
+/**
+ * Creates the invoice tables unless the application already provides them
+ * - invoices: legacy Invoices (customer, bill-to address, dates, totals)
+ * - invoice_items: legacy InvoiceDetails (movement and item type, quantity, price, activity)
+ * An existing invoices table only gets its legacy_id column, the import writes
+ * the columns it has (see getTableColumns).
+ * @param {DataSource} db - Query target
+ */
+async function ensureInvoiceSchema(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS invoices (
+      id UUID PRIMARY KEY,
+      tenant_id UUID NOT NULL REFERENCES tenants(id),
+      customer_id UUID REFERENCES users(id),
+      operation_group_id UUID REFERENCES operations_groups(id) ON DELETE SET NULL,
+      number VARCHAR(255),
+      status VARCHAR(50),
+      bill_to_name VARCHAR(255),
+      bill_to_address_line_1 VARCHAR(255),
+      bill_to_address_line_2 VARCHAR(255),
+      bill_to_city VARCHAR(255),
+      bill_to_state VARCHAR(255),
+      bill_to_postal_code VARCHAR(50),
+      invoice_date TIMESTAMPTZ,
+      due_date TIMESTAMPTZ,
+      total NUMERIC(12, 2) NOT NULL DEFAULT 0,
+      legacy_id VARCHAR(255),
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      deleted_at TIMESTAMPTZ
+    )
+  `);
+  await db.query('ALTER TABLE invoices ADD COLUMN IF NOT EXISTS legacy_id VARCHAR(255)');
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS invoice_items (
+      id UUID PRIMARY KEY,
+      tenant_id UUID NOT NULL REFERENCES tenants(id),
+      invoice_id UUID NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+      operation_group_id UUID REFERENCES operations_groups(id) ON DELETE SET NULL,
+      movement_type VARCHAR(255),
+      item_type VARCHAR(255),
+      description TEXT,
+      item_date TIMESTAMPTZ,
+      quantity INTEGER,
+      price NUMERIC(12, 2),
+      total_price NUMERIC(12, 2),
+      legacy_id VARCHAR(255),
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      deleted_at TIMESTAMPTZ
+    )
+  `);
+
+  await db.query('CREATE INDEX IF NOT EXISTS idx_invoices_legacy_id ON invoices (legacy_id)');
+  await db.query('CREATE INDEX IF NOT EXISTS idx_invoice_items_legacy_id ON invoice_items (legacy_id)');
+  await db.query('CREATE INDEX IF NOT EXISTS idx_invoice_items_invoice_id ON invoice_items (invoice_id)');
+}
+
+/**
+ * Creates the customer pricing table
+ * - customer_pricing: legacy Accounts pricing (NormalPrice and the BreakVolume/BreakPrice
+ *   pairs), one row per customer. volume_breaks holds the breakpoints as
+ *   [{ min_volume, price }] ordered by min_volume.
+ * @param {DataSource} db - Query target
+ */
+async function ensurePricingSchema(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS customer_pricing (
+      id UUID PRIMARY KEY,
+      tenant_id UUID NOT NULL REFERENCES tenants(id),
+      customer_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      normal_price NUMERIC(12, 2),
+      volume_breaks JSONB NOT NULL DEFAULT '[]',
+      legacy_id VARCHAR(255),
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      deleted_at TIMESTAMPTZ
+    )
+  `);
+
+  await db.query('CREATE INDEX IF NOT EXISTS idx_customer_pricing_legacy_id ON customer_pricing (legacy_id)');
+  await db.query('CREATE INDEX IF NOT EXISTS idx_customer_pricing_customer_id ON customer_pricing (customer_id)');
+}
+
+/**
+ * Creates the customer contacts table
+ * - customer_contacts: legacy Contacts, the other people on a customer's account
+ *   (who may pick up wine for it), with their phones from ContactPhones
+ * @param {DataSource} db - Query target
+ */
+async function ensureContactSchema(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS customer_contacts (
+      id UUID PRIMARY KEY,
+      tenant_id UUID NOT NULL REFERENCES tenants(id),
+      customer_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      title VARCHAR(255),
+      first_name VARCHAR(255),
+      last_name VARCHAR(255),
+      email VARCHAR(255),
+      phones JSONB NOT NULL DEFAULT '[]',
+      contact_type VARCHAR(255),
+      preferred BOOLEAN NOT NULL DEFAULT false,
+      legacy_id VARCHAR(255),
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      deleted_at TIMESTAMPTZ
+    )
+  `);
+
+  await db.query('CREATE INDEX IF NOT EXISTS idx_customer_contacts_legacy_id ON customer_contacts (legacy_id)');
+  await db.query('CREATE INDEX IF NOT EXISTS idx_customer_contacts_customer_id ON customer_contacts (customer_id)');
+}
+
+/**
+ * Creates the user audit trail and the last login column
+ * - user_audit_logs: legacy access history of a user - logins from UserLogs
+ *   (with IP address and user agent) and owinuserloginhistory, and the usernames
+ *   of UserNameHistory; source names the legacy table of the entry
+ * - users.last_login_at: the user's last known login
+ * @param {DataSource} db - Query target
+ */
+async function ensureAuditSchema(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS user_audit_logs (
+      id UUID PRIMARY KEY,
+      tenant_id UUID NOT NULL REFERENCES tenants(id),
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      event VARCHAR(50) NOT NULL,
+      occurred_at TIMESTAMPTZ NOT NULL,
+      ip_address VARCHAR(255),
+      user_agent TEXT,
+      details JSONB NOT NULL DEFAULT '{}',
+      source VARCHAR(255) NOT NULL,
+      legacy_id VARCHAR(255),
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+
+  await db.query('CREATE INDEX IF NOT EXISTS idx_user_audit_logs_legacy_id ON user_audit_logs (legacy_id)');
+  await db.query('CREATE INDEX IF NOT EXISTS idx_user_audit_logs_user_id ON user_audit_logs (user_id, occurred_at)');
+
+  await db.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS last_login_at TIMESTAMPTZ');
+}
+
+/**
+ * Creates the legacy user aliases table
+ * - legacy_user_aliases: legacy accounts and users merged into another user by a
+ *   duplicate decision (see scripts/utils/duplicate-resolution.js). legacy_user_id
+ *   is the key the merged record would have had in users.legacy_user_id, legacy_id
+ *   the record key ("account:<AccountID>" or "user:<UserID>").
+ * @param {DataSource} db - Query target
+ */
+async function ensureUserAliasSchema(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS legacy_user_aliases (
+      id UUID PRIMARY KEY,
+      tenant_id UUID NOT NULL REFERENCES tenants(id),
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      legacy_user_id VARCHAR(255) NOT NULL,
+      reason TEXT,
+      legacy_id VARCHAR(255),
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      deleted_at TIMESTAMPTZ
+    )
+  `);
+
+  await db.query('CREATE INDEX IF NOT EXISTS idx_legacy_user_aliases_legacy_id ON legacy_user_aliases (legacy_id)');
+  await db.query('CREATE INDEX IF NOT EXISTS idx_legacy_user_aliases_legacy_user_id ON legacy_user_aliases (tenant_id, legacy_user_id)');
+}
+
+module.exports = {
+  tableExists,
+  getTableColumns,
+  ensureLockerSchema,
+  ensureBillingSchema,
+  ensureInvoiceSchema,
+  ensurePricingSchema,
+  ensureContactSchema,
+  ensureAuditSchema,
+  ensureUserAliasSchema
+};
@@ -8,6 +8,9 @@
 
 const { v4: uuidv4 } = require('uuid');
 
+// Tenant the import scripts write to
+const DEFAULT_TENANT_NAME = 'Veritas002';
+
 /**
  * Creates or retrieves the default tenant for the migration
  * @param {DataSource} dataSource - TypeORM DataSource instance
@@ -15,7 +18,7 @@ const { v4: uuidv4 } = require('uuid');
  * @param {string} documentNumber - Document number for the tenant (default: 'VERITAS-001')
  * @returns {Promise<string>} The tenant ID
  */
-async function createDefaultTenant(dataSource, tenantName = 'Veritas002', documentNumber = 'VERITAS-002') {
+async function createDefaultTenant(dataSource, tenantName = DEFAULT_TENANT_NAME, documentNumber = 'VERITAS-002') {
   console.log(`🏢 Creating/retrieving default tenant: ${tenantName}...`);
 
   try {
@@ -83,6 +86,7 @@ async function listTenants(dataSource) {
 }
 
 module.exports = {
+  DEFAULT_TENANT_NAME,
   createDefaultTenant,
   getTenantByName,
   listTenants
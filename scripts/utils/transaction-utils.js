@@ -0,0 +1,250 @@
+/**
+ * Transaction Utilities
+ *
+ * Runs the steps of an import script inside PostgreSQL transactions so a
+ * failure never leaves half-imported data behind.
+ *
+ * - Default mode: every step runs in its own transaction. A failing step is
+ *   rolled back completely; the steps before it stay committed.
+ * - Atomic mode (--atomic): the whole run is a single transaction and every
+ *   step is a savepoint inside it. Any failure rolls back the entire run, so
+ *   the target database is left exactly as it was.
+ *
+ * When a migration run ledger is attached, its row tags are flushed inside
+ * every step so they commit or roll back together with the tagged rows.
+ *
+ * Steps can be given a key and selected with --steps=<key,key>, which lets
+ * full-migration.js run (and resume) an import one sub-step at a time.
+ */
+
+/**
+ * Import transaction class
+ * Exposes query(sql, params) like a DataSource so seeders can use it directly
+ */
+class ImportTransaction {
+  /**
+   * @param {DataSource} dataSource - Initialized TypeORM DataSource
+   * @param {Object} options - { atomic, ledger, steps } - atomic runs the whole import in one transaction;
+   *   ledger (MigrationRunLedger) tags the rows written by the run; steps (Array of step keys) restricts
+   *   the run to the selected keyed steps
+   */
+  constructor(dataSource, options = {}) {
+    this.dataSource = dataSource;
+    this.atomic = Boolean(options.atomic);
+    this.ledger = options.ledger || null;
+    this.selectedSteps = options.steps ? new Set(options.steps) : null;
+    this.queryRunner = null;
+    this.steps = [];
+    this.savepointCounter = 0;
+  }
+
+  async start() {
+    this.queryRunner = this.dataSource.createQueryRunner();
+    await this.queryRunner.connect();
+
+    if (this.ledger) {
+      this.ledger.attach(this);
+    }
+
+    if (this.atomic) {
+      await this.queryRunner.startTransaction();
+      console.log('🔒 Atomic mode - the whole import runs in a single transaction');
+    }
+  }
+
+  /**
+   * Executes a query on the transaction's connection
+   * @param {string} sql - SQL statement
+   * @param {Array} params - Statement parameters
+   * @returns {Promise<*>} Raw query result (same shape as DataSource.query)
+   */
+  query(sql, params = []) {
+    if (!this.queryRunner) {
+      throw new Error('Import transaction has not been started');
+    }
+    return this.queryRunner.query(sql, params);
+  }
+
+  /**
+   * Returns the underlying pg client of the transaction (used for COPY streams)
+   * @returns {Promise<Object>} pg client
+   */
+  getClient() {
+    if (!this.queryRunner) {
+      throw new Error('Import transaction has not been started');
+    }
+    return this.queryRunner.connect();
+  }
+
+  /**
+   * Checks whether a keyed step is part of this run
+   * Steps without a key (default tenant, clearing) always run.
+   * @param {string|null} key - Step key
+   * @returns {boolean} True if the step runs
+   */
+  isSelected(key) {
+    return !key || !this.selectedSteps || this.selectedSteps.has(key);
+  }
+
+  /**
+   * Runs one import step in its own transaction (or savepoint in atomic mode)
+   * @param {string} name - Step name used in the report
+   * @param {Function} fn - Async step body
+   * @param {string} key - Step key used by --steps (optional)
+   * @returns {Promise<*>} Step result (undefined when the step is not selected)
+   * @throws {Error} The step error, after its changes were rolled back
+   */
+  async runStep(name, fn, key = null) {
+    if (!this.isSelected(key)) {
+      this.steps.push({ name, status: 'skipped', error: null, duration: 0 });
+      return undefined;
+    }
+
+    const step = { name, status: 'running', error: null, duration: 0 };
+    const savepoint = `step_${this.steps.length + 1}`;
+    const startTime = Date.now();
+    this.steps.push(step);
+
+    if (this.atomic) {
+      await this.queryRunner.query(`SAVEPOINT ${savepoint}`);
+    } else {
+      await this.queryRunner.startTransaction();
+    }
+
+    try {
+      const result = await fn();
+
+      if (this.ledger) {
+        await this.ledger.flush();
+      }
+
+      if (this.atomic) {
+        await this.queryRunner.query(`RELEASE SAVEPOINT ${savepoint}`);
+        step.status = 'completed';
+      } else {
+        await this.queryRunner.commitTransaction();
+        step.status = 'committed';
+      }
+
+      step.duration = Date.now() - startTime;
+      return result;
+    } catch (error) {
+      if (this.atomic) {
+        await this.queryRunner.query(`ROLLBACK TO SAVEPOINT ${savepoint}`);
+      } else {
+        await this.queryRunner.rollbackTransaction();
+      }
+
+      if (this.ledger) {
+        this.ledger.discard();
+      }
+
+      step.status = 'failed';
+      step.error = error.message;
+      step.duration = Date.now() - startTime;
+      throw error;
+    }
+  }
+
+  /**
+   * Runs a unit of work that is allowed to fail without aborting the step
+   * PostgreSQL aborts the whole transaction on any error, so row-level
+   * error handling needs a savepoint around the statements.
+   * @param {Function} fn - Async unit of work
+   * @returns {Promise<*>} Result of fn
+   * @throws {Error} The error of fn, after its changes were rolled back
+   */
+  async attempt(fn) {
+    if (!this.queryRunner || !this.queryRunner.isTransactionActive) {
+      return fn();
+    }
+
+    const savepoint = `attempt_${++this.savepointCounter}`;
+    await this.queryRunner.query(`SAVEPOINT ${savepoint}`);
+
+    try {
+      const result = await fn();
+      await this.queryRunner.query(`RELEASE SAVEPOINT ${savepoint}`);
+      return result;
+    } catch (error) {
+      await this.queryRunner.query(`ROLLBACK TO SAVEPOINT ${savepoint}`);
+      throw error;
+    }
+  }
+
+  async commit() {
+    if (this.atomic && this.queryRunner.isTransactionActive) {
+      await this.queryRunner.commitTransaction();
+      this.steps.filter(step => step.status === 'completed').forEach(step => {
+        step.status = 'committed';
+      });
+    }
+  }
+
+  async rollback() {
+    if (!this.queryRunner || !this.queryRunner.isTransactionActive) {
+      return;
+    }
+
+    await this.queryRunner.rollbackTransaction();
+    if (this.ledger) {
+      this.ledger.discard();
+    }
+    this.steps.filter(step => step.status === 'completed').forEach(step => {
+      step.status = 'rolled back';
+    });
+  }
+
+  async release() {
+    if (this.queryRunner && !this.queryRunner.isReleased) {
+      await this.queryRunner.release();
+    }
+  }
+
+  printReport() {
+    const icons = { committed: '✅', 'rolled back': '↩️', failed: '❌', completed: '⏳', running: '⏳', skipped: '⏭️' };
+    const failedStep = this.steps.find(step => step.status === 'failed');
+
+    console.log('\n📋 Transaction Report:');
+    console.log('======================');
+    console.log(`Mode: ${this.atomic ? 'atomic (single transaction)' : 'per-step transactions'}`);
+
+    for (const step of this.steps) {
+      console.log(`  ${icons[step.status] || '•'} ${step.name}: ${step.status} (${step.duration}ms)`);
+      if (step.error) {
+        console.log(`     Error: ${step.error}`);
+      }
+    }
+
+    if (!failedStep) {
+      return;
+    }
+
+    if (this.atomic) {
+      console.log('\n↩️ The whole run was rolled back - the target database is unchanged');
+    } else {
+      const committed = this.steps.filter(step => step.status === 'committed').length;
+      console.log(`\n↩️ Step "${failedStep.name}" was rolled back; ${committed} earlier step(s) remain committed`);
+      console.log('💡 Re-run with --upsert to continue on top of them, or with --atomic for all-or-nothing imports');
+    }
+  }
+}
+
+/**
+ * Helper function to parse the selected step keys from command line arguments
+ * @param {Array} argv - Command line arguments (default: process.argv)
+ * @returns {Array<string>|null} Selected step keys or null to run every step
+ */
+function parseStepSelection(argv = process.argv) {
+  const stepsArg = argv.find(arg => arg.startsWith('--steps='));
+  if (!stepsArg) {
+    return null;
+  }
+
+  return stepsArg.split('=')[1].split(',').map(step => step.trim()).filter(Boolean);
+}
+
+module.exports = {
+  ImportTransaction,
+  parseStepSelection
+};
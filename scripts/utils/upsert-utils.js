@@ -0,0 +1,304 @@
+/**
+ * Upsert Utilities
+ *
+ * Shared idempotent write helpers for the import scripts. Rows are matched on
+ * (tenant_id, legacy key column) so re-running an import updates changed
+ * rows, inserts new ones and can soft-delete rows that disappeared from the
+ * legacy source - without wiping the tenant first and without duplicates.
+ *
+ * The soft-delete pass refuses to run on an empty key list or on source files
+ * that are missing or whose extraction failed: both look like a source without
+ * rows and would soft-delete every row of the tenant.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadExtractionStatus } = require('./legacy-data-extractor');
+
+// Columns never compared or overwritten when a row already exists
+const IMMUTABLE_COLUMNS = ['id', 'tenant_id', 'created_at', 'updated_at'];
+
+/**
+ * Normalizes a column value so database and payload values compare equal
+ * @param {*} value - Value read from the database or built for insertion
+ * @returns {string|null} Comparable representation
+ */
+function normalizeValue(value) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+
+  if (typeof value === 'string' && /^[[{]/.test(value.trim())) {
+    // JSON payloads are sent as strings but jsonb columns come back parsed
+    try {
+      return stableStringify(JSON.parse(value));
+    } catch (error) {
+      return value;
+    }
+  }
+
+  if (typeof value === 'object') return stableStringify(value);
+  return String(value);
+}
+
+/**
+ * JSON.stringify with sorted object keys (jsonb does not keep key order)
+ * @param {*} value - Value to serialize
+ * @returns {string} Serialized value
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Loads the keys of the rows a table already holds for a tenant
+ * Insert-only imports skip these keys so re-running a step does not write
+ * duplicates. Rows without a legacy_id (created in the new system) are ignored
+ * when legacy_id is one of the key columns.
+ * @param {DataSource|QueryRunner} db - Anything exposing query(sql, params)
+ * @param {string} table - Target table
+ * @param {string} tenantId - Tenant the rows belong to
+ * @param {Array<string>} columns - Key columns, joined with "|" for composite keys
+ * @returns {Promise<Set<string>>} Existing keys
+ */
+async function loadExistingKeys(db, table, tenantId, columns = ['legacy_id']) {
+  const rows = await db.query(
+    `SELECT ${columns.join(', ')} FROM ${table}
+     WHERE tenant_id = $1 ${columns.includes('legacy_id') ? 'AND legacy_id IS NOT NULL' : ''}`,
+    [tenantId]
+  );
+  return new Set(rows.map(row => columns.map(column => row[column]).join('|')));
+}
+
+/**
+ * Upsert helper class
+ * Caches existing rows per table and tracks which legacy keys were seen
+ */
+class LegacyUpserter {
+  /**
+   * @param {DataSource|QueryRunner} dataSource - Anything exposing query(sql, params)
+   * @param {string} tenantId - Tenant the rows belong to
+   * @param {Object} options - { ledger, sourceDir } - MigrationRunLedger tagging inserted/updated rows;
+   *   extracted data directory the soft-delete keys are read from
+   */
+  constructor(dataSource, tenantId, options = {}) {
+    this.dataSource = dataSource;
+    this.tenantId = tenantId;
+    this.ledger = options.ledger || null;
+    this.sourceDir = options.sourceDir || path.join(process.cwd(), 'extracted-data');
+    this.existingRows = new Map();
+    this.seenKeys = new Map();
+    this.stats = {};
+  }
+
+  /**
+   * Loads (once) every tenant row of a table that carries a legacy key
+   * @param {string} table - Target table
+   * @param {string} keyColumn - Legacy key column (legacy_id, legacy_user_id)
+   * @returns {Promise<Map<string, Object>>} Existing rows keyed by legacy key
+   */
+  async loadExisting(table, keyColumn = 'legacy_id') {
+    const cacheKey = `${table}.${keyColumn}`;
+
+    if (!this.existingRows.has(cacheKey)) {
+      const rows = await this.dataSource.query(
+        `SELECT * FROM ${table} WHERE tenant_id = $1 AND ${keyColumn} IS NOT NULL`,
+        [this.tenantId]
+      );
+      this.existingRows.set(cacheKey, new Map(rows.map(row => [String(row[keyColumn]), row])));
+    }
+
+    return this.existingRows.get(cacheKey);
+  }
+
+  /**
+   * Returns the existing row for a legacy key, if any
+   * @param {string} table - Target table
+   * @param {string|number} legacyKey - Legacy key value
+   * @param {string} keyColumn - Legacy key column
+   * @returns {Promise<Object|undefined>} Existing row
+   */
+  async findExisting(table, legacyKey, keyColumn = 'legacy_id') {
+    const existingRows = await this.loadExisting(table, keyColumn);
+    return existingRows.get(String(legacyKey));
+  }
+
+  /**
+   * Inserts the row or updates the columns that changed
+   * @param {string} table - Target table
+   * @param {Object} payload - Full row to write (payload.id is used on insert only)
+   * @param {Object} options - { keyColumn, insertOnlyColumns } where insertOnlyColumns are never overwritten
+   * @returns {Promise<{id: string, action: string}>} Row id and 'inserted' | 'updated' | 'unchanged'
+   */
+  async upsert(table, payload, options = {}) {
+    const { keyColumn = 'legacy_id', insertOnlyColumns = [] } = options;
+
+    if (payload[keyColumn] === null || payload[keyColumn] === undefined) {
+      throw new Error(`Cannot upsert into ${table} without a ${keyColumn} value`);
+    }
+
+    const legacyKey = String(payload[keyColumn]);
+    const existingRows = await this.loadExisting(table, keyColumn);
+    const existing = existingRows.get(legacyKey);
+    const stats = this.getStats(table);
+
+    this.markSeen(table, keyColumn, legacyKey);
+
+    if (!existing) {
+      const columns = Object.keys(payload);
+      const placeholders = columns.map((_, index) => `$${index + 1}`).join(', ');
+
+      await this.dataSource.query(
+        `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${placeholders})`,
+        Object.values(payload)
+      );
+
+      existingRows.set(legacyKey, { ...payload });
+      await this.track(table, payload.id, 'inserted');
+      stats.inserted++;
+      return { id: payload.id, action: 'inserted' };
+    }
+
+    const skipColumns = new Set([...IMMUTABLE_COLUMNS, keyColumn, ...insertOnlyColumns]);
+    const changedColumns = Object.keys(payload).filter(
+      column => !skipColumns.has(column) && normalizeValue(existing[column]) !== normalizeValue(payload[column])
+    );
+
+    if (changedColumns.length === 0) {
+      stats.unchanged++;
+      return { id: existing.id, action: 'unchanged' };
+    }
+
+    const beforeImage = { ...existing };
+    const updates = {};
+    for (const column of changedColumns) {
+      updates[column] = payload[column];
+    }
+    updates.updated_at = payload.updated_at || new Date();
+
+    const assignments = Object.keys(updates).map((column, index) => `${column} = $${index + 1}`);
+    await this.dataSource.query(
+      `UPDATE ${table} SET ${assignments.join(', ')} WHERE id = $${assignments.length + 1}`,
+      [...Object.values(updates), existing.id]
+    );
+
+    Object.assign(existing, updates);
+    await this.track(table, existing.id, 'updated', beforeImage);
+    stats.updated++;
+    return { id: existing.id, action: 'updated' };
+  }
+
+  /**
+   * Soft-deletes tenant rows whose legacy key was not seen during this run
+   * Importers pass the keys of the extracted data rather than relying on the rows this run wrote:
+   * keys come from the extracted data, the tables may have been written by an earlier --steps run.
+   * @param {string} table - Target table (must have a deleted_at column)
+   * @param {Object} options - { keyColumn, where, keys, sources } where is an extra SQL filter protecting rows
+   *   from deletion; keys (legacy keys present in the source) are added to the keys seen during this run;
+   *   sources lists the extracted files (without extension) the keys come from
+   * @returns {Promise<number>} Number of rows soft-deleted
+   */
+  async softDeleteMissing(table, options = {}) {
+    const { keyColumn = 'legacy_id', where = null, keys = null, sources = [] } = options;
+    const seenKeys = keys
+      ? [...new Set([...keys].map(String)), ...(this.seenKeys.get(`${table}.${keyColumn}`) || [])]
+      : [...(this.seenKeys.get(`${table}.${keyColumn}`) || [])];
+    const candidates = `
+      SELECT id, updated_at FROM ${table}
+      WHERE tenant_id = $1
+        AND ${keyColumn} IS NOT NULL
+        AND deleted_at IS NULL
+        ${where ? `AND (${where})` : ''}`;
+
+    const unusableSources = this.getUnusableSources(sources);
+    if (unusableSources.length > 0 || seenKeys.length === 0) {
+      const [{ count }] = await this.dataSource.query(`SELECT COUNT(*) AS count FROM (${candidates}) AS candidates`, [this.tenantId]);
+      const reason = unusableSources.length > 0 ? unusableSources.join(', ') : 'no legacy keys in the source';
+      if (parseInt(count, 10) > 0) {
+        console.warn(`⚠️ ${table}: not soft-deleting ${count} rows - ${reason}`);
+      }
+      return 0;
+    }
+
+    // The CTE returns the previous updated_at so the run ledger can restore the rows
+    const result = await this.dataSource.query(
+      `WITH missing AS (
+         ${candidates}
+           AND NOT (${keyColumn} = ANY($2))
+       )
+       UPDATE ${table} SET deleted_at = NOW(), updated_at = NOW()
+       FROM missing
+       WHERE ${table}.id = missing.id
+       RETURNING ${table}.id, missing.updated_at AS previous_updated_at`,
+      [this.tenantId, seenKeys]
+    );
+
+    const softDeleted = result[1] || 0; // PostgreSQL returns [result, affectedRows]
+    for (const row of result[0] || []) {
+      await this.track(table, row.id, 'updated', { deleted_at: null, updated_at: row.previous_updated_at });
+    }
+    this.getStats(table).softDeleted += softDeleted;
+
+    if (softDeleted > 0) {
+      console.log(`🗑️ ${table}: ${softDeleted} rows missing from the source soft-deleted`);
+    }
+
+    return softDeleted;
+  }
+
+  /**
+   * Lists the source files a soft-delete pass cannot trust
+   * @param {Array<string>} sources - Extracted file names without extension
+   * @returns {Array<string>} "<file> missing" or "<file> extraction failed" entries
+   */
+  getUnusableSources(sources) {
+    const status = sources.length > 0 ? loadExtractionStatus(this.sourceDir) : {};
+
+    return sources.flatMap(source => {
+      if (!fs.existsSync(path.join(this.sourceDir, `${source}.json`))) {
+        return [`${source}.json missing`];
+      }
+      return status[source] && status[source].status === 'failed' ? [`${source}.json extraction failed`] : [];
+    });
+  }
+
+  async track(table, rowId, action, beforeImage = null) {
+    if (this.ledger) {
+      await this.ledger.track(table, rowId, action, beforeImage);
+    }
+  }
+
+  markSeen(table, keyColumn, legacyKey) {
+    const cacheKey = `${table}.${keyColumn}`;
+    if (!this.seenKeys.has(cacheKey)) this.seenKeys.set(cacheKey, new Set());
+    this.seenKeys.get(cacheKey).add(legacyKey);
+  }
+
+  getStats(table) {
+    if (!this.stats[table]) {
+      this.stats[table] = { inserted: 0, updated: 0, unchanged: 0, softDeleted: 0 };
+    }
+    return this.stats[table];
+  }
+
+  printSummary() {
+    console.log('\n📋 Upsert Summary:');
+    console.log('==================');
+    for (const [table, stats] of Object.entries(this.stats)) {
+      console.log(
+        `  ${table}: ${stats.inserted} inserted, ${stats.updated} updated, ${stats.unchanged} unchanged, ${stats.softDeleted} soft-deleted`
+      );
+    }
+  }
+}
+
+module.exports = {
+  LegacyUpserter,
+  loadExistingKeys,
+  normalizeValue
+};
@@ -0,0 +1,128 @@
+/**
+ * User Keys
+ *
+ * The user import writes two kinds of legacy records to the users table:
+ * customers, one per active account, and Staff Manager users. AccountID and
+ * UserID are separate sequences, so users.legacy_user_id namespaces them as
+ * "account:<AccountID>" and "user:<UserID>" - the record keys of the duplicate
+ * decisions file (see scripts/utils/duplicate-resolution.js). Every lookup of
+ * an imported user goes through these helpers.
+ */
+
+const { tableExists } = require('./target-schema');
+
+const USER_KEY_TYPES = ['account', 'user'];
+
+/**
+ * Builds the users.legacy_user_id of a legacy record
+ * @param {string} type - 'account' (customer) or 'user' (manager)
+ * @param {number|string} legacyId - AccountID or UserID
+ * @returns {string} User key
+ */
+function getUserKey(type, legacyId) {
+  if (!USER_KEY_TYPES.includes(type)) {
+    throw new Error(`Unknown user key type: ${type}`);
+  }
+  return `${type}:${legacyId}`;
+}
+
+/**
+ * Splits a user key
+ * @param {string} key - User key
+ * @returns {Object|null} { type, legacyId }, or null when the value is not a user key
+ */
+function parseUserKey(key) {
+  const match = /^(account|user):(.+)$/.exec(String(key));
+  return match ? { type: match[1], legacyId: match[2] } : null;
+}
+
+/**
+ * Loads the users of a tenant of one key type by their legacy id
+ * Includes the legacy ids merged into another user (legacy_user_aliases), so
+ * rows of a merged account go to the user it was merged into. Soft-deleted
+ * users are left out, nothing is attached to them - neither directly nor
+ * through an alias.
+ * @param {DataSource} db - Query target
+ * @param {string} tenantId - Tenant id
+ * @param {string} type - 'account' for customers by AccountID, 'user' for managers by UserID
+ * @returns {Promise<Map<string, string>>} User ids by legacy id
+ */
+async function loadLegacyUserIds(db, tenantId, type = 'account') {
+  const users = await db.query(
+    'SELECT id, legacy_user_id FROM users WHERE tenant_id = $1 AND legacy_user_id IS NOT NULL AND deleted_at IS NULL',
+    [tenantId]
+  );
+  const userIds = new Map();
+  let unkeyed = 0;
+
+  for (const user of users) {
+    const key = parseUserKey(user.legacy_user_id);
+    if (!key) {
+      unkeyed++;
+    } else if (key.type === type) {
+      userIds.set(key.legacyId, user.id);
+    }
+  }
+
+  if (unkeyed > 0) {
+    console.warn(`⚠️ ${unkeyed} users have a legacy_user_id without an account:/user: prefix - run the user import to convert them`);
+  }
+
+  if (await tableExists(db, 'legacy_user_aliases')) {
+    const aliases = await db.query(
+      `SELECT a.user_id, a.legacy_user_id
+       FROM legacy_user_aliases a
+       JOIN users u ON u.id = a.user_id
+       WHERE a.tenant_id = $1 AND a.deleted_at IS NULL AND u.deleted_at IS NULL`,
+      [tenantId]
+    );
+    for (const alias of aliases) {
+      const key = parseUserKey(alias.legacy_user_id);
+      if (key && key.type === type && !userIds.has(key.legacyId)) {
+        userIds.set(key.legacyId, alias.user_id);
+      }
+    }
+  }
+
+  return userIds;
+}
+
+/**
+ * Converts the legacy_user_id values written before the keys were namespaced
+ * Customers stored their AccountID and managers their UserID, so the role
+ * tells which one a bare id is. Rows already converted are left alone.
+ * @param {DataSource} db - Query target
+ * @param {string} tenantId - Tenant id
+ * @returns {Promise<number>} Number of users converted
+ */
+async function migrateLegacyUserKeys(db, tenantId) {
+  const result = await db.query(
+    `UPDATE users
+     SET legacy_user_id = CASE WHEN 'customer' = ANY(roles) THEN 'account:' ELSE 'user:' END || legacy_user_id
+     WHERE tenant_id = $1 AND legacy_user_id IS NOT NULL AND legacy_user_id !~ '^(account|user):'`,
+    [tenantId]
+  );
+  const converted = result[1] || 0; // PostgreSQL returns [result, affectedRows]
+
+  if (await tableExists(db, 'legacy_user_aliases')) {
+    // legacy_id already holds the record key of the merged record
+    await db.query(
+      `UPDATE legacy_user_aliases SET legacy_user_id = legacy_id
+       WHERE tenant_id = $1 AND legacy_id IS NOT NULL AND legacy_user_id !~ '^(account|user):'`,
+      [tenantId]
+    );
+  }
+
+  if (converted > 0) {
+    console.log(`🔑 Converted ${converted} users to account:/user: legacy keys`);
+  }
+
+  return converted;
+}
+
+module.exports = {
+  getUserKey,
+  parseUserKey,
+  loadLegacyUserIds,
+  migrateLegacyUserKeys
+};
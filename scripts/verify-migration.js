@@ -0,0 +1,550 @@
+#!/usr/bin/env node
+
+/**
+ * Migration Verification Script
+ *
+ * Reconciles the extracted legacy data in extracted-data/ with what the
+ * import scripts wrote to the target database. For every entity it reports:
+ *
+ * - source: rows in the extracted file
+ * - imported: source rows found in the target table (not soft-deleted)
+ * - skipped: source rows the import leaves out on purpose, by reason
+ *   (the import skip rules are replayed against the source and target data)
+ * - delta: source rows that are neither imported nor explained by a skip reason
+ *
+ * The script exits with code 1 when a delta exceeds its threshold, so it can
+ * gate a migration in CI or after full-migration.js.
+ *
+ * Usage:
+ *   node scripts/verify-migration.js [options]
+ *
+ * Options:
+ *   --data-dir=<path>          Extracted data directory (default: ./extracted-data)
+ *   --max-delta=<n>            Allowed unexplained rows per entity (default: 0)
+ *   --max-delta-percent=<p>    Allowed unexplained rows per entity, in percent of the source rows
+ *   --thresholds=<path>        JSON file with per-entity thresholds: { "<entity>": { "maxDelta": n, "maxDeltaPercent": p } }
+ *   --duplicate-decisions=<path>  Duplicate decisions the user import followed (default: ./extracted-data/user-duplicate-decisions.json)
+ *   --config=<path>            Path to database config file (default: database-import.local.config.json)
+ *   --help, -h                 Show this help message
+ *
+ * Examples:
+ *   node scripts/verify-migration.js
+ *   node scripts/verify-migration.js --max-delta-percent=0.5
+ *   node scripts/verify-migration.js --thresholds=./verify-thresholds.json
+ *   pnpm run verify                                             # Run via npm script
+ */
+
+const { DataSource } = require('typeorm');
+const { config } = require('dotenv');
+const fs = require('fs');
+const path = require('path');
+const { DatabaseConfig, parseConfigPath } = require('./utils/database-config');
+const { DEFAULT_TENANT_NAME, getTenantByName } = require('./utils/tenant-utils');
+const {
+  loadExtractedFile,
+  loadLegacyRowMap,
+  loadCaseDetailMaps,
+  getCaseDetailSkipReason
+} = require('./utils/reconciliation-utils');
+const { tableExists, getTableColumns } = require('./utils/target-schema');
+const { DuplicateDecisions, DEFAULT_DECISIONS_FILE, getSyntheticEmail } = require('./utils/duplicate-resolution');
+const { getUserKey } = require('./utils/user-keys');
+
+// Load environment variables
+config();
+
+// Wine lookup tables and the extracted files they are imported from
+const WINE_LOOKUP_FILES = {
+  wine_countries: 'wineCountries',
+  wine_regions: 'wineRegions',
+  wine_villages: 'wineVillages',
+  wine_producers: 'wineProducers',
+  wine_brands: 'wineBrands',
+  wine_varietals: 'wineVarietals',
+  wine_styles: 'wineStyles',
+  wine_bottle_vintages: 'wineBottleVintages',
+  wine_bottle_formats: 'wineBottleSizes',
+  wine_vineyards: 'wineVineyards',
+  wine_types: 'wineColors'
+};
+
+// Parse command line arguments
+function parseArguments() {
+  const args = process.argv.slice(2);
+  const options = {
+    dataDir: path.join(process.cwd(), 'extracted-data'),
+    maxDelta: 0,
+    maxDeltaPercent: null,
+    thresholds: null,
+    decisionsFile: DEFAULT_DECISIONS_FILE,
+    help: false,
+    config: null
+  };
+
+  for (const arg of args) {
+    if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg.startsWith('--data-dir=')) {
+      options.dataDir = arg.split('=')[1];
+    } else if (arg.startsWith('--max-delta=')) {
+      options.maxDelta = parseInt(arg.split('=')[1], 10);
+    } else if (arg.startsWith('--max-delta-percent=')) {
+      options.maxDeltaPercent = parseFloat(arg.split('=')[1]);
+    } else if (arg.startsWith('--thresholds=')) {
+      options.thresholds = arg.split('=')[1];
+    } else if (arg.startsWith('--duplicate-decisions=')) {
+      options.decisionsFile = arg.split('=')[1];
+    } else if (arg.startsWith('--config=')) {
+      options.config = arg.split('=')[1];
+    } else {
+      console.warn(`⚠️ Unknown argument: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+// Show help message
+function showHelp() {
+  console.log(`
+Migration Verification Script
+
+Compares every extracted file in extracted-data/ with its target table and
+reports, per entity, the source count, imported rows, rows skipped by reason
+and the unexplained delta. Exits with code 1 when a delta exceeds its threshold.
+
+Usage:
+  node scripts/verify-migration.js [options]
+
+Options:
+  --data-dir=<path>          Extracted data directory (default: ./extracted-data)
+  --max-delta=<n>            Allowed unexplained rows per entity (default: 0)
+  --max-delta-percent=<p>    Allowed unexplained rows per entity, in percent of the source rows
+  --thresholds=<path>        JSON file with per-entity thresholds: { "<entity>": { "maxDelta": n, "maxDeltaPercent": p } }
+  --duplicate-decisions=<path>  Duplicate decisions the user import followed (default: ./extracted-data/user-duplicate-decisions.json)
+  --config=<path>            Path to database config file (default: database-import.local.config.json)
+  --help, -h                 Show this help message
+
+Examples:
+  node scripts/verify-migration.js
+  node scripts/verify-migration.js --max-delta-percent=0.5
+  node scripts/verify-migration.js --thresholds=./verify-thresholds.json
+  pnpm run verify                                             # Run via npm script
+
+Notes:
+  - The script does not change any imported data
+  - A negative delta means the target holds more rows than the source explains
+  - Entities whose extracted file is missing are reported but not checked
+`);
+}
+
+/**
+ * Migration verifier class
+ * Builds the per-entity reconciliation report
+ */
+class MigrationVerifier {
+  constructor(dataSource) {
+    this.dataSource = dataSource;
+    this.db = dataSource;
+  }
+
+  /**
+   * Reconciles all entities and prints the report
+   * @param {Object} options - { dataDir, maxDelta, maxDeltaPercent, thresholds, decisionsFile }
+   * @returns {Promise<Object>} { passed, results }
+   */
+  async verify(options = {}) {
+    if (!fs.existsSync(options.dataDir)) {
+      throw new Error(`Extracted data directory not found: ${options.dataDir}`);
+    }
+
+    this.dataDir = options.dataDir;
+    this.duplicates = DuplicateDecisions.load(options.decisionsFile);
+    // Read-only lookup, verifying must not create the tenant it reports on
+    this.defaultTenantId = await getTenantByName(this.dataSource, DEFAULT_TENANT_NAME);
+    if (!this.defaultTenantId) {
+      throw new Error(`Tenant ${DEFAULT_TENANT_NAME} not found - run the migration before verifying it`);
+    }
+    const thresholds = this.loadThresholds(options);
+
+    const results = [];
+    for (const entity of await this.getEntities()) {
+      const result = await this.reconcile(entity);
+      result.threshold = this.getThreshold(thresholds, result);
+      result.passed = result.sourceCount === null || Math.abs(result.delta) <= result.threshold;
+      results.push(result);
+    }
+
+    this.printReport(results);
+
+    const passed = results.every(result => result.passed);
+    if (passed) {
+      console.log('\n✅ Verification passed - every delta is within its threshold');
+    } else {
+      const failed = results.filter(result => !result.passed).map(result => result.name);
+      console.log(`\n❌ Verification failed - delta above threshold for: ${failed.join(', ')}`);
+    }
+
+    return { passed, results };
+  }
+
+  loadThresholds(options) {
+    const defaults = { maxDelta: options.maxDelta || 0, maxDeltaPercent: options.maxDeltaPercent };
+    if (!options.thresholds) {
+      return { defaults, entities: {} };
+    }
+
+    try {
+      return { defaults, entities: JSON.parse(fs.readFileSync(options.thresholds, 'utf8')) };
+    } catch (error) {
+      throw new Error(`Failed to load or parse thresholds file ${options.thresholds}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Returns the number of unexplained rows allowed for an entity
+   * The larger of the absolute and the percentage threshold applies.
+   */
+  getThreshold(thresholds, result) {
+    const { maxDelta, maxDeltaPercent } = { ...thresholds.defaults, ...thresholds.entities[result.name] };
+    const percentDelta = maxDeltaPercent ? Math.floor(((result.sourceCount || 0) * maxDeltaPercent) / 100) : 0;
+    return Math.max(maxDelta || 0, percentDelta);
+  }
+
+  /**
+   * Declares the reconciled entities
+   * Every entity has a source file and either a key-matched target map or an
+   * imported row count; skipReason replays the skip rules of its import.
+   * @returns {Promise<Array<Object>>} Entities: { name, file, source, key, target, importedCount, skipReason }
+   */
+  async getEntities() {
+    const load = name => loadExtractedFile(this.dataDir, name);
+    const legacyKey = row => (row.legacy_id ? row.legacy_id.toString() : null);
+    const noLegacyId = row => (row.legacy_id ? null : 'no legacy id');
+    const entities = [];
+
+    for (const [table, file] of Object.entries(WINE_LOOKUP_FILES)) {
+      entities.push({
+        name: table,
+        file,
+        source: load(file),
+        key: legacyKey,
+        target: await loadLegacyRowMap(this.db, table, this.defaultTenantId),
+        skipReason: noLegacyId
+      });
+    }
+
+    entities.push({
+      name: 'wines',
+      file: 'wineItems',
+      source: load('wineItems'),
+      key: legacyKey,
+      target: await loadLegacyRowMap(this.db, 'wines', this.defaultTenantId),
+      skipReason: noLegacyId
+    });
+
+    // Customers are keyed on their legacy account, managers on their legacy user
+    const accountIds = new Set((load('accounts') || []).map(account => account.legacy_account_id));
+    const activeUsers = new Map(
+      (load('users') || []).filter(user => user.is_active === 'true').map(user => [user.legacy_user_id, user])
+    );
+    const userTarget = await loadLegacyRowMap(this.db, 'users', this.defaultTenantId, {
+      keyColumn: 'legacy_user_id',
+      columns: ['email']
+    });
+    const userKeysByEmail = new Map([...userTarget.entries()].map(([key, row]) => [row.email, key]));
+    const emailTakenReason = (email, key) => {
+      const owner = userKeysByEmail.get(email);
+      return owner !== undefined && owner !== key ? 'email already taken' : null;
+    };
+    const duplicateReason = key => {
+      const decision = this.duplicates.get(key);
+      if (!decision || decision.action === 'keep') {
+        return null;
+      }
+      return decision.action === 'merge' ? 'merged duplicate' : 'skipped duplicate';
+    };
+
+    entities.push({
+      name: 'users (accounts)',
+      file: 'accounts',
+      source: load('accounts'),
+      key: account => getUserKey('account', account.legacy_account_id),
+      target: userTarget,
+      skipReason: account => {
+        if (account.is_active === 'false') {
+          return 'inactive account';
+        }
+
+        const user = activeUsers.get(account.legacy_user_id);
+        if (!user) {
+          return 'no active login user';
+        }
+
+        const key = getUserKey('account', account.legacy_account_id);
+        const decision = this.duplicates.get(key);
+        const email = formatEmail(
+          (decision && decision.email) || account.Email || user.Email || getSyntheticEmail(account.legacy_account_id)
+        );
+        return duplicateReason(key) || emailTakenReason(email, key);
+      }
+    });
+
+    entities.push({
+      name: 'users (managers)',
+      file: 'users',
+      source: load('users'),
+      key: user => getUserKey('user', user.legacy_user_id),
+      target: userTarget,
+      skipReason: user => {
+        if (user.Role !== 'Staff Manager') {
+          return 'not a staff manager';
+        }
+        if (!user.Email) {
+          return 'no email';
+        }
+
+        const key = getUserKey('user', user.legacy_user_id);
+        const decision = this.duplicates.get(key);
+        return duplicateReason(key) || emailTakenReason(formatEmail((decision && decision.email) || user.Email), key);
+      }
+    });
+
+    // The address import skips repeated address lines of the same account
+    const addressKeys = new Set();
+    entities.push({
+      name: 'addresses',
+      file: 'addresses',
+      source: load('addresses'),
+      key: address => address.legacy_address_id.toString(),
+      target: await loadLegacyRowMap(this.db, 'addresses', this.defaultTenantId),
+      skipReason: address => {
+        if (!accountIds.has(address.legacy_account_id)) {
+          return 'no account';
+        }
+        if (!userTarget.has(getUserKey('account', address.legacy_account_id))) {
+          return 'account user not imported';
+        }
+
+        const addressKey = [address.legacy_account_id, address.AddressLine1, address.City].join('|');
+        if (addressKeys.has(addressKey)) {
+          return 'duplicate address';
+        }
+        if (!address.AddressLine1 || !address.City || !address.State || !address.ZipCode) {
+          return 'missing required fields';
+        }
+
+        addressKeys.add(addressKey);
+        return null;
+      }
+    });
+
+    entities.push({
+      name: 'cases',
+      file: 'cases-cases',
+      source: load('cases-cases'),
+      key: caseData => caseData.legacy_case_id.toString(),
+      target: await loadLegacyRowMap(this.db, 'cases', this.defaultTenantId),
+      skipReason: caseData => {
+        if (!accountIds.has(caseData.legacy_account_id)) {
+          return 'no account';
+        }
+        if (!userTarget.has(getUserKey('account', caseData.legacy_account_id))) {
+          return 'customer not imported';
+        }
+        return null;
+      }
+    });
+
+    // The locker tables only exist once the case import ran
+    const hasLockers = await tableExists(this.db, 'lockers');
+    const lockerTarget = hasLockers ? await loadLegacyRowMap(this.db, 'lockers', this.defaultTenantId) : new Map();
+    entities.push({
+      name: 'lockers',
+      file: 'cases-lockers',
+      source: load('cases-lockers'),
+      key: locker => locker.legacy_locker_id.toString(),
+      target: lockerTarget,
+      skipReason: () => null
+    });
+
+    entities.push({
+      name: 'locker_rentals',
+      file: 'cases-lockerHistory',
+      source: load('cases-lockerHistory'),
+      key: rental => rental.legacy_locker_history_id.toString(),
+      target: hasLockers ? await loadLegacyRowMap(this.db, 'locker_rentals', this.defaultTenantId) : new Map(),
+      skipReason: rental => (lockerTarget.has(String(rental.legacy_locker_id)) ? null : 'locker not imported')
+    });
+
+    // invoices only gets its legacy_id column from the invoice import
+    const hasInvoices = (await getTableColumns(this.db, 'invoices')).has('legacy_id');
+    entities.push({
+      name: 'invoices',
+      file: 'invoices-invoices',
+      source: load('invoices-invoices'),
+      key: invoice => invoice.legacy_invoice_id.toString(),
+      target: hasInvoices ? await loadLegacyRowMap(this.db, 'invoices', this.defaultTenantId) : new Map(),
+      skipReason: invoice => {
+        if (!invoice.legacy_account_id) {
+          return 'no account';
+        }
+        return userTarget.has(getUserKey('account', invoice.legacy_account_id)) ? null : 'customer not imported';
+      }
+    });
+
+    // Inventory entries carry no legacy id, so they are reconciled by count
+    const caseDetailMaps = await loadCaseDetailMaps(this.db, this.defaultTenantId);
+    entities.push({
+      name: 'wine_inventory_entries',
+      file: 'cases-caseDetails',
+      source: load('cases-caseDetails'),
+      importedCount: async () => {
+        const [{ count }] = await this.db.query(
+          'SELECT COUNT(*) AS count FROM wine_inventory_entries WHERE tenant_id = $1 AND case_id IS NOT NULL',
+          [this.defaultTenantId]
+        );
+        return parseInt(count, 10);
+      },
+      skipReason: caseDetail => getCaseDetailSkipReason(caseDetail, caseDetailMaps)
+    });
+
+    return entities;
+  }
+
+  /**
+   * Reconciles one entity
+   * @param {Object} entity - Entity declaration
+   * @returns {Promise<Object>} { name, file, sourceCount, imported, skipped, delta, missingKeys }
+   */
+  async reconcile(entity) {
+    const result = { name: entity.name, file: entity.file, sourceCount: null, imported: 0, skipped: {}, delta: 0, missingKeys: [] };
+
+    if (!entity.source) {
+      return result;
+    }
+
+    result.sourceCount = entity.source.length;
+    let expected = 0;
+
+    for (const row of entity.source) {
+      const reason = entity.skipReason(row);
+      if (reason) {
+        result.skipped[reason] = (result.skipped[reason] || 0) + 1;
+        continue;
+      }
+
+      expected++;
+      if (entity.importedCount) {
+        continue;
+      }
+
+      const key = entity.key(row);
+      const targetRow = entity.target.get(key);
+      if (targetRow && !targetRow.deleted_at) {
+        result.imported++;
+      } else {
+        result.missingKeys.push(key);
+      }
+    }
+
+    if (entity.importedCount) {
+      result.imported = await entity.importedCount();
+    }
+
+    result.delta = expected - result.imported;
+    return result;
+  }
+
+  printReport(results) {
+    console.log('\n📊 Migration Reconciliation Report:');
+    console.log('===================================');
+    console.log(`${'Entity'.padEnd(26)}${'Source'.padStart(10)}${'Imported'.padStart(10)}${'Skipped'.padStart(10)}${'Delta'.padStart(8)}  Status`);
+
+    for (const result of results) {
+      if (result.sourceCount === null) {
+        console.log(`${result.name.padEnd(26)}${'-'.padStart(10)}${'-'.padStart(10)}${'-'.padStart(10)}${'-'.padStart(8)}  ⚠️ ${result.file}.json not found`);
+        continue;
+      }
+
+      const skipped = Object.values(result.skipped).reduce((sum, count) => sum + count, 0);
+      const status = result.passed ? '✅' : `❌ (threshold ${result.threshold})`;
+      console.log(
+        `${result.name.padEnd(26)}${String(result.sourceCount).padStart(10)}${String(result.imported).padStart(10)}` +
+        `${String(skipped).padStart(10)}${String(result.delta).padStart(8)}  ${status}`
+      );
+
+      for (const [reason, count] of Object.entries(result.skipped)) {
+        console.log(`    ⏭️ ${reason}: ${count}`);
+      }
+
+      if (result.missingKeys.length > 0) {
+        const sample = result.missingKeys.slice(0, 5).join(', ');
+        const more = result.missingKeys.length > 5 ? `, ... (${result.missingKeys.length - 5} more)` : '';
+        console.log(`    ❓ missing legacy ids: ${sample}${more}`);
+      }
+    }
+  }
+}
+
+// Same normalization as the user import
+function formatEmail(email) {
+  if (!email || typeof email !== 'string') {
+    return null;
+  }
+
+  const trimmed = email.trim();
+  return trimmed.length === 0 ? null : trimmed.toLowerCase();
+}
+
+async function bootstrap() {
+  console.log('🚀 Starting Migration Verification...');
+
+  // Parse command line arguments
+  const options = parseArguments();
+  const configPath = options.config || parseConfigPath();
+
+  if (options.help) {
+    showHelp();
+    return;
+  }
+
+  let dataSource = null;
+
+  try {
+    // Load database configuration
+    const dbConfig = new DatabaseConfig(configPath);
+    dbConfig.validate();
+
+    // Create database connection
+    dataSource = new DataSource(dbConfig.getConnectionConfig());
+
+    // Initialize connection
+    await dataSource.initialize();
+    console.log('✅ Database connection established');
+
+    const verifier = new MigrationVerifier(dataSource);
+    const report = await verifier.verify(options);
+
+    if (!report.passed) {
+      process.exitCode = 1;
+    }
+
+  } catch (error) {
+    console.error('❌ Migration verification failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    // Close connection
+    if (dataSource && dataSource.isInitialized) {
+      await dataSource.destroy();
+      console.log('🔌 Database connection closed');
+    }
+  }
+}
+
+if (require.main === module) {
+  bootstrap();
+}
+
+// Export the class for use in other scripts
+module.exports = { MigrationVerifier };